@@ -0,0 +1,155 @@
+const ReviewAnalyzer = require('./ReviewAnalyzer');
+const { VALENCES, NEGATORS, INTENSIFIERS, TOPICS, STOPWORDS } = require('./lexicon');
+
+// Words after a negator that it flips, and how strongly
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.75;
+
+// Normalizes summed valence into -1..1; higher values need more words to approach ±1
+const NORMALIZATION_ALPHA = 15;
+const NEUTRAL_BAND = 0.05;
+const MAX_KEYWORDS = 5;
+
+// Words that start a clause turning against the one before ("lovely tour but pickup was late")
+const CONTRASTIVES = new Set(['but', 'although', 'though', 'however', 'whereas']);
+
+// Offline English sentiment and topic tagging from word lists, with negation and
+// intensifiers. Each clause is scored on its own, so a topic's sentiment comes from
+// the clauses that mention it ("the guide was great, pickup was late").
+class LexiconAnalyzer extends ReviewAnalyzer {
+  constructor() {
+    super();
+    this.topics = Object.entries(TOPICS);
+  }
+
+  get name() {
+    return 'lexicon';
+  }
+
+  get version() {
+    return 2;
+  }
+
+  async analyze(review) {
+    return this.analyzeText(review.text);
+  }
+
+  analyzeText(text) {
+    const clauses = this.clauses(text || '');
+    if (clauses.length === 0) {
+      return { sentiment_score: null, sentiment_label: null, topics: [], topic_sentiment: {}, keywords: [] };
+    }
+
+    let total = 0;
+    const topicValences = new Map();
+
+    for (const tokens of clauses) {
+      const valence = this.valence(tokens);
+      total += valence;
+
+      for (const topic of this.topicsIn(tokens)) {
+        topicValences.set(topic, (topicValences.get(topic) || 0) + valence);
+      }
+    }
+
+    const score = this.normalize(total);
+
+    return {
+      sentiment_score: score,
+      sentiment_label: this.label(score),
+      topics: [...topicValences.keys()],
+      topic_sentiment: Object.fromEntries([...topicValences].map(([topic, valence]) => [topic, this.normalize(valence)])),
+      keywords: this.keywords(clauses.flat())
+    };
+  }
+
+  // Lowercase word tokens per clause; apostrophes are dropped so "didn't" is "didnt".
+  // Clauses end at sentence punctuation and commas, and before a contrastive word.
+  clauses(text) {
+    const clauses = [];
+
+    for (const part of text.toLowerCase().replace(/['’]/g, '').split(/[.!?;:,\n]+/)) {
+      let tokens = [];
+      for (const token of part.match(/[\p{L}\p{N}]+/gu) || []) {
+        if (CONTRASTIVES.has(token)) {
+          clauses.push(tokens);
+          tokens = [];
+        } else {
+          tokens.push(token);
+        }
+      }
+      clauses.push(tokens);
+    }
+
+    return clauses.filter(tokens => tokens.length > 0);
+  }
+
+  valence(tokens) {
+    let sum = 0;
+    let negatedThrough = -1;
+    let intensifiedAt = -1;
+    let intensity = 1;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const phrase = i + 1 < tokens.length ? `${tokens[i]} ${tokens[i + 1]}` : null;
+      let value = phrase && VALENCES.get(phrase);
+      const start = i;
+
+      if (value) {
+        i++;
+      } else if (NEGATORS.has(tokens[i])) {
+        negatedThrough = i + NEGATION_SCOPE;
+        continue;
+      } else if (INTENSIFIERS.has(tokens[i])) {
+        intensifiedAt = i + 1;
+        intensity = INTENSIFIERS.get(tokens[i]);
+        continue;
+      } else {
+        value = VALENCES.get(tokens[i]);
+      }
+
+      if (!value) continue;
+
+      if (start === intensifiedAt) value *= intensity;
+      if (start <= negatedThrough) value *= NEGATION_FACTOR;
+      sum += value;
+    }
+
+    return sum;
+  }
+
+  topicsIn(tokens) {
+    const text = ` ${tokens.join(' ')} `;
+    return this.topics
+      .filter(([, phrases]) => phrases.some(phrase => text.includes(` ${phrase} `)))
+      .map(([topic]) => topic);
+  }
+
+  // The most frequent content words, earlier ones first on ties
+  keywords(tokens) {
+    const counts = new Map();
+
+    for (const token of tokens) {
+      if (token.length < 4 || /^\d+$/.test(token) || STOPWORDS.has(token)) continue;
+      if (VALENCES.has(token) || NEGATORS.has(token) || INTENSIFIERS.has(token)) continue;
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    return [...counts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_KEYWORDS)
+      .map(([token]) => token);
+  }
+
+  normalize(valence) {
+    return Math.round(valence / Math.sqrt(valence * valence + NORMALIZATION_ALPHA) * 1000) / 1000;
+  }
+
+  label(score) {
+    if (score >= NEUTRAL_BAND) return 'positive';
+    if (score <= -NEUTRAL_BAND) return 'negative';
+    return 'neutral';
+  }
+}
+
+module.exports = LexiconAnalyzer;
@@ -0,0 +1,37 @@
+// Base class for review text analyzers. An analyzer scores a review's sentiment and tags
+// its topics; ReviewEnricher stores the result per review. Analyzers are passed to the
+// enricher, so a model-based one can replace the lexicon analyzer without other changes.
+class ReviewAnalyzer {
+  constructor() {
+    if (this.constructor === ReviewAnalyzer) {
+      throw new Error('ReviewAnalyzer is abstract');
+    }
+  }
+
+  // Stored with every result
+  get name() {
+    throw new Error(`${this.constructor.name} must define name`);
+  }
+
+  // Bump when results change for the same text, so backfills re-analyze older results
+  get version() {
+    return 1;
+  }
+
+  // Resolves with { sentiment_score (-1 to 1, null without text), sentiment_label
+  // ('positive', 'neutral', 'negative' or null), topics, topic_sentiment, keywords }
+  async analyze(review) {
+    throw new Error(`${this.constructor.name} must implement analyze`);
+  }
+
+  // Analyzers that work better on batches (e.g. a model) can override this
+  async analyzeBatch(reviews) {
+    const results = [];
+    for (const review of reviews) {
+      results.push(await this.analyze(review));
+    }
+    return results;
+  }
+}
+
+module.exports = ReviewAnalyzer;
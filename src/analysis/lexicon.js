@@ -0,0 +1,84 @@
+// English word lists for LexiconAnalyzer. Valences run from -3 to 3, weighted for how
+// the words read in tour and activity reviews. Entries and phrases are lowercase, without
+// apostrophes or hyphens, as the analyzer tokenizes text.
+
+const VALENCES = new Map(Object.entries({
+  // Positive
+  amazing: 3, awesome: 3, breathtaking: 3, excellent: 3, exceptional: 3, fantastic: 3,
+  incredible: 3, love: 3, loved: 3, magnificent: 3, outstanding: 3, perfect: 3,
+  phenomenal: 3, spectacular: 3, stunning: 3, superb: 3, unforgettable: 3, wonderful: 3,
+  best: 3, brilliant: 3, highlight: 2, beautiful: 2, comfortable: 2, delicious: 2,
+  enjoy: 2, enjoyable: 2, enjoyed: 2, entertaining: 2, friendly: 2, fun: 2, funny: 2,
+  glad: 2, good: 2, great: 2, happy: 2, helpful: 2, impressive: 2, informative: 2,
+  knowledgeable: 2, lovely: 2, memorable: 2, nice: 2, organized: 2, organised: 2,
+  passionate: 2, patient: 2, pleasant: 2, polite: 2, professional: 2, punctual: 2,
+  recommend: 2, recommended: 2, relaxing: 2, thank: 2, thanks: 2, welcoming: 2,
+  worth: 2, attentive: 2, clean: 2, easy: 1, fine: 1, decent: 1, safe: 1, reasonable: 1,
+  interesting: 2, kind: 2, smooth: 1, spacious: 1, tasty: 2, caring: 2,
+  'must do': 2, 'must see': 2, 'top notch': 3,
+
+  // Negative
+  awful: -3, disgusting: -3, dreadful: -3, hate: -3, hated: -3, horrible: -3, nightmare: -3,
+  ripoff: -3, scam: -3, terrible: -3, worst: -3, dangerous: -3, unsafe: -3, rude: -3,
+  appalling: -3, avoid: -2, bad: -2, boring: -2, broken: -2, disappointed: -2,
+  disappointing: -2, dirty: -2, disorganized: -2, disorganised: -2, filthy: -2,
+  overpriced: -2, poor: -2, unfriendly: -2, unhelpful: -2, unprofessional: -2,
+  uncomfortable: -2, waste: -2, wasted: -2, sick: -2, smelly: -2, useless: -2, angry: -2,
+  annoying: -2, careless: -2, complaint: -2, mess: -2, unacceptable: -3, misleading: -2,
+  cancelled: -1, canceled: -1, crowded: -1, delayed: -1, expensive: -1, late: -1,
+  mediocre: -1, problem: -1, problems: -1, refund: -1, rushed: -1, slow: -1, lost: -1,
+  cramped: -1, confusing: -1, tired: -1, unclear: -1, stressful: -2, bland: -1, cold: -1,
+  'rip off': -3, 'never again': -3
+}));
+
+// Flip the valence of the next few words
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'hardly',
+  'barely', 'dont', 'didnt', 'doesnt', 'wasnt', 'werent', 'isnt', 'arent', 'wont',
+  'wouldnt', 'couldnt', 'shouldnt', 'cant', 'cannot', 'aint'
+]);
+
+// Scale the valence of the next word
+const INTENSIFIERS = new Map(Object.entries({
+  absolutely: 1.5, extremely: 1.5, highly: 1.5, incredibly: 1.5, really: 1.3, so: 1.3,
+  super: 1.5, totally: 1.4, truly: 1.4, very: 1.3, most: 1.3, especially: 1.3,
+  slightly: 0.5, somewhat: 0.6, fairly: 0.7, bit: 0.6, little: 0.6, quite: 0.9
+}));
+
+// Tour themes and the words or phrases that mention them
+const TOPICS = {
+  guide: ['guide', 'guides', 'guided', 'tour guide', 'guiding', 'narration', 'commentary', 'storyteller'],
+  pickup: ['pickup', 'pick up', 'picked up', 'collected', 'meeting point', 'transfer', 'hotel pickup', 'drop off', 'dropped off'],
+  value: ['value', 'price', 'prices', 'priced', 'pricey', 'worth', 'money', 'expensive', 'cheap', 'overpriced', 'cost', 'refund', 'ripoff', 'rip off'],
+  safety: ['safe', 'safety', 'unsafe', 'dangerous', 'helmet', 'helmets', 'life jacket', 'seatbelt', 'seat belt', 'accident', 'injury', 'injured', 'risk', 'risky'],
+  food: ['food', 'lunch', 'dinner', 'breakfast', 'meal', 'meals', 'snack', 'snacks', 'drinks', 'wine', 'tasting', 'restaurant', 'delicious', 'tasty', 'picnic'],
+  transport: ['bus', 'van', 'vehicle', 'jeep', 'boat', 'driver', 'driving', 'car', 'coach', 'minibus', 'ride'],
+  timing: ['late', 'delayed', 'delay', 'wait', 'waited', 'waiting', 'on time', 'punctual', 'schedule', 'rushed', 'early', 'duration'],
+  booking: ['booking', 'booked', 'book', 'reservation', 'cancel', 'cancelled', 'canceled', 'cancellation', 'confirmation', 'website', 'email', 'voucher'],
+  scenery: ['view', 'views', 'scenery', 'scenic', 'landscape', 'sunset', 'sunrise', 'canyon', 'beach', 'photos', 'photo', 'wildlife', 'nature'],
+  staff: ['staff', 'crew', 'team', 'captain', 'host', 'hosts', 'service', 'owner', 'customer service']
+};
+
+// Left out of keywords
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'and', 'any', 'are', 'because', 'been', 'before',
+  'being', 'both', 'but', 'can', 'could', 'day', 'did', 'does', 'doing', 'down', 'during',
+  'each', 'even', 'every', 'for', 'from', 'further', 'get', 'got', 'had', 'has', 'have',
+  'having', 'her', 'here', 'hers', 'him', 'his', 'how', 'into', 'its', 'just', 'more',
+  'most', 'much', 'our', 'ours', 'out', 'over', 'own', 'same', 'she', 'should', 'some',
+  'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'too', 'tour', 'trip', 'under', 'until', 'very',
+  'was', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will',
+  'with', 'would', 'you', 'your', 'yours', 'we', 'us', 'went', 'one', 'two', 'time',
+  'really', 'definitely', 'lot', 'lots', 'way', 'well', 'made', 'make', 'experience',
+  'took', 'take', 'all', 'i', 'me', 'my', 'it', 'is', 'of', 'to', 'in', 'on', 'at',
+  'as', 'be', 'or', 'if', 'so', 'an', 'a', 'not', 'no', 'wasnt', 'didnt', 'dont'
+]);
+
+module.exports = {
+  VALENCES,
+  NEGATORS,
+  INTENSIFIERS,
+  TOPICS,
+  STOPWORDS
+};
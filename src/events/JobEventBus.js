@@ -0,0 +1,122 @@
+const EventEmitter = require('events');
+
+// Terminal events end a job's event stream
+const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+// Job lifecycle events. Every event is stored in job_events, whose id doubles as the
+// SSE event id, so clients can replay what they missed and workers in other
+// processes reach subscribers here. Listeners in this process are woken immediately.
+class JobEventBus extends EventEmitter {
+  constructor(supabase, logger) {
+    super();
+    this.supabase = supabase;
+    this.logger = logger;
+    this.setMaxListeners(0);
+  }
+
+  async publish(jobId, type, data = {}) {
+    const event = {
+      job_id: jobId,
+      type,
+      data,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      const { data: stored, error } = await this.supabase
+        .from('job_events')
+        .insert(event)
+        .select('id')
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      event.id = stored.id;
+
+    } catch (error) {
+      // Live listeners still get the event, it just can't be replayed
+      this.logger.error(`Failed to store ${type} event for job ${jobId}:`, error);
+    }
+
+    this.emit('event', event);
+    this.emit(`job:${jobId}`, event);
+
+    return event;
+  }
+
+  async replay(jobId, afterId = 0, limit = 500) {
+    const { data, error } = await this.supabase
+      .from('job_events')
+      .select('id, job_id, type, data, created_at')
+      .eq('job_id', jobId)
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load events for job ${jobId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  // Calls listener with every event for the job after afterId, in id order. Stored events
+  // are read on every local publish and every pollInterval for publishers elsewhere.
+  subscribe(jobId, afterId, listener, { pollInterval = 2000 } = {}) {
+    let lastId = afterId;
+    let reading = false;
+    let pending = false;
+    let closed = false;
+
+    const read = async () => {
+      if (reading) {
+        pending = true;
+        return;
+      }
+
+      reading = true;
+      try {
+        do {
+          pending = false;
+          const events = await this.replay(jobId, lastId);
+          for (const event of events) {
+            if (closed) return;
+            lastId = event.id;
+            listener(event);
+          }
+        } while (pending && !closed);
+
+      } catch (error) {
+        this.logger.warn(`Event stream for job ${jobId} failed to read events: ${error.message}`);
+      } finally {
+        reading = false;
+      }
+    };
+
+    const onLocalEvent = event => {
+      if (event.id) {
+        read();
+      } else if (!closed) {
+        listener(event);
+      }
+    };
+
+    this.on(`job:${jobId}`, onLocalEvent);
+    const timer = setInterval(read, pollInterval);
+    read();
+
+    return () => {
+      closed = true;
+      clearInterval(timer);
+      this.off(`job:${jobId}`, onLocalEvent);
+    };
+  }
+
+  isTerminal(event) {
+    return TERMINAL_EVENTS.includes(event.type);
+  }
+}
+
+module.exports = JobEventBus;
@@ -0,0 +1,203 @@
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { assertOperatorAccess } = require('../middleware/auth');
+
+const ALERT_TYPES = ['new_negative_review', 'rating_drop'];
+
+// A numeric setting from the environment; a configured 0 is kept, unset or junk falls back
+const numberSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Alerts raised when an import differs from what was stored before it: new reviews at or
+// below the negative threshold, and a drop in the rolling average rating since the last
+// sync of the same source. Alerts are kept in review_alerts and published on the job's
+// event stream, where notifications and webhooks pick them up.
+class AlertManager {
+  constructor(supabase, logger, events) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.events = events;
+
+    this.config = {
+      negativeRatingThreshold: numberSetting('NEGATIVE_REVIEW_THRESHOLD', 2),
+      ratingDropThreshold: numberSetting('RATING_DROP_THRESHOLD', 0.3),
+      ratingWindow: Math.trunc(numberSetting('RATING_WINDOW', 20))
+    };
+  }
+
+  isNegative(review) {
+    return review.rating <= this.config.negativeRatingThreshold;
+  }
+
+  async raiseNegativeReviews(job, reviews) {
+    const alerts = [];
+
+    for (const review of reviews.filter(review => this.isNegative(review))) {
+      const data = {
+        source: review.source,
+        external_id: review.external_id,
+        rating: review.rating,
+        author_name: review.author_name,
+        text: review.text,
+        posted_at: review.posted_at,
+        review_url: review.review_url
+      };
+      const message = `New ${review.rating}-star ${review.source} review from ${review.author_name}`;
+
+      alerts.push(await this.raise(job, 'new_negative_review', message, data));
+    }
+
+    return alerts;
+  }
+
+  // Average of the newest ratingWindow reviews of the job's source, compared with the
+  // average recorded by the previous finished sync. Returns the current average so the
+  // job can record it for the next comparison.
+  async checkRatingDrop(job) {
+    const { data: recent, error } = await this.supabase
+      .from('external_reviews')
+      .select('rating')
+      .eq('tour_operator_id', job.tour_operator_id)
+      .eq('source', job.platform)
+      .order('posted_at', { ascending: false })
+      .limit(this.config.ratingWindow);
+
+    if (error) {
+      throw new Error(`Failed to load recent ratings: ${error.message}`);
+    }
+
+    if (!recent || recent.length === 0) {
+      return { rollingAverage: null, alert: null };
+    }
+
+    const rollingAverage = Math.round((recent.reduce((sum, row) => sum + row.rating, 0) / recent.length) * 100) / 100;
+
+    const { data: previous, error: previousError } = await this.supabase
+      .from('review_sync_jobs')
+      .select('id, rolling_average')
+      .eq('tour_operator_id', job.tour_operator_id)
+      .eq('platform', job.platform)
+      .in('status', ['succeeded', 'partially_succeeded'])
+      .not('rolling_average', 'is', null)
+      .neq('id', job.id)
+      .order('completed_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (previousError) {
+      throw new Error(`Failed to load previous rolling average: ${previousError.message}`);
+    }
+
+    // The first sync of a source only sets the baseline
+    if (!previous) {
+      return { rollingAverage, alert: null };
+    }
+
+    const drop = Math.round((previous.rolling_average - rollingAverage) * 100) / 100;
+    if (drop < this.config.ratingDropThreshold) {
+      return { rollingAverage, alert: null };
+    }
+
+    const alert = await this.raise(job, 'rating_drop',
+      `Average ${job.platform} rating over the last ${recent.length} reviews fell from ${previous.rolling_average} to ${rollingAverage}`,
+      {
+        source: job.platform,
+        previous_average: previous.rolling_average,
+        current_average: rollingAverage,
+        drop,
+        window: recent.length,
+        previous_job_id: previous.id
+      });
+
+    return { rollingAverage, alert };
+  }
+
+  // Stores the alert, then publishes it. A storage failure is logged and the event
+  // still goes out, so subscribers aren't left without it.
+  async raise(job, type, message, data) {
+    const alert = {
+      tour_operator_id: job.tour_operator_id,
+      job_id: job.id,
+      type,
+      source: data.source,
+      external_id: data.external_id || null,
+      message,
+      data,
+      created_at: new Date().toISOString()
+    };
+
+    const { data: stored, error } = await this.supabase
+      .from('review_alerts')
+      .insert(alert)
+      .select('id')
+      .single();
+
+    if (error) {
+      this.logger.error(`Failed to store ${type} alert for job ${job.id}:`, error);
+    } else {
+      alert.id = stored.id;
+    }
+
+    await this.events.publish(job.id, type, { message, alert_id: alert.id || null, ...data });
+
+    return alert;
+  }
+
+  async listAlerts(tourOperatorId, { type, source, unacknowledged = false, limit = 50, offset = 0 } = {}) {
+    if (type && !ALERT_TYPES.includes(type)) {
+      throw new ValidationError(`Unknown alert type: ${type}. Use any of: ${ALERT_TYPES.join(', ')}`);
+    }
+
+    let query = this.supabase
+      .from('review_alerts')
+      .select('id, job_id, type, source, external_id, message, data, created_at, acknowledged_at', { count: 'exact' })
+      .eq('tour_operator_id', tourOperatorId);
+
+    if (type) query = query.eq('type', type);
+    if (source) query = query.eq('source', source);
+    if (unacknowledged) query = query.is('acknowledged_at', null);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to list alerts: ${error.message}`);
+    }
+
+    return { alerts: data || [], total: count || 0 };
+  }
+
+  async acknowledgeAlert(alertId, auth) {
+    const { data: alert, error } = await this.supabase
+      .from('review_alerts')
+      .select('id, tour_operator_id, acknowledged_at')
+      .eq('id', alertId)
+      .single();
+
+    if (error || !alert) {
+      throw new NotFoundError('Alert not found');
+    }
+
+    assertOperatorAccess(auth, alert.tour_operator_id);
+
+    if (alert.acknowledged_at) {
+      return { alert_id: alertId, acknowledged_at: alert.acknowledged_at };
+    }
+
+    const acknowledgedAt = new Date().toISOString();
+    const { error: updateError } = await this.supabase
+      .from('review_alerts')
+      .update({ acknowledged_at: acknowledgedAt })
+      .eq('id', alertId);
+
+    if (updateError) {
+      throw new Error(`Failed to acknowledge alert: ${updateError.message}`);
+    }
+
+    return { alert_id: alertId, acknowledged_at: acknowledgedAt };
+  }
+}
+
+module.exports = AlertManager;
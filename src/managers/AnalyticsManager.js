@@ -0,0 +1,282 @@
+const platformRegistry = require('../platforms');
+const uploadSource = require('../platforms/UploadSource');
+const { ValidationError } = require('../utils/errors');
+
+const INTERVALS = ['week', 'month'];
+const COMPARISONS = ['previous', 'year'];
+const PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ranges are capped so week buckets stay a chartable series
+const MAX_RANGE_DAYS = 5 * 366;
+
+// Review analytics computed from external_reviews: rating histogram, rating and volume
+// trends in week or month buckets, and owner response rate and delay, overall and per
+// source. A second date range can be analyzed alongside for comparison.
+class AnalyticsManager {
+  constructor(supabase, logger) {
+    this.supabase = supabase;
+    this.logger = logger;
+  }
+
+  // Options from the query string: from/to (default the last 12 months), interval,
+  // source, and compare=previous|year or compare_from/compare_to
+  parseOptions(input = {}) {
+    const interval = input.interval || 'month';
+    if (!INTERVALS.includes(interval)) {
+      throw new ValidationError(`Invalid interval: ${interval}. Use one of: ${INTERVALS.join(', ')}`);
+    }
+
+    if (input.source && !platformRegistry.has(input.source) && input.source !== uploadSource.name) {
+      throw new ValidationError(`Unknown source: ${input.source}`);
+    }
+
+    const to = input.to ? this.parseBound(input.to, 'to', true) : new Date();
+    const from = input.from ? this.parseBound(input.from, 'from') : new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - 12, to.getUTCDate()));
+    const range = this.checkRange(from, to);
+
+    let comparison = null;
+    if (input.compare_from || input.compare_to) {
+      if (!input.compare_from || !input.compare_to) {
+        throw new ValidationError('compare_from and compare_to go together');
+      }
+      comparison = this.checkRange(this.parseBound(input.compare_from, 'compare_from'), this.parseBound(input.compare_to, 'compare_to', true));
+    } else if (input.compare) {
+      if (!COMPARISONS.includes(input.compare)) {
+        throw new ValidationError(`Invalid compare: ${input.compare}. Use one of: ${COMPARISONS.join(', ')}, or compare_from and compare_to`);
+      }
+      comparison = input.compare === 'previous'
+        ? { from: new Date(range.from - (range.to - range.from)), to: range.from }
+        : { from: this.yearBefore(range.from), to: this.yearBefore(range.to) };
+    }
+
+    return { interval, source: input.source || null, range, comparison };
+  }
+
+  // Ranges are half-open [from, to); a bare date as an upper bound includes that day
+  parseBound(value, name, isEnd = false) {
+    const date = new Date(value);
+    if (isNaN(date)) {
+      throw new ValidationError(`${name} must be a date or timestamp`);
+    }
+    if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+  }
+
+  checkRange(from, to) {
+    if (from >= to) {
+      throw new ValidationError('A date range must start before it ends');
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      throw new ValidationError(`A date range may span at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { from, to };
+  }
+
+  yearBefore(date) {
+    const earlier = new Date(date);
+    earlier.setUTCFullYear(earlier.getUTCFullYear() - 1);
+    return earlier;
+  }
+
+  async getAnalytics(tourOperatorId, input) {
+    const options = this.parseOptions(input);
+
+    const current = await this.analyzeRange(tourOperatorId, options.range, options);
+    if (!options.comparison) {
+      return current;
+    }
+
+    const comparison = await this.analyzeRange(tourOperatorId, options.comparison, options);
+    const sources = new Set([...Object.keys(current.sources), ...Object.keys(comparison.sources)]);
+
+    return {
+      ...current,
+      comparison,
+      changes: {
+        overall: this.compareSummaries(current.overall.summary, comparison.overall.summary),
+        sources: Object.fromEntries([...sources].map(source => [
+          source,
+          this.compareSummaries(current.sources[source]?.summary, comparison.sources[source]?.summary)
+        ]))
+      }
+    };
+  }
+
+  // Pages are folded into running totals as they arrive, so no review rows are held;
+  // only response delays are kept, one number per responded review, for the median
+  async analyzeRange(tourOperatorId, range, { interval, source }) {
+    const buckets = this.bucketStarts(range, interval);
+    const overall = this.tally(buckets);
+    const bySource = new Map();
+
+    for await (const page of this.reviewPages(tourOperatorId, range, source)) {
+      for (const review of page) {
+        if (!bySource.has(review.source)) bySource.set(review.source, this.tally(buckets));
+        this.count(overall, review, interval);
+        this.count(bySource.get(review.source), review, interval);
+      }
+    }
+
+    return {
+      range: { from: range.from.toISOString(), to: range.to.toISOString() },
+      interval,
+      overall: this.report(overall),
+      sources: Object.fromEntries([...bySource.keys()].sort().map(name => [name, this.report(bySource.get(name))]))
+    };
+  }
+
+  async *reviewPages(tourOperatorId, range, source) {
+    let lastId = null;
+
+    for (;;) {
+      let query = this.supabase
+        .from('external_reviews')
+        .select('id, source, rating, posted_at, response_text, response_date')
+        .eq('tour_operator_id', tourOperatorId)
+        .gte('posted_at', range.from.toISOString())
+        .lt('posted_at', range.to.toISOString());
+
+      if (source) query = query.eq('source', source);
+      if (lastId !== null) query = query.gt('id', lastId);
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+
+      if (error) {
+        throw new Error(`Failed to load reviews for analytics: ${error.message}`);
+      }
+
+      if (data?.length) yield data;
+      if (!data || data.length < PAGE_SIZE) return;
+
+      lastId = data[data.length - 1].id;
+    }
+  }
+
+  // Running totals of one scope, overall or a source: the range, its histogram and every bucket
+  tally(buckets) {
+    return {
+      summary: this.totals(true),
+      histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      trend: new Map(buckets.map(start => [start, this.totals(false)]))
+    };
+  }
+
+  totals(withDelays) {
+    return { review_count: 0, rated_count: 0, rating_sum: 0, response_count: 0, delays: withDelays ? [] : null };
+  }
+
+  count(tally, review, interval) {
+    if (Number.isFinite(review.rating)) {
+      tally.histogram[Math.min(5, Math.max(1, Math.round(review.rating)))]++;
+    }
+
+    this.add(tally.summary, review);
+
+    const bucket = tally.trend.get(this.bucketStart(new Date(review.posted_at), interval));
+    if (bucket) this.add(bucket, review);
+  }
+
+  add(totals, review) {
+    totals.review_count++;
+
+    if (Number.isFinite(review.rating)) {
+      totals.rated_count++;
+      totals.rating_sum += review.rating;
+    }
+
+    if (review.response_text || review.response_date) {
+      totals.response_count++;
+
+      // Delays before the review was posted are bad data, not instant replies
+      const delay = review.response_date ? new Date(review.response_date) - new Date(review.posted_at) : NaN;
+      if (totals.delays && delay >= 0) totals.delays.push(delay);
+    }
+  }
+
+  report(tally) {
+    return {
+      summary: this.summarize(tally.summary),
+      rating_histogram: tally.histogram,
+      trend: [...tally.trend].map(([start, totals]) => {
+        const { review_count, average_rating, response_rate } = this.summarize(totals);
+        return { period: start, review_count, average_rating, response_rate };
+      })
+    };
+  }
+
+  summarize(totals) {
+    const delays = totals.delays ? totals.delays.sort((a, b) => a - b) : [];
+
+    return {
+      review_count: totals.review_count,
+      average_rating: totals.rated_count ? this.round(totals.rating_sum / totals.rated_count, 2) : null,
+      response_count: totals.response_count,
+      response_rate: totals.review_count ? this.round(totals.response_count / totals.review_count, 3) : null,
+      median_response_hours: delays.length ? this.round(this.median(delays) / 3600000, 1) : null
+    };
+  }
+
+  // Differences of the current range against the comparison range; null where either
+  // side has nothing to compare
+  compareSummaries(current, previous) {
+    const delta = (field, digits) => {
+      const now = current?.[field] ?? null;
+      const before = previous?.[field] ?? null;
+      return now === null || before === null ? null : this.round(now - before, digits);
+    };
+
+    const currentCount = current?.review_count || 0;
+    const previousCount = previous?.review_count || 0;
+
+    return {
+      review_count: currentCount - previousCount,
+      review_count_pct: previousCount ? this.round((currentCount - previousCount) / previousCount * 100, 1) : null,
+      average_rating: delta('average_rating', 2),
+      response_rate: delta('response_rate', 3),
+      median_response_hours: delta('median_response_hours', 1)
+    };
+  }
+
+  // Every bucket in the range, including empty ones, so trends chart without gaps
+  bucketStarts(range, interval) {
+    const starts = [];
+    let start = new Date(this.bucketStart(range.from, interval));
+
+    while (start < range.to) {
+      starts.push(start.toISOString().slice(0, 10));
+      if (interval === 'week') {
+        start.setUTCDate(start.getUTCDate() + 7);
+      } else {
+        start = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+      }
+    }
+
+    return starts;
+  }
+
+  // A bucket is named by its first day (UTC); weeks start on Monday
+  bucketStart(date, interval) {
+    if (interval === 'week') {
+      const day = (date.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day)).toISOString().slice(0, 10);
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString().slice(0, 10);
+  }
+
+  median(sorted) {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = AnalyticsManager;
@@ -0,0 +1,254 @@
+const DataForSEOClient = require('../utils/DataForSEOClient');
+const { BudgetExceededError, ValidationError } = require('../utils/errors');
+
+const BALANCE_TTL = 5 * 60 * 1000;
+
+// DataForSEO spend. Every task a job creates is recorded in provider_tasks with its
+// task_post cost and later its result counts and status codes, and the job keeps the
+// running total in provider_cost. Operators can have a monthly budget (operator_budgets,
+// falling back to DEFAULT_MONTHLY_BUDGET); once it is spent no new jobs are started.
+class CostManager {
+  constructor(supabase, logger, client = null) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.client = client;
+    this.balance = null;
+    this.pageSize = 1000;
+  }
+
+  async recordTask(job, task, { endpoint, depth }) {
+    const { error } = await this.supabase
+      .from('provider_tasks')
+      .insert({
+        job_id: job.id,
+        tour_operator_id: job.tour_operator_id,
+        platform: job.platform,
+        task_id: task.id,
+        endpoint,
+        depth,
+        cost: task.cost,
+        status_code: task.status_code,
+        status_message: task.status_message,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      this.logger.error(`Failed to record DataForSEO task ${task.id} for job ${job.id}:`, error);
+    }
+
+    return this.getJobCost(job.id);
+  }
+
+  // Result status and counts from task_get, stored against the task that produced them
+  async recordResults(taskId, task, results = []) {
+    const { error } = await this.supabase
+      .from('provider_tasks')
+      .update({
+        result_status_code: task.status_code,
+        result_status_message: task.status_message,
+        result_count: task.result_count ?? results.length,
+        items_count: results.reduce((sum, result) => sum + (result.items_count ?? result.items?.length ?? 0), 0),
+        reviews_count: results[0]?.reviews_count ?? null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('task_id', taskId);
+
+    if (error) {
+      this.logger.error(`Failed to record results of DataForSEO task ${taskId}:`, error);
+    }
+  }
+
+  async getJobCost(jobId) {
+    const { data, error } = await this.supabase
+      .from('provider_tasks')
+      .select('cost')
+      .eq('job_id', jobId);
+
+    if (error) {
+      this.logger.error(`Failed to load DataForSEO cost for job ${jobId}:`, error);
+      return null;
+    }
+
+    return this.round((data || []).reduce((sum, row) => sum + (row.cost || 0), 0));
+  }
+
+  async getJobTasks(jobId) {
+    const { data, error } = await this.supabase
+      .from('provider_tasks')
+      .select('task_id, endpoint, depth, cost, status_code, status_message, result_status_code, result_status_message, result_count, items_count, reviews_count, created_at, completed_at')
+      .eq('job_id', jobId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load DataForSEO tasks for job ${jobId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async loadTasks(since, tourOperatorId = null) {
+    const rows = [];
+
+    for (let from = 0; ; from += this.pageSize) {
+      let query = this.supabase
+        .from('provider_tasks')
+        .select('tour_operator_id, platform, cost, created_at')
+        .gte('created_at', since.toISOString());
+
+      if (tourOperatorId) query = query.eq('tour_operator_id', tourOperatorId);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .range(from, from + this.pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to load DataForSEO tasks: ${error.message}`);
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < this.pageSize) break;
+    }
+
+    return rows;
+  }
+
+  // Spend grouped by operator, platform and calendar month (UTC) over the last `months`
+  // months, including the current one
+  async getSpendReport({ months = 3 } = {}) {
+    const since = this.monthStart(new Date(), months - 1);
+    const tasks = await this.loadTasks(since);
+
+    const groups = new Map();
+    const byMonth = {};
+    let total = 0;
+
+    for (const task of tasks) {
+      const month = task.created_at.slice(0, 7);
+      const key = `${task.tour_operator_id}|${task.platform}|${month}`;
+      if (!groups.has(key)) {
+        groups.set(key, { tour_operator_id: task.tour_operator_id, platform: task.platform, month, cost: 0, tasks: 0 });
+      }
+
+      const group = groups.get(key);
+      group.cost += task.cost || 0;
+      group.tasks += 1;
+      byMonth[month] = (byMonth[month] || 0) + (task.cost || 0);
+      total += task.cost || 0;
+    }
+
+    return {
+      since: since.toISOString(),
+      total: this.round(total),
+      by_month: Object.fromEntries(Object.entries(byMonth).map(([month, cost]) => [month, this.round(cost)])),
+      by_operator: [...groups.values()]
+        .map(group => ({ ...group, cost: this.round(group.cost) }))
+        .sort((a, b) => b.month.localeCompare(a.month) || b.cost - a.cost),
+      account: await this.getAccountBalance()
+    };
+  }
+
+  // Remaining DataForSEO balance, cached briefly. Stats still load when the account
+  // can't be reached; the error is reported instead of the balance.
+  async getAccountBalance() {
+    if (this.balance && Date.now() - this.balance.loadedAt < BALANCE_TTL) {
+      return this.balance.value;
+    }
+
+    try {
+      this.client = this.client || new DataForSEOClient(this.logger);
+      const info = await this.client.getAccountInfo();
+      const money = info.tasks?.[0]?.result?.[0]?.money || {};
+
+      const value = {
+        balance: money.balance ?? null,
+        total_deposited: money.total ?? null,
+        checked_at: new Date().toISOString()
+      };
+      this.balance = { value, loadedAt: Date.now() };
+      return value;
+
+    } catch (error) {
+      this.logger.warn(`DataForSEO balance unavailable: ${error.message}`);
+      return { balance: null, error: error.message };
+    }
+  }
+
+  async getBudget(tourOperatorId) {
+    const { data, error } = await this.supabase
+      .from('operator_budgets')
+      .select('monthly_budget')
+      .eq('tour_operator_id', tourOperatorId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load budget: ${error.message}`);
+    }
+
+    if (data) {
+      return data.monthly_budget;
+    }
+
+    const fallback = parseFloat(process.env.DEFAULT_MONTHLY_BUDGET);
+    return Number.isFinite(fallback) ? fallback : null;
+  }
+
+  async getBudgetStatus(tourOperatorId) {
+    const monthStart = this.monthStart(new Date());
+    const [budget, tasks] = await Promise.all([
+      this.getBudget(tourOperatorId),
+      this.loadTasks(monthStart, tourOperatorId)
+    ]);
+    const spent = this.round(tasks.reduce((sum, task) => sum + (task.cost || 0), 0));
+
+    return {
+      month: monthStart.toISOString().slice(0, 7),
+      monthly_budget: budget,
+      spent,
+      remaining: budget === null ? null : this.round(Math.max(0, budget - spent))
+    };
+  }
+
+  // null removes the operator's own budget, so DEFAULT_MONTHLY_BUDGET applies again
+  async updateBudget(tourOperatorId, monthlyBudget) {
+    if (monthlyBudget === undefined) {
+      throw new ValidationError('monthly_budget is required (null removes the budget)');
+    }
+    if (monthlyBudget !== null && (typeof monthlyBudget !== 'number' || !Number.isFinite(monthlyBudget) || monthlyBudget < 0)) {
+      throw new ValidationError('monthly_budget must be a non-negative number or null');
+    }
+
+    const { error } = monthlyBudget === null
+      ? await this.supabase.from('operator_budgets').delete().eq('tour_operator_id', tourOperatorId)
+      : await this.supabase.from('operator_budgets').upsert({
+        tour_operator_id: tourOperatorId,
+        monthly_budget: monthlyBudget,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'tour_operator_id' });
+
+    if (error) {
+      throw new Error(`Failed to update budget: ${error.message}`);
+    }
+
+    return this.getBudgetStatus(tourOperatorId);
+  }
+
+  async assertWithinBudget(tourOperatorId) {
+    const status = await this.getBudgetStatus(tourOperatorId);
+
+    if (status.monthly_budget !== null && status.spent >= status.monthly_budget) {
+      throw new BudgetExceededError(`Monthly DataForSEO budget of $${status.monthly_budget} is used up ($${status.spent} spent in ${status.month})`);
+    }
+
+    return status;
+  }
+
+  monthStart(date, monthsBack = 0) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - monthsBack, 1));
+  }
+
+  round(amount) {
+    return Math.round(amount * 1e6) / 1e6;
+  }
+}
+
+module.exports = CostManager;
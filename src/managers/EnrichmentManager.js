@@ -0,0 +1,249 @@
+const platformRegistry = require('../platforms');
+const uploadSource = require('../platforms/UploadSource');
+const ReviewEnricher = require('../processors/ReviewEnricher');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { assertOperatorAccess } = require('../middleware/auth');
+
+const PAGE_SIZE = 500;
+
+// A running backfill updates its row after every page; one silent for this long was lost
+// with the process that ran it
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+// Backfills run the enricher over reviews already stored, e.g. after enrichment is first
+// deployed or the analyzer changes. Like exports, they run in the process that started
+// them and are tracked in enrichment_backfills.
+class EnrichmentManager {
+  constructor(supabase, logger, enricher = new ReviewEnricher(supabase, logger)) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.enricher = enricher;
+  }
+
+  // Options from the request body: source (default all sources) and force, which
+  // re-analyzes reviews the current analyzer version already covered
+  parseOptions(input = {}) {
+    if (input.source && !platformRegistry.has(input.source) && input.source !== uploadSource.name) {
+      throw new ValidationError(`Unknown source: ${input.source}`);
+    }
+
+    if (input.force !== undefined && !['true', 'false'].includes(String(input.force))) {
+      throw new ValidationError('force must be true or false');
+    }
+
+    return { source: input.source || null, force: String(input.force) === 'true' };
+  }
+
+  async startBackfill(tourOperatorId, input = {}) {
+    const { source, force } = this.parseOptions(input);
+
+    const { data: running, error: runningError } = await this.supabase
+      .from('enrichment_backfills')
+      .select('*')
+      .eq('tour_operator_id', tourOperatorId)
+      .eq('status', 'running');
+
+    if (runningError) {
+      throw new Error(`Failed to check running backfills: ${runningError.message}`);
+    }
+
+    for (const backfill of running || []) {
+      if (!await this.failIfStale(backfill)) {
+        throw new ConflictError(`Backfill ${backfill.id} is already running for this operator`);
+      }
+    }
+
+    const total = await this.countReviews(tourOperatorId, source);
+    const now = new Date().toISOString();
+
+    const { data: backfill, error } = await this.supabase
+      .from('enrichment_backfills')
+      .insert({
+        tour_operator_id: tourOperatorId,
+        source,
+        force,
+        status: 'running',
+        total,
+        processed_count: 0,
+        enriched_count: 0,
+        analyzer: this.enricher.analyzer.name,
+        analyzer_version: this.enricher.analyzer.version,
+        created_at: now,
+        updated_at: now
+      })
+      .select('*')
+      .single();
+
+    // The unique index on running backfills catches a start racing this one
+    if (error?.code === '23505') {
+      throw new ConflictError('A backfill is already running for this operator');
+    }
+    if (error || !backfill) {
+      throw new Error(`Failed to create backfill: ${error?.message}`);
+    }
+
+    // Runs in this process; failures are recorded on the backfill row
+    this.runBackfill(backfill).catch(() => {});
+
+    this.logger.info(`🏷️ Started enrichment backfill ${backfill.id} for operator ${tourOperatorId} (${total} reviews)`);
+    return this.describeBackfill(backfill);
+  }
+
+  async countReviews(tourOperatorId, source) {
+    let query = this.supabase
+      .from('external_reviews')
+      .select('id', { count: 'exact', head: true })
+      .eq('tour_operator_id', tourOperatorId);
+
+    if (source) query = query.eq('source', source);
+
+    const { count, error } = await query;
+    if (error) {
+      throw new Error(`Failed to count reviews: ${error.message}`);
+    }
+    return count || 0;
+  }
+
+  async runBackfill(backfill) {
+    let processedCount = 0;
+    let enrichedCount = 0;
+    let lastId = null;
+
+    try {
+      for (;;) {
+        let query = this.supabase
+          .from('external_reviews')
+          .select('id, tour_operator_id, source, external_id, rating, text')
+          .eq('tour_operator_id', backfill.tour_operator_id);
+
+        if (backfill.source) query = query.eq('source', backfill.source);
+        if (lastId !== null) query = query.gt('id', lastId);
+
+        const { data: reviews, error } = await query
+          .order('id', { ascending: true })
+          .limit(PAGE_SIZE);
+
+        if (error) {
+          throw new Error(`Failed to load reviews: ${error.message}`);
+        }
+        if (!reviews || reviews.length === 0) break;
+
+        const pending = backfill.force ? reviews : await this.withoutCurrentAnalysis(backfill.tour_operator_id, reviews);
+        if (pending.length > 0) {
+          enrichedCount += await this.enricher.analyzeAndStore(pending);
+        }
+
+        processedCount += reviews.length;
+        lastId = reviews[reviews.length - 1].id;
+
+        await this.updateBackfill(backfill.id, {
+          processed_count: processedCount,
+          enriched_count: enrichedCount,
+          last_review_id: lastId
+        });
+
+        if (reviews.length < PAGE_SIZE) break;
+      }
+
+      await this.updateBackfill(backfill.id, {
+        status: 'succeeded',
+        processed_count: processedCount,
+        enriched_count: enrichedCount,
+        completed_at: new Date().toISOString()
+      });
+
+      this.logger.info(`🏷️ Backfill ${backfill.id} enriched ${enrichedCount} of ${processedCount} reviews`);
+
+    } catch (error) {
+      this.logger.error(`❌ Backfill ${backfill.id} failed:`, error);
+      await this.updateBackfill(backfill.id, {
+        status: 'failed',
+        processed_count: processedCount,
+        enriched_count: enrichedCount,
+        error: error.message,
+        completed_at: new Date().toISOString()
+      });
+    }
+  }
+
+  // Drops reviews the current analyzer version has already analyzed
+  async withoutCurrentAnalysis(tourOperatorId, reviews) {
+    const { data, error } = await this.supabase
+      .from('review_enrichments')
+      .select('source, external_id')
+      .eq('tour_operator_id', tourOperatorId)
+      .eq('analyzer', this.enricher.analyzer.name)
+      .eq('analyzer_version', this.enricher.analyzer.version)
+      .in('external_id', reviews.map(review => review.external_id));
+
+    if (error) {
+      throw new Error(`Failed to load existing enrichments: ${error.message}`);
+    }
+
+    const analyzed = new Set((data || []).map(row => `${row.source}:${row.external_id}`));
+    return reviews.filter(review => !analyzed.has(`${review.source}:${review.external_id}`));
+  }
+
+  async updateBackfill(backfillId, updates) {
+    const { error } = await this.supabase
+      .from('enrichment_backfills')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', backfillId);
+
+    if (error) {
+      this.logger.error(`Failed to update backfill ${backfillId}:`, error);
+    }
+  }
+
+  // Resolves with whether the backfill was stale and has been marked failed
+  async failIfStale(backfill) {
+    if (backfill.status !== 'running' || Date.now() - new Date(backfill.updated_at) <= STALE_AFTER_MS) {
+      return false;
+    }
+
+    const message = 'Backfill was interrupted; start it again';
+    await this.updateBackfill(backfill.id, { status: 'failed', error: message, completed_at: new Date().toISOString() });
+    Object.assign(backfill, { status: 'failed', error: message });
+    return true;
+  }
+
+  async getBackfill(backfillId, auth) {
+    const { data: backfill, error } = await this.supabase
+      .from('enrichment_backfills')
+      .select('*')
+      .eq('id', backfillId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load backfill: ${error.message}`);
+    }
+    if (!backfill) {
+      throw new NotFoundError('Backfill not found');
+    }
+
+    assertOperatorAccess(auth, backfill.tour_operator_id);
+
+    await this.failIfStale(backfill);
+    return this.describeBackfill(backfill);
+  }
+
+  describeBackfill(backfill) {
+    return {
+      id: backfill.id,
+      tour_operator_id: backfill.tour_operator_id,
+      source: backfill.source,
+      force: backfill.force,
+      status: backfill.status,
+      total: backfill.total,
+      processed_count: backfill.processed_count,
+      enriched_count: backfill.enriched_count,
+      analyzer: backfill.analyzer,
+      analyzer_version: backfill.analyzer_version,
+      error: backfill.error || null,
+      created_at: backfill.created_at,
+      completed_at: backfill.completed_at || null
+    };
+  }
+}
+
+module.exports = EnrichmentManager;
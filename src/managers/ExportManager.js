@@ -0,0 +1,416 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const platformRegistry = require('../platforms');
+const uploadSource = require('../platforms/UploadSource');
+const { formatCsvRow } = require('../utils/csv');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { assertOperatorAccess } = require('../middleware/auth');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+// Column order is part of the export format: new columns are only ever appended
+const EXPORT_COLUMNS = [
+  'source',
+  'external_id',
+  'place_name',
+  'author_name',
+  'rating',
+  'text',
+  'posted_at',
+  'review_url',
+  'response_text',
+  'response_date',
+  'helpful_count',
+  'author_photo_url',
+  'author_is_local_guide',
+  'photo_urls',
+  'last_job_id',
+  'created_at'
+];
+
+const PAGE_SIZE = 1000;
+
+// A running export updates its row after every page; one silent for this long was lost
+// with the process that ran it
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+// Spreadsheets evaluate cells starting with these as formulas, and review text is untrusted
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Bulk exports of an operator's external_reviews. Small exports stream straight to the
+// response; larger ones run in the background into a file in Supabase Storage, tracked
+// in review_exports and downloaded through a signed URL.
+class ExportManager {
+  constructor(supabase, logger) {
+    this.supabase = supabase;
+    this.logger = logger;
+
+    this.config = {
+      streamLimit: parseInt(process.env.EXPORT_STREAM_LIMIT, 10) || 50000,
+      bucket: process.env.EXPORT_BUCKET || 'review-exports',
+      urlTtl: parseInt(process.env.EXPORT_URL_TTL, 10) || 3600
+    };
+  }
+
+  parseFormat(format = 'csv') {
+    if (!FORMATS[format]) {
+      throw new ValidationError(`Invalid export format: ${format}. Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+
+  // Filters from a query string or JSON body; unset filters are left out
+  parseFilters(input = {}) {
+    const filters = {};
+
+    if (input.source) {
+      if (!platformRegistry.has(input.source) && input.source !== uploadSource.name) {
+        throw new ValidationError(`Unknown source: ${input.source}`);
+      }
+      filters.source = input.source;
+    }
+
+    for (const field of ['min_rating', 'max_rating']) {
+      if (input[field] === undefined || input[field] === '') continue;
+      const rating = Number(input[field]);
+      if (!Number.isFinite(rating) || rating < 1 || rating > 5) {
+        throw new ValidationError(`${field} must be a number from 1 to 5`);
+      }
+      filters[field] = rating;
+    }
+    if (filters.min_rating > filters.max_rating) {
+      throw new ValidationError('min_rating must not be above max_rating');
+    }
+
+    for (const field of ['from', 'to']) {
+      if (!input[field]) continue;
+      if (isNaN(Date.parse(input[field]))) {
+        throw new ValidationError(`${field} must be a date or timestamp`);
+      }
+      filters[field] = String(input[field]);
+    }
+
+    if (input.has_response !== undefined && input.has_response !== '') {
+      if (!['true', 'false'].includes(String(input.has_response))) {
+        throw new ValidationError('has_response must be true or false');
+      }
+      filters.has_response = String(input.has_response) === 'true';
+    }
+
+    if (input.job_id) {
+      filters.job_id = String(input.job_id);
+    }
+
+    return filters;
+  }
+
+  applyFilters(query, tourOperatorId, filters) {
+    query = query.eq('tour_operator_id', tourOperatorId);
+
+    if (filters.source) query = query.eq('source', filters.source);
+    if (filters.min_rating !== undefined) query = query.gte('rating', filters.min_rating);
+    if (filters.max_rating !== undefined) query = query.lte('rating', filters.max_rating);
+    if (filters.from) query = query.gte('posted_at', new Date(filters.from).toISOString());
+
+    // A bare date as the upper bound includes that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to || '')) {
+      const dayAfter = new Date(filters.to);
+      dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+      query = query.lt('posted_at', dayAfter.toISOString());
+    } else if (filters.to) {
+      query = query.lte('posted_at', new Date(filters.to).toISOString());
+    }
+
+    if (filters.has_response === true) query = query.not('response_text', 'is', null);
+    if (filters.has_response === false) query = query.is('response_text', null);
+    if (filters.job_id) query = query.eq('last_job_id', filters.job_id);
+
+    return query;
+  }
+
+  async countReviews(tourOperatorId, filters) {
+    const { count, error } = await this.applyFilters(
+      this.supabase.from('external_reviews').select('id', { count: 'exact', head: true }),
+      tourOperatorId,
+      filters
+    );
+
+    if (error) {
+      throw new Error(`Failed to count reviews for export: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  // Pages through matching reviews by id, so rows written during the export neither
+  // shift pages nor show up twice
+  async *pages(tourOperatorId, filters) {
+    let lastId = null;
+
+    for (;;) {
+      let query = this.applyFilters(
+        this.supabase.from('external_reviews').select(['id', ...EXPORT_COLUMNS].join(', ')),
+        tourOperatorId,
+        filters
+      );
+      if (lastId !== null) query = query.gt('id', lastId);
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+
+      if (error) {
+        throw new Error(`Failed to load reviews for export: ${error.message}`);
+      }
+
+      if (data?.length) yield data;
+      if (!data || data.length < PAGE_SIZE) return;
+
+      lastId = data[data.length - 1].id;
+    }
+  }
+
+  // The CSV header carries a byte order mark so spreadsheet apps read it as UTF-8
+  header(format) {
+    return format === 'csv' ? `\uFEFF${formatCsvRow(EXPORT_COLUMNS)}` : '';
+  }
+
+  formatPage(reviews, format) {
+    if (format === 'ndjson') {
+      return reviews.map(review => JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, review[column] ?? null])))).join('\n') + '\n';
+    }
+
+    return reviews.map(review => formatCsvRow(EXPORT_COLUMNS.map(column => this.csvValue(review[column])))).join('');
+  }
+
+  csvValue(value) {
+    if (Array.isArray(value)) return value.join(' ');
+    if (typeof value === 'string' && FORMULA_PREFIX.test(value)) return `'${value}`;
+    return value;
+  }
+
+  async *chunks(tourOperatorId, filters, format) {
+    const header = this.header(format);
+    if (header) yield header;
+
+    for await (const page of this.pages(tourOperatorId, filters)) {
+      yield this.formatPage(page, format);
+    }
+  }
+
+  // Checks a streamed export before any of the response is sent
+  async prepareStream(tourOperatorId, input) {
+    const format = this.parseFormat(input.format);
+    const filters = this.parseFilters(input);
+
+    const total = await this.countReviews(tourOperatorId, filters);
+    if (total > this.config.streamLimit) {
+      throw new ValidationError(`${total} reviews match, more than the ${this.config.streamLimit} a streamed export allows; start a background export instead`);
+    }
+
+    return {
+      total,
+      contentType: FORMATS[format].contentType,
+      filename: `reviews-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`,
+      chunks: this.chunks(tourOperatorId, filters, format)
+    };
+  }
+
+  // Writes chunks while respecting backpressure; stops when the stream is closed early
+  async pipe(chunks, stream) {
+    for await (const chunk of chunks) {
+      if (stream.destroyed) return false;
+
+      if (!stream.write(chunk)) {
+        await new Promise(resolve => {
+          const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+          };
+          stream.on('drain', done);
+          stream.on('close', done);
+        });
+      }
+    }
+
+    return true;
+  }
+
+  async startExport(tourOperatorId, input = {}) {
+    const format = this.parseFormat(input.format);
+    const filters = this.parseFilters(input);
+    const now = new Date().toISOString();
+
+    const { data: exportRow, error } = await this.supabase
+      .from('review_exports')
+      .insert({
+        tour_operator_id: tourOperatorId,
+        format,
+        filters,
+        status: 'running',
+        row_count: 0,
+        created_at: now,
+        updated_at: now
+      })
+      .select('*')
+      .single();
+
+    if (error || !exportRow) {
+      throw new Error(`Failed to create export: ${error?.message}`);
+    }
+
+    // Runs in this process; failures are recorded on the export row
+    this.runExport(exportRow).catch(() => {});
+
+    this.logger.info(`📦 Started ${format} export ${exportRow.id} for operator ${tourOperatorId}`);
+    return this.describeExport(exportRow);
+  }
+
+  async runExport(exportRow) {
+    const { extension, contentType } = FORMATS[exportRow.format];
+    const tmpPath = path.join(os.tmpdir(), `review-export-${exportRow.id}.${extension}`);
+    const file = fs.createWriteStream(tmpPath);
+    let rowCount = 0;
+
+    try {
+      const header = this.header(exportRow.format);
+      if (header) await this.pipe([header], file);
+
+      for await (const page of this.pages(exportRow.tour_operator_id, exportRow.filters || {})) {
+        await this.pipe([this.formatPage(page, exportRow.format)], file);
+        rowCount += page.length;
+        await this.updateExport(exportRow.id, { row_count: rowCount });
+      }
+
+      await new Promise((resolve, reject) => {
+        file.once('error', reject);
+        file.end(resolve);
+      });
+
+      const { size } = await fs.promises.stat(tmpPath);
+      const filePath = `${exportRow.tour_operator_id}/${exportRow.id}.${extension}`;
+
+      // Uploaded from disk as it is read, so a large export never sits in memory whole;
+      // fetch needs duplex set to send a stream as the request body
+      const { error } = await this.supabase.storage
+        .from(this.config.bucket)
+        .upload(filePath, fs.createReadStream(tmpPath), { contentType, upsert: true, duplex: 'half' });
+
+      if (error) {
+        throw new Error(`Failed to store export file: ${error.message}`);
+      }
+
+      await this.updateExport(exportRow.id, {
+        status: 'succeeded',
+        row_count: rowCount,
+        file_path: filePath,
+        file_size: size,
+        completed_at: new Date().toISOString()
+      });
+
+      this.logger.info(`📦 Export ${exportRow.id} finished with ${rowCount} reviews`);
+
+    } catch (error) {
+      this.logger.error(`❌ Export ${exportRow.id} failed:`, error);
+      await this.updateExport(exportRow.id, {
+        status: 'failed',
+        row_count: rowCount,
+        error: error.message,
+        completed_at: new Date().toISOString()
+      });
+
+    } finally {
+      file.destroy();
+      await fs.promises.unlink(tmpPath).catch(() => {});
+    }
+  }
+
+  async updateExport(exportId, updates) {
+    const { error } = await this.supabase
+      .from('review_exports')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', exportId);
+
+    if (error) {
+      this.logger.error(`Failed to update export ${exportId}:`, error);
+    }
+  }
+
+  async getExport(exportId, auth) {
+    const { data: exportRow, error } = await this.supabase
+      .from('review_exports')
+      .select('*')
+      .eq('id', exportId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load export: ${error.message}`);
+    }
+    if (!exportRow) {
+      throw new NotFoundError('Export not found');
+    }
+
+    assertOperatorAccess(auth, exportRow.tour_operator_id);
+
+    if (exportRow.status === 'running' && Date.now() - new Date(exportRow.updated_at) > STALE_AFTER_MS) {
+      const message = 'Export was interrupted; start it again';
+      await this.updateExport(exportRow.id, { status: 'failed', error: message, completed_at: new Date().toISOString() });
+      Object.assign(exportRow, { status: 'failed', error: message });
+    }
+
+    const described = this.describeExport(exportRow);
+
+    if (exportRow.status === 'succeeded') {
+      const { data: signed, error: signError } = await this.supabase.storage
+        .from(this.config.bucket)
+        .createSignedUrl(exportRow.file_path, this.config.urlTtl, { download: true });
+
+      if (signError) {
+        throw new Error(`Failed to sign export download: ${signError.message}`);
+      }
+
+      described.download_url = signed.signedUrl;
+      described.download_expires_at = new Date(Date.now() + this.config.urlTtl * 1000).toISOString();
+    }
+
+    return described;
+  }
+
+  async listExports(tourOperatorId, { limit = 20, offset = 0 } = {}) {
+    const { data, error, count } = await this.supabase
+      .from('review_exports')
+      .select('*', { count: 'exact' })
+      .eq('tour_operator_id', tourOperatorId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to list exports: ${error.message}`);
+    }
+
+    return { exports: (data || []).map(row => this.describeExport(row)), total: count || 0 };
+  }
+
+  // The storage path stays internal; callers download through a signed URL
+  describeExport(exportRow) {
+    return {
+      id: exportRow.id,
+      tour_operator_id: exportRow.tour_operator_id,
+      format: exportRow.format,
+      filters: exportRow.filters,
+      status: exportRow.status,
+      row_count: exportRow.row_count,
+      file_size: exportRow.file_size || null,
+      error: exportRow.error || null,
+      created_at: exportRow.created_at,
+      completed_at: exportRow.completed_at || null
+    };
+  }
+}
+
+module.exports = ExportManager;
@@ -1,12 +1,46 @@
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { assertOperatorAccess } = require('../middleware/auth');
+const platformRegistry = require('../platforms');
+const uploadSource = require('../platforms/UploadSource');
+const ReviewWriter = require('../processors/ReviewWriter');
+const CostManager = require('./CostManager');
+const ProviderRegistry = require('../providers/ProviderRegistry');
+const ProgressTracker = require('../utils/ProgressTracker');
+const JobEventBus = require('../events/JobEventBus');
+
+const RETRY_MODES = ['fresh', 'resume'];
+const SYNC_MODES = ['full', 'incremental'];
+
 class JobManager {
-  constructor(supabase, logger) {
+  constructor(supabase, logger, jobQueue, events = new JobEventBus(supabase, logger), providers = new ProviderRegistry(supabase, logger)) {
     this.supabase = supabase;
     this.logger = logger;
+    this.jobQueue = jobQueue;
+    this.events = events;
+    this.providers = providers;
+    this.writer = new ReviewWriter(supabase, logger);
+    this.progressTracker = new ProgressTracker(supabase, logger);
+    this.costs = new CostManager(supabase, logger);
+    this.sweepTimer = null;
   }
 
-  async startJob({ job_id, platform, url, full_history = true }) {
+  async startJob({ job_id, platform, url, full_history = true, mode = 'full', provider = null, fallback_provider = null, provider_options = null }, auth) {
     try {
-      this.logger.info(`🚀 Starting job ${job_id} for ${platform}: ${url}`);
+      if (!SYNC_MODES.includes(mode)) {
+        throw new ValidationError(`Invalid sync mode: ${mode}. Use one of: ${SYNC_MODES.join(', ')}`);
+      }
+
+      // Reject unsupported platforms and unusable URLs before any work is queued
+      const adapter = platformRegistry.get(platform);
+      adapter.normalizeTarget(url);
+
+      if (mode === 'incremental' && !adapter.capabilities.newestFirst) {
+        throw new ValidationError(`${platform} does not support incremental syncs`);
+      }
+
+      this.providers.validateChoice(adapter, provider, fallback_provider, provider_options);
+
+      this.logger.info(`🚀 Starting ${mode} job ${job_id} for ${platform}: ${url}`);
 
       // Get job details from database
       const { data: job, error: jobError } = await this.supabase
@@ -16,34 +50,65 @@ class JobManager {
         .single();
 
       if (jobError || !job) {
-        throw new Error(`Job ${job_id} not found in database`);
+        throw new NotFoundError(`Job ${job_id} not found in database`);
       }
 
+      assertOperatorAccess(auth, job.tour_operator_id);
+
+      // Jobs that may create DataForSEO tasks are refused once the budget is spent
+      await this.assertWithinBudget(job.tour_operator_id, provider, fallback_provider);
+
+      const providerChoice = {
+        provider,
+        fallback_provider,
+        provider_options
+      };
+
       // Update job status to running if it's not already
       if (job.status !== 'running') {
         await this.supabase
           .from('review_sync_jobs')
           .update({
             status: 'running',
+            sync_mode: mode,
+            ...providerChoice,
             started_at: new Date().toISOString(),
-            progress_percentage: 0,
+            ...this.progressTracker.phaseUpdate('queued'),
             updated_at: new Date().toISOString()
           })
           .eq('id', job_id);
+      } else if (job.sync_mode !== mode) {
+        await this.supabase
+          .from('review_sync_jobs')
+          .update({ sync_mode: mode, ...providerChoice, updated_at: new Date().toISOString() })
+          .eq('id', job_id);
       }
 
-      // Send started notification
-      await this.sendNotification(job_id, job.tour_operator_id, 'started', 
-        `Review import started for ${job.source_business_name || 'your business'}`);
+      // Hand the job to the worker pool
+      await this.jobQueue.enqueue(job_id);
 
-      // Estimate completion time based on full_history setting
-      const estimatedMinutes = full_history ? 15 : 5;
-      const estimatedCompletion = new Date(Date.now() + estimatedMinutes * 60000);
+      // Send started notification
+      await this.events.publish(job_id, 'started', {
+        platform,
+        mode,
+        message: `Review import started for ${job.source_business_name || 'your business'}`
+      });
+
+      // Estimated from how long earlier jobs on this platform took
+      const estimate = await this.progressTracker.estimate({
+        ...job,
+        status: 'running',
+        phase: job.status === 'running' ? job.phase : 'queued',
+        full_history: full_history && mode === 'full'
+      });
 
       return {
         job_id,
         status: 'running',
-        estimated_completion: estimatedCompletion.toISOString(),
+        estimated_completion: estimate.remaining_ms !== null
+          ? new Date(Date.now() + estimate.remaining_ms).toISOString()
+          : null,
+        eta_confidence: this.roundConfidence(estimate.confidence),
         message: 'Job started successfully'
       };
 
@@ -53,12 +118,150 @@ class JobManager {
     }
   }
 
-  async getJobStatus(jobId) {
+  async requeuePendingJobs() {
+    try {
+      // Re-queue jobs the database still considers active, e.g. after a Redis flush or
+      // when the in-memory queue was lost on restart. Already queued jobs are skipped.
+      // Upload jobs never go on the queue.
+      const { data: jobs, error } = await this.supabase
+        .from('review_sync_jobs')
+        .select('id')
+        .in('status', ['running', 'processing'])
+        .neq('platform', uploadSource.name)
+        .order('started_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch jobs: ${error.message}`);
+      }
+
+      for (const job of jobs || []) {
+        await this.jobQueue.enqueue(job.id);
+      }
+
+      this.logger.info(`📋 Re-queued ${jobs?.length || 0} pending jobs`);
+
+      return (jobs || []).map(job => job.id);
+
+    } catch (error) {
+      this.logger.error('Error re-queuing pending jobs:', error);
+      throw error;
+    }
+  }
+
+  async handleProviderCallback(taskId, tag) {
+    // Tags are "job:<id>", set when the DataForSEO task was created
+    const jobId = tag?.startsWith('job:') ? tag.slice(4) : null;
+    if (!jobId || !taskId) {
+      throw new ValidationError('Callback is missing task id or job tag');
+    }
+
+    const { data: job, error } = await this.supabase
+      .from('review_sync_jobs')
+      .select('id, status, last_cursor')
+      .eq('id', jobId)
+      .single();
+
+    if (error || !job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+
+    const cursor = JSON.parse(job.last_cursor || '{}');
+
+    // Late callbacks for superseded tasks (e.g. a widened incremental window) or
+    // finished jobs are acknowledged but ignored
+    if (cursor.task_id !== taskId || !['running', 'processing'].includes(job.status)) {
+      this.logger.info(`📨 Ignoring DataForSEO callback for task ${taskId} (job ${jobId}, ${job.status})`);
+      return { job_id: jobId, queued: false };
+    }
+
+    await this.jobQueue.enqueue(jobId);
+    this.logger.info(`📨 DataForSEO task ${taskId} ready, re-queued job ${jobId}`);
+
+    return { job_id: jobId, queued: true };
+  }
+
+  async requeueStaleJobs(staleAfterMs) {
+    try {
+      // Fallback for tasks whose callback never arrived: jobs that are active but haven't
+      // been touched for a while go back on the queue. Jobs a worker is still running are
+      // already queued under the same id, so this is a no-op for them.
+      const cutoff = new Date(Date.now() - staleAfterMs).toISOString();
+
+      const { data: stale, error } = await this.supabase
+        .from('review_sync_jobs')
+        .select('id, platform')
+        .in('status', ['running', 'processing'])
+        .lt('updated_at', cutoff);
+
+      if (error) {
+        throw new Error(`Failed to fetch stale jobs: ${error.message}`);
+      }
+
+      // An upload's rows were lost with the process that stopped writing them
+      const uploads = (stale || []).filter(job => job.platform === uploadSource.name);
+      const jobs = (stale || []).filter(job => job.platform !== uploadSource.name);
+
+      for (const job of uploads) {
+        await this.failInterruptedUpload(job.id);
+      }
+
+      for (const job of jobs) {
+        await this.jobQueue.enqueue(job.id);
+      }
+
+      if (jobs.length) {
+        this.logger.info(`🧹 Re-queued ${jobs.length} stale jobs`);
+      }
+
+      return jobs.map(job => job.id);
+
+    } catch (error) {
+      this.logger.error('Error re-queuing stale jobs:', error);
+      throw error;
+    }
+  }
+
+  async failInterruptedUpload(jobId) {
+    const message = 'Upload was interrupted; upload the file again';
+
+    const { error } = await this.supabase
+      .from('review_sync_jobs')
+      .update({
+        status: 'failed',
+        error: message,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .in('status', ['running', 'processing']);
+
+    if (error) {
+      throw new Error(`Failed to fail upload job ${jobId}: ${error.message}`);
+    }
+
+    await this.events.publish(jobId, 'failed', { status: 'failed', error: message, message: `Import failed: ${message}` });
+    this.logger.warn(`🧹 Upload job ${jobId} stopped progressing and was marked failed`);
+  }
+
+  startSweeper(intervalMs, staleAfterMs) {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.requeueStaleJobs(staleAfterMs).catch(() => {});
+    }, intervalMs);
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  async getJobStatus(jobId, auth) {
     try {
       const { data: job, error } = await this.supabase
         .from('review_sync_jobs')
         .select(`
           id,
+          tour_operator_id,
           platform,
           source_business_name,
           status,
@@ -69,31 +272,58 @@ class JobManager {
           completed_at,
           updated_at,
           error,
-          full_history
+          full_history,
+          sync_mode,
+          provider,
+          fallback_provider,
+          active_provider,
+          new_count,
+          updated_count,
+          unchanged_count,
+          rating_changed_count,
+          new_response_count,
+          rolling_average,
+          provider_cost,
+          duplicates_collapsed,
+          rejected_count,
+          dead_letter_count,
+          phase,
+          phase_started_at,
+          last_cursor
         `)
         .eq('id', jobId)
         .single();
 
       if (error || !job) {
-        throw new Error(`Job ${jobId} not found`);
+        throw new NotFoundError(`Job ${jobId} not found`);
       }
 
+      assertOperatorAccess(auth, job.tour_operator_id);
+
       // Calculate additional status info
       const now = new Date();
       const startTime = new Date(job.started_at);
       const elapsedMinutes = Math.floor((now - startTime) / 60000);
 
-      let estimatedTimeRemaining = null;
-      if (job.status === 'running' || job.status === 'processing') {
-        const totalEstimatedMinutes = job.full_history ? 15 : 5;
-        const remainingMinutes = Math.max(0, totalEstimatedMinutes - elapsedMinutes);
-        estimatedTimeRemaining = remainingMinutes;
-      }
+      const status = { ...job };
+      delete status.last_cursor;
+      const estimate = await this.progressTracker.estimate(job);
+      const providerTasks = await this.costs.getJobTasks(jobId);
+      const active = estimate.remaining_ms !== null;
 
       return {
-        ...job,
+        ...status,
+        phase: estimate.phase,
+        phase_progress: estimate.phase_progress,
+        // Nothing is written while DataForSEO works on the task, so progress is derived live
+        progress_percentage: active
+          ? Math.max(job.progress_percentage || 0, this.progressTracker.progressFor(estimate.phase, estimate.phase_progress / 100))
+          : job.progress_percentage,
         elapsed_minutes: elapsedMinutes,
-        estimated_time_remaining_minutes: estimatedTimeRemaining,
+        estimated_time_remaining_minutes: active ? Math.ceil(estimate.remaining_ms / 60000) : null,
+        estimated_completion: active ? new Date(now.getTime() + estimate.remaining_ms).toISOString() : null,
+        eta_confidence: this.roundConfidence(estimate.confidence),
+        provider_tasks: providerTasks,
         reviews_per_minute: job.imported_count && elapsedMinutes > 0 
           ? Math.round(job.imported_count / elapsedMinutes) 
           : null
@@ -105,6 +335,142 @@ class JobManager {
     }
   }
 
+  async assertWithinBudget(tourOperatorId, provider, fallbackProvider) {
+    if (this.providers.usesDataForSEO(provider, fallbackProvider)) {
+      await this.costs.assertWithinBudget(tourOperatorId);
+    }
+  }
+
+  // Loads a job the caller may see, e.g. before opening its event stream
+  async getAuthorizedJob(jobId, auth) {
+    const { data: job, error } = await this.supabase
+      .from('review_sync_jobs')
+      .select('id, tour_operator_id, status')
+      .eq('id', jobId)
+      .single();
+
+    if (error || !job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+
+    assertOperatorAccess(auth, job.tour_operator_id);
+
+    return job;
+  }
+
+  async getRejectedReviews(jobId, auth, limit = 50, offset = 0) {
+    try {
+      const { data: job, error: jobError } = await this.supabase
+        .from('review_sync_jobs')
+        .select('id, tour_operator_id')
+        .eq('id', jobId)
+        .single();
+
+      if (jobError || !job) {
+        throw new NotFoundError(`Job ${jobId} not found`);
+      }
+
+      assertOperatorAccess(auth, job.tour_operator_id);
+
+      const { data: rejected, error, count } = await this.supabase
+        .from('rejected_reviews')
+        .select('id, external_id, reasons, raw_payload, created_at', { count: 'exact' })
+        .eq('job_id', jobId)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      return { rejected: rejected || [], total: count || 0 };
+
+    } catch (error) {
+      this.logger.error(`Error getting rejected reviews for job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  async getDeadLetters(jobId, auth, limit = 50, offset = 0) {
+    try {
+      const { data: job, error: jobError } = await this.supabase
+        .from('review_sync_jobs')
+        .select('id, tour_operator_id')
+        .eq('id', jobId)
+        .single();
+
+      if (jobError || !job) {
+        throw new NotFoundError(`Job ${jobId} not found`);
+      }
+
+      assertOperatorAccess(auth, job.tour_operator_id);
+
+      const { data: deadLetters, error, count } = await this.supabase
+        .from('review_dead_letters')
+        .select('id, external_id, error, attempts, record, created_at, replayed_at', { count: 'exact' })
+        .eq('job_id', jobId)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      return { dead_letters: deadLetters || [], total: count || 0 };
+
+    } catch (error) {
+      this.logger.error(`Error getting dead letters for job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  async replayDeadLetters(jobId, auth) {
+    try {
+      const { data: job, error: jobError } = await this.supabase
+        .from('review_sync_jobs')
+        .select('id, tour_operator_id, status, imported_count')
+        .eq('id', jobId)
+        .single();
+
+      if (jobError || !job) {
+        throw new NotFoundError(`Job ${jobId} not found`);
+      }
+
+      assertOperatorAccess(auth, job.tour_operator_id);
+
+      if (job.status !== 'partially_succeeded') {
+        throw new ConflictError(`Only partially succeeded jobs have reviews to replay, job is ${job.status}`);
+      }
+
+      const { replayed, remaining } = await this.writer.replay(jobId);
+
+      // Once every dead-lettered review is stored the job counts as a full success
+      await this.supabase
+        .from('review_sync_jobs')
+        .update({
+          status: remaining === 0 ? 'succeeded' : 'partially_succeeded',
+          imported_count: (job.imported_count || 0) + replayed,
+          dead_letter_count: remaining,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId);
+
+      if (replayed > 0) {
+        await this.events.publish(jobId, 'dead_letters_replayed', {
+          replayed,
+          remaining,
+          message: `Replayed ${replayed} reviews that failed to save, ${remaining} still failing`
+        });
+      }
+
+      return { success: true, replayed, remaining };
+
+    } catch (error) {
+      this.logger.error(`Error replaying dead letters for job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
   async getProcessingStats() {
     try {
       // Get overall statistics
@@ -140,6 +506,7 @@ class JobManager {
       const totalJobs = jobs.length;
       const runningJobs = jobs.filter(j => j.status === 'running' || j.status === 'processing').length;
       const completedJobs = jobs.filter(j => j.status === 'succeeded').length;
+      const partialJobs = jobs.filter(j => j.status === 'partially_succeeded').length;
       const failedJobs = jobs.filter(j => j.status === 'failed').length;
       const totalReviews = jobs.reduce((sum, j) => sum + (j.imported_count || 0), 0);
 
@@ -147,6 +514,7 @@ class JobManager {
         total_jobs: totalJobs,
         running_jobs: runningJobs,
         completed_jobs: completedJobs,
+        partially_succeeded_jobs: partialJobs,
         failed_jobs: failedJobs,
         total_reviews_imported: totalReviews,
         success_rate: totalJobs > 0 ? Math.round((completedJobs / totalJobs) * 100) : 0,
@@ -159,6 +527,7 @@ class JobManager {
         total_jobs: 0,
         running_jobs: 0,
         completed_jobs: 0,
+        partially_succeeded_jobs: 0,
         failed_jobs: 0,
         total_reviews_imported: 0,
         success_rate: 0,
@@ -167,9 +536,9 @@ class JobManager {
     }
   }
 
-  async getJobHistory(userId, limit = 10) {
+  async getJobHistory(userId, limit = 10, offset = 0) {
     try {
-      const { data: jobs, error } = await this.supabase
+      const { data: jobs, error, count } = await this.supabase
         .from('review_sync_jobs')
         .select(`
           id,
@@ -182,16 +551,16 @@ class JobManager {
           started_at,
           completed_at,
           error
-        `)
+        `, { count: 'exact' })
         .eq('tour_operator_id', userId)
         .order('started_at', { ascending: false })
-        .limit(limit);
+        .range(offset, offset + limit - 1);
 
       if (error) {
         throw error;
       }
 
-      return jobs || [];
+      return { jobs: jobs || [], total: count || 0 };
 
     } catch (error) {
       this.logger.error(`Error getting job history for user ${userId}:`, error);
@@ -199,9 +568,9 @@ class JobManager {
     }
   }
 
-  async cancelJob(jobId, userId) {
+  async cancelJob(jobId, auth) {
     try {
-      // Verify job belongs to user
+      // Verify job belongs to the caller
       const { data: job, error: jobError } = await this.supabase
         .from('review_sync_jobs')
         .select('tour_operator_id, status')
@@ -209,31 +578,44 @@ class JobManager {
         .single();
 
       if (jobError || !job) {
-        throw new Error('Job not found');
+        throw new NotFoundError('Job not found');
       }
 
-      if (job.tour_operator_id !== userId) {
-        throw new Error('Unauthorized to cancel this job');
-      }
+      assertOperatorAccess(auth, job.tour_operator_id);
 
       if (!['running', 'processing'].includes(job.status)) {
-        throw new Error('Job cannot be cancelled in current status');
+        throw new ConflictError(`Job cannot be cancelled in current status: ${job.status}`);
       }
 
-      // Update job status
-      await this.supabase
+      // Update job status. A worker already running the job notices the status
+      // change at its next checkpoint and stops. The status condition keeps a job
+      // that finished since it was read from being overwritten.
+      const { data: cancelled, error: updateError } = await this.supabase
         .from('review_sync_jobs')
         .update({
           status: 'cancelled',
           updated_at: new Date().toISOString(),
+          completed_at: new Date().toISOString(),
           error: 'Cancelled by user'
         })
-        .eq('id', jobId);
+        .eq('id', jobId)
+        .in('status', ['running', 'processing'])
+        .select('id');
+
+      if (updateError) {
+        throw new Error(`Failed to cancel job: ${updateError.message}`);
+      }
+      if (!cancelled || cancelled.length === 0) {
+        throw new ConflictError('Job finished before it could be cancelled');
+      }
+
+      // Drop it from the queue if no worker has picked it up yet
+      await this.jobQueue.remove(jobId);
 
       // Send cancellation notification
-      await this.sendNotification(jobId, userId, 'cancelled', 'Review import was cancelled');
+      await this.events.publish(jobId, 'cancelled', { status: 'cancelled', message: 'Review import was cancelled' });
 
-      this.logger.info(`Job ${jobId} cancelled by user ${userId}`);
+      this.logger.info(`Job ${jobId} cancelled by ${auth.type} ${auth.tourOperatorId || ''}`.trim());
 
       return { success: true, message: 'Job cancelled successfully' };
 
@@ -243,44 +625,95 @@ class JobManager {
     }
   }
 
-  async retryJob(jobId, userId) {
+  async retryJob(jobId, auth, { mode = 'fresh' } = {}) {
     try {
-      // Verify job belongs to user
+      if (!RETRY_MODES.includes(mode)) {
+        throw new ValidationError(`Invalid retry mode: ${mode}. Use one of: ${RETRY_MODES.join(', ')}`);
+      }
+
+      // Verify job belongs to the caller
       const { data: job, error: jobError } = await this.supabase
         .from('review_sync_jobs')
         .select('*')
         .eq('id', jobId)
-        .eq('tour_operator_id', userId)
         .single();
 
       if (jobError || !job) {
-        throw new Error('Job not found');
+        throw new NotFoundError('Job not found');
       }
 
+      assertOperatorAccess(auth, job.tour_operator_id);
+
       if (job.status !== 'failed') {
-        throw new Error('Only failed jobs can be retried');
+        throw new ConflictError('Only failed jobs can be retried');
       }
 
-      // Reset job status
-      await this.supabase
-        .from('review_sync_jobs')
-        .update({
-          status: 'running',
+      if (job.platform === uploadSource.name) {
+        throw new ConflictError('Upload jobs cannot be retried; upload the file again');
+      }
+
+      // A fresh retry may pay for a new DataForSEO task
+      if (mode === 'fresh') {
+        await this.assertWithinBudget(job.tour_operator_id, job.provider, job.fallback_provider);
+      }
+
+      // "fresh" drops the cursor and creates a new DataForSEO task; "resume" keeps
+      // the task and batch checkpoint so only the remaining reviews are imported
+      const updates = {
+        status: 'running',
+        completed_at: null,
+        error: null,
+        updated_at: new Date().toISOString()
+      };
+
+      // Everything the failed run reported is cleared together, so the restarted job
+      // never shows totals from the earlier attempt
+      if (mode === 'fresh') {
+        Object.assign(updates, {
           started_at: new Date().toISOString(),
-          progress_percentage: 0,
+          ...this.progressTracker.phaseUpdate('queued'),
+          last_cursor: null,
           imported_count: 0,
-          error: null,
-          updated_at: new Date().toISOString(),
-          last_cursor: null // Reset cursor to start fresh
-        })
-        .eq('id', jobId);
+          rejected_count: 0,
+          dead_letter_count: 0,
+          total_available: null,
+          new_count: null,
+          updated_count: null,
+          unchanged_count: null,
+          rating_changed_count: null,
+          new_response_count: null,
+          rolling_average: null,
+          duplicates_collapsed: null,
+          task_depth: null,
+          provider_turnaround_ms: null,
+          ingest_rate: null
+        });
+      }
+
+      // Only the retry that moves the job out of 'failed' enqueues it
+      const { data: retried, error: updateError } = await this.supabase
+        .from('review_sync_jobs')
+        .update(updates)
+        .eq('id', jobId)
+        .eq('status', 'failed')
+        .select('id');
+
+      if (updateError) {
+        throw new Error(`Failed to retry job: ${updateError.message}`);
+      }
+      if (!retried || retried.length === 0) {
+        throw new ConflictError('Job was retried by another request');
+      }
+
+      await this.jobQueue.enqueue(jobId);
 
       // Send retry notification
-      await this.sendNotification(jobId, userId, 'started', 'Review import restarted');
+      const message = mode === 'resume' ? 'Review import resumed' : 'Review import restarted';
+      await this.events.publish(jobId, 'started', { platform: job.platform, mode: job.sync_mode, retry: mode, message });
 
-      this.logger.info(`Job ${jobId} retried by user ${userId}`);
+      this.logger.info(`Job ${jobId} retried (${mode}) by ${auth.type} ${auth.tourOperatorId || ''}`.trim());
 
-      return { success: true, message: 'Job restarted successfully' };
+      return { success: true, mode, message: `Job ${mode === 'resume' ? 'resumed' : 'restarted'} successfully` };
 
     } catch (error) {
       this.logger.error(`Error retrying job ${jobId}:`, error);
@@ -288,23 +721,8 @@ class JobManager {
     }
   }
 
-  async sendNotification(jobId, userId, type, message) {
-    try {
-      await this.supabase
-        .from('job_notifications')
-        .insert({
-          user_id: userId,
-          job_id: jobId,
-          type,
-          message
-        });
-
-      this.logger.info(`Notification sent for job ${jobId}: ${type} - ${message}`);
-
-    } catch (error) {
-      this.logger.error('Failed to send notification:', error);
-      // Don't throw error for notification failures
-    }
+  roundConfidence(confidence) {
+    return confidence === null ? null : Math.round(confidence * 100) / 100;
   }
 
   async cleanupOldJobs(daysOld = 30) {
@@ -314,7 +732,7 @@ class JobManager {
       const { data: deletedJobs, error } = await this.supabase
         .from('review_sync_jobs')
         .delete()
-        .in('status', ['succeeded', 'failed', 'cancelled'])
+        .in('status', ['succeeded', 'partially_succeeded', 'failed', 'cancelled'])
         .lt('completed_at', cutoffDate.toISOString())
         .select('id');
 
@@ -0,0 +1,370 @@
+const cronParser = require('cron-parser');
+const { NotFoundError, ValidationError, BudgetExceededError } = require('../utils/errors');
+const { assertOperatorAccess } = require('../middleware/auth');
+const platformRegistry = require('../platforms');
+const CostManager = require('./CostManager');
+const ProviderRegistry = require('../providers/ProviderRegistry');
+const JobEventBus = require('../events/JobEventBus');
+
+const FREQUENCIES = ['daily', 'weekly', 'cron'];
+const SYNC_MODES = ['full', 'incremental'];
+
+const SCHEDULE_FIELDS = [
+  'platform',
+  'source_business_id',
+  'source_business_name',
+  'frequency',
+  'cron_expression',
+  'time_of_day',
+  'day_of_week',
+  'timezone',
+  'mode',
+  'provider',
+  'fallback_provider',
+  'provider_options',
+  'full_history',
+  'enabled'
+];
+
+class ScheduleManager {
+  constructor(supabase, logger, jobQueue, events = new JobEventBus(supabase, logger), providers = new ProviderRegistry(supabase, logger)) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.jobQueue = jobQueue;
+    this.events = events;
+    this.costs = new CostManager(supabase, logger);
+    this.providers = providers;
+    this.timer = null;
+  }
+
+  async listSchedules(tourOperatorId) {
+    const { data, error } = await this.supabase
+      .from('review_sync_schedules')
+      .select('*')
+      .eq('tour_operator_id', tourOperatorId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to list schedules: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async getSchedule(scheduleId, auth) {
+    const { data: schedule, error } = await this.supabase
+      .from('review_sync_schedules')
+      .select('*')
+      .eq('id', scheduleId)
+      .single();
+
+    if (error || !schedule) {
+      throw new NotFoundError('Schedule not found');
+    }
+
+    assertOperatorAccess(auth, schedule.tour_operator_id);
+
+    return schedule;
+  }
+
+  async createSchedule(tourOperatorId, input) {
+    const schedule = this.normalizeSchedule({
+      frequency: 'daily',
+      timezone: 'UTC',
+      mode: 'incremental',
+      full_history: false,
+      enabled: true,
+      ...this.pickFields(input)
+    });
+
+    const { data, error } = await this.supabase
+      .from('review_sync_schedules')
+      .insert({
+        ...schedule,
+        tour_operator_id: tourOperatorId,
+        next_run_at: schedule.enabled ? this.computeNextRun(schedule).toISOString() : null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create schedule: ${error.message}`);
+    }
+
+    this.logger.info(`🗓️ Created ${schedule.frequency} schedule ${data.id} for ${schedule.platform}`);
+    return data;
+  }
+
+  async updateSchedule(scheduleId, auth, input) {
+    const existing = await this.getSchedule(scheduleId, auth);
+    const schedule = this.normalizeSchedule({ ...existing, ...this.pickFields(input) });
+
+    const { data, error } = await this.supabase
+      .from('review_sync_schedules')
+      .update({
+        ...this.pickFields(schedule),
+        next_run_at: schedule.enabled ? this.computeNextRun(schedule).toISOString() : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', scheduleId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update schedule: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async deleteSchedule(scheduleId, auth) {
+    await this.getSchedule(scheduleId, auth);
+
+    const { error } = await this.supabase
+      .from('review_sync_schedules')
+      .delete()
+      .eq('id', scheduleId);
+
+    if (error) {
+      throw new Error(`Failed to delete schedule: ${error.message}`);
+    }
+
+    return { success: true, message: 'Schedule deleted' };
+  }
+
+  pickFields(input = {}) {
+    return SCHEDULE_FIELDS.reduce((picked, field) => {
+      if (input[field] !== undefined) picked[field] = input[field];
+      return picked;
+    }, {});
+  }
+
+  normalizeSchedule(schedule) {
+    if (!schedule.source_business_id) {
+      throw new ValidationError('Missing required field: source_business_id');
+    }
+
+    const adapter = platformRegistry.get(schedule.platform);
+    adapter.normalizeTarget(schedule.source_business_id);
+
+    if (!FREQUENCIES.includes(schedule.frequency)) {
+      throw new ValidationError(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (!SYNC_MODES.includes(schedule.mode)) {
+      throw new ValidationError(`mode must be one of: ${SYNC_MODES.join(', ')}`);
+    }
+
+    if (schedule.mode === 'incremental' && !adapter.capabilities.newestFirst) {
+      throw new ValidationError(`${schedule.platform} does not support incremental syncs`);
+    }
+
+    this.providers.validateChoice(adapter, schedule.provider, schedule.fallback_provider, schedule.provider_options);
+
+    if (schedule.time_of_day && !/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time_of_day)) {
+      throw new ValidationError('time_of_day must be HH:MM (24h)');
+    }
+
+    if (schedule.day_of_week !== undefined && schedule.day_of_week !== null &&
+        !(Number.isInteger(schedule.day_of_week) && schedule.day_of_week >= 0 && schedule.day_of_week <= 6)) {
+      throw new ValidationError('day_of_week must be an integer from 0 (Sunday) to 6');
+    }
+
+    if (schedule.frequency === 'cron' && !schedule.cron_expression) {
+      throw new ValidationError('cron_expression is required for cron schedules');
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (error) {
+      throw new ValidationError(`Unknown timezone: ${schedule.timezone}`);
+    }
+
+    // Surface bad cron expressions now rather than at the first run
+    try {
+      this.computeNextRun(schedule);
+    } catch (error) {
+      throw new ValidationError(`Invalid schedule: ${error.message}`);
+    }
+
+    return {
+      ...schedule,
+      full_history: Boolean(schedule.full_history),
+      enabled: schedule.enabled !== false
+    };
+  }
+
+  toCronExpression(schedule) {
+    if (schedule.frequency === 'cron') {
+      return schedule.cron_expression;
+    }
+
+    const [hour, minute] = (schedule.time_of_day || '03:00').split(':').map(Number);
+    const dayOfWeek = schedule.frequency === 'weekly' ? (schedule.day_of_week ?? 1) : '*';
+
+    return `${minute} ${hour} * * ${dayOfWeek}`;
+  }
+
+  computeNextRun(schedule, from = new Date()) {
+    const interval = cronParser.parseExpression(this.toCronExpression(schedule), {
+      currentDate: from,
+      tz: schedule.timezone || 'UTC'
+    });
+
+    return interval.next().toDate();
+  }
+
+  startScheduler(intervalMs = 60000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runDueSchedules().catch(error => {
+        this.logger.error('Scheduler tick failed:', error);
+      });
+    }, intervalMs);
+
+    this.logger.info(`🗓️ Scheduler checking for due syncs every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runDueSchedules() {
+    const now = new Date();
+
+    const { data: schedules, error } = await this.supabase
+      .from('review_sync_schedules')
+      .select('*')
+      .eq('enabled', true)
+      .lte('next_run_at', now.toISOString())
+      .order('next_run_at', { ascending: true })
+      .limit(50);
+
+    if (error) {
+      throw new Error(`Failed to fetch due schedules: ${error.message}`);
+    }
+
+    const results = [];
+    for (const schedule of schedules || []) {
+      try {
+        results.push(await this.runSchedule(schedule, now));
+      } catch (error) {
+        this.logger.error(`Error running schedule ${schedule.id}:`, error);
+      }
+    }
+
+    return results;
+  }
+
+  async runSchedule(schedule, now) {
+    // Claim the run by moving next_run_at forward only if nobody else has yet.
+    // Every instance runs the scheduler, so this compare-and-set prevents double firing.
+    const nextRunAt = this.computeNextRun(schedule, now).toISOString();
+
+    const { data: claimed, error: claimError } = await this.supabase
+      .from('review_sync_schedules')
+      .update({
+        next_run_at: nextRunAt,
+        last_run_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('id', schedule.id)
+      .eq('next_run_at', schedule.next_run_at)
+      .select('id');
+
+    if (claimError) {
+      throw new Error(`Failed to claim schedule: ${claimError.message}`);
+    }
+
+    if (!claimed || claimed.length === 0) {
+      return { schedule_id: schedule.id, status: 'claimed_elsewhere' };
+    }
+
+    // Skip this run while a previous sync for the same source is still going
+    const { data: activeJobs } = await this.supabase
+      .from('review_sync_jobs')
+      .select('id')
+      .eq('tour_operator_id', schedule.tour_operator_id)
+      .eq('platform', schedule.platform)
+      .eq('source_business_id', schedule.source_business_id)
+      .in('status', ['running', 'processing'])
+      .limit(1);
+
+    if (activeJobs?.length) {
+      await this.recordRun(schedule.id, { last_run_status: 'skipped', last_job_id: activeJobs[0].id });
+      this.logger.info(`⏭️ Schedule ${schedule.id} skipped, job ${activeJobs[0].id} still running`);
+      return { schedule_id: schedule.id, status: 'skipped', job_id: activeJobs[0].id };
+    }
+
+    // Runs are skipped, not failed, while the operator's monthly budget is used up
+    try {
+      if (this.providers.usesDataForSEO(schedule.provider, schedule.fallback_provider)) {
+        await this.costs.assertWithinBudget(schedule.tour_operator_id);
+      }
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+
+      await this.recordRun(schedule.id, { last_run_status: 'over_budget' });
+      this.logger.info(`⏭️ Schedule ${schedule.id} skipped: ${error.message}`);
+      return { schedule_id: schedule.id, status: 'over_budget' };
+    }
+
+    const { data: job, error: jobError } = await this.supabase
+      .from('review_sync_jobs')
+      .insert({
+        tour_operator_id: schedule.tour_operator_id,
+        platform: schedule.platform,
+        source_business_id: schedule.source_business_id,
+        source_business_name: schedule.source_business_name,
+        full_history: schedule.full_history,
+        sync_mode: schedule.mode,
+        provider: schedule.provider || null,
+        fallback_provider: schedule.fallback_provider || null,
+        provider_options: schedule.provider_options || null,
+        schedule_id: schedule.id,
+        status: 'running',
+        progress_percentage: 0,
+        phase: 'queued',
+        started_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (jobError || !job) {
+      await this.recordRun(schedule.id, { last_run_status: 'failed' });
+      throw new Error(`Failed to create scheduled job: ${jobError?.message}`);
+    }
+
+    await this.jobQueue.enqueue(job.id);
+    await this.recordRun(schedule.id, { last_run_status: 'started', last_job_id: job.id });
+
+    // Like jobs started through the API, so webhooks and notifications see scheduled runs
+    await this.events.publish(job.id, 'started', {
+      platform: schedule.platform,
+      mode: schedule.mode,
+      schedule_id: schedule.id,
+      message: `Scheduled review import started for ${schedule.source_business_name || 'your business'}`
+    });
+
+    this.logger.info(`🗓️ Schedule ${schedule.id} started job ${job.id}, next run ${nextRunAt}`);
+    return { schedule_id: schedule.id, status: 'started', job_id: job.id };
+  }
+
+  async recordRun(scheduleId, updates) {
+    const { error } = await this.supabase
+      .from('review_sync_schedules')
+      .update(updates)
+      .eq('id', scheduleId);
+
+    if (error) {
+      this.logger.error(`Failed to record run for schedule ${scheduleId}:`, error);
+    }
+  }
+}
+
+module.exports = ScheduleManager;
@@ -0,0 +1,168 @@
+const FileProvider = require('../providers/FileProvider');
+const uploadSource = require('../platforms/UploadSource');
+const { ValidationError } = require('../utils/errors');
+
+const FORMATS = ['csv', 'ndjson', 'json'];
+const PREVIEW_SIZE = 20;
+const MAX_REPORTED_ERRORS = 500;
+
+// Reviews operators upload from booking systems or older tools. Rows are mapped with
+// the file provider's column mapping and run through the same normalize/validate/write
+// pipeline as fetched reviews, tracked by a review_sync_jobs row with platform 'upload'.
+class UploadManager {
+  constructor(supabase, logger, processor) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.processor = processor;
+    this.files = new FileProvider(logger);
+  }
+
+  // A dry run maps and validates every row and writes nothing; otherwise an upload job
+  // is started and its id returned right away
+  async upload(tourOperatorId, body, { contentType = '', format, columns, dryRun = false, sourceBusinessName = null } = {}) {
+    const uploadFormat = format || this.detectFormat(contentType);
+    if (!FORMATS.includes(uploadFormat)) {
+      throw new ValidationError(`Invalid upload format: ${uploadFormat}. Use one of: ${FORMATS.join(', ')}`);
+    }
+
+    const mapping = this.parseColumns(columns);
+    const rows = this.parseRows(body, uploadFormat);
+    if (rows.length === 0) {
+      throw new ValidationError('Upload contains no reviews');
+    }
+
+    const job = {
+      tour_operator_id: tourOperatorId,
+      platform: uploadSource.name,
+      source_business_name: sourceBusinessName
+    };
+
+    if (dryRun) {
+      return this.preview(job, rows, mapping);
+    }
+
+    return this.startUpload(job, rows, mapping);
+  }
+
+  detectFormat(contentType) {
+    if (contentType.includes('ndjson') || contentType.includes('jsonl')) return 'ndjson';
+    if (contentType.includes('json')) return 'json';
+    return 'csv';
+  }
+
+  // Columns come from the query string, either as columns[rating]=Stars or as JSON
+  parseColumns(columns) {
+    if (columns === undefined || columns === '') return {};
+
+    let mapping = columns;
+    if (typeof columns === 'string') {
+      try {
+        mapping = JSON.parse(columns);
+      } catch (error) {
+        throw new ValidationError('columns must be a JSON object of review field to column name');
+      }
+    }
+
+    this.files.validateColumns(mapping);
+    return mapping;
+  }
+
+  // CSV and NDJSON arrive as text; a JSON upload is already parsed by the JSON body parser
+  parseRows(body, format) {
+    if (format === 'json' && typeof body === 'object' && body !== null) {
+      const rows = Array.isArray(body) ? body : body.reviews;
+      if (!Array.isArray(rows)) {
+        throw new ValidationError('JSON uploads must be an array or an object with a reviews array');
+      }
+      return rows;
+    }
+
+    if (typeof body !== 'string') {
+      throw new ValidationError('Send the upload as text/csv, application/x-ndjson or application/json');
+    }
+
+    try {
+      return this.files.parse(body, format);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+  }
+
+  transformFor(job, columns) {
+    const mapRow = this.files.mapperFor(columns);
+    return row => uploadSource.toRecord(mapRow(row), job);
+  }
+
+  // Rows are numbered from 1, not counting a CSV header
+  preview(job, rows, columns) {
+    const transform = this.transformFor(job, columns);
+    const preview = [];
+    const errors = [];
+    let validCount = 0;
+
+    rows.forEach((row, index) => {
+      const result = this.processor.normalizeReview(row, job, transform);
+
+      if (result.record) {
+        validCount++;
+        if (preview.length < PREVIEW_SIZE) preview.push(result.record);
+      } else if (errors.length < MAX_REPORTED_ERRORS) {
+        errors.push({ row: index + 1, external_id: result.external_id || null, errors: result.errors });
+      }
+    });
+
+    return {
+      dry_run: true,
+      total_rows: rows.length,
+      valid_count: validCount,
+      invalid_count: rows.length - validCount,
+      preview,
+      errors,
+      errors_truncated: rows.length - validCount > errors.length
+    };
+  }
+
+  async startUpload(job, rows, columns) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.supabase
+      .from('review_sync_jobs')
+      .insert({
+        ...job,
+        full_history: true,
+        sync_mode: 'full',
+        status: 'running',
+        progress_percentage: 0,
+        phase: 'queued',
+        total_available: rows.length,
+        started_at: now,
+        updated_at: now
+      })
+      .select('*')
+      .single();
+
+    if (error || !data) {
+      throw new Error(`Failed to create upload job: ${error?.message}`);
+    }
+
+    await this.processor.events.publish(data.id, 'started', {
+      platform: uploadSource.name,
+      mode: 'full',
+      message: `Importing ${rows.length} uploaded reviews`
+    });
+
+    // The rows only exist in this process, so the upload runs here rather than on the
+    // queue. Failures are recorded on the job by the processor.
+    this.processor.processUpload(data, rows, this.transformFor(data, columns)).catch(() => {});
+
+    this.logger.info(`📤 Started upload job ${data.id} with ${rows.length} rows for operator ${job.tour_operator_id}`);
+
+    return {
+      job_id: data.id,
+      status: 'running',
+      total_rows: rows.length
+    };
+  }
+}
+
+module.exports = UploadManager;
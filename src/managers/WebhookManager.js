@@ -0,0 +1,456 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const { assertOperatorAccess } = require('../middleware/auth');
+const { sign } = require('../utils/signing');
+const { assertPublicUrl, publicRequestOptions } = require('../utils/outboundUrl');
+
+const WEBHOOK_EVENTS = ['started', 'progress', 'completed', 'failed', 'cancelled', 'new_negative_review', 'rating_drop'];
+const WEBHOOK_FIELDS = ['url', 'events', 'description', 'enabled'];
+
+// Time a worker holds a claimed delivery before another instance may retry it
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+
+class WebhookManager {
+  constructor(supabase, logger, events) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.events = events;
+    this.timer = null;
+    this.jobOwners = new Map();
+
+    this.config = {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+      retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 30000,
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000
+    };
+  }
+
+  async listWebhooks(tourOperatorId) {
+    const { data, error } = await this.supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('tour_operator_id', tourOperatorId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to list webhooks: ${error.message}`);
+    }
+
+    return (data || []).map(webhook => this.redact(webhook));
+  }
+
+  async getWebhook(webhookId, auth) {
+    const { data: webhook, error } = await this.supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('id', webhookId)
+      .single();
+
+    if (error || !webhook) {
+      throw new NotFoundError('Webhook not found');
+    }
+
+    assertOperatorAccess(auth, webhook.tour_operator_id);
+
+    return webhook;
+  }
+
+  // The signing secret is only returned here; later reads show a masked value
+  async createWebhook(tourOperatorId, input) {
+    const webhook = this.normalizeWebhook({
+      events: WEBHOOK_EVENTS,
+      enabled: true,
+      ...this.pickFields(input)
+    });
+    await assertPublicUrl(webhook.url, 'Webhook url');
+
+    const { data, error } = await this.supabase
+      .from('webhook_endpoints')
+      .insert({
+        ...webhook,
+        tour_operator_id: tourOperatorId,
+        secret: crypto.randomBytes(32).toString('hex'),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+
+    this.logger.info(`🪝 Registered webhook ${data.id} for operator ${tourOperatorId}: ${webhook.url}`);
+    return data;
+  }
+
+  async updateWebhook(webhookId, auth, input) {
+    const existing = await this.getWebhook(webhookId, auth);
+    const webhook = this.normalizeWebhook({ ...this.pickFields(existing), ...this.pickFields(input) });
+    await assertPublicUrl(webhook.url, 'Webhook url');
+
+    const { data, error } = await this.supabase
+      .from('webhook_endpoints')
+      .update({
+        ...webhook,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', webhookId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+
+    return this.redact(data);
+  }
+
+  async deleteWebhook(webhookId, auth) {
+    await this.getWebhook(webhookId, auth);
+
+    const { error } = await this.supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', webhookId);
+
+    if (error) {
+      throw new Error(`Failed to delete webhook: ${error.message}`);
+    }
+
+    return { success: true, message: 'Webhook deleted' };
+  }
+
+  async listDeliveries(webhookId, auth, limit = 50, offset = 0) {
+    await this.getWebhook(webhookId, auth);
+
+    const { data, error, count } = await this.supabase
+      .from('webhook_deliveries')
+      .select('id, job_id, event, status, attempts, last_status_code, last_error, last_attempt_at, delivered_at, next_attempt_at, created_at', { count: 'exact' })
+      .eq('endpoint_id', webhookId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to list deliveries: ${error.message}`);
+    }
+
+    return { deliveries: data || [], total: count || 0 };
+  }
+
+  // Sends a failed delivery again right away; pending ones are still being retried and
+  // delivered ones arrived. Attempts keep counting, so a failed manual attempt goes
+  // straight back to failed.
+  async redeliver(webhookId, deliveryId, auth) {
+    const webhook = await this.getWebhook(webhookId, auth);
+
+    const { data: delivery, error } = await this.supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .eq('endpoint_id', webhookId)
+      .single();
+
+    if (error || !delivery) {
+      throw new NotFoundError('Delivery not found');
+    }
+
+    if (delivery.status !== 'failed') {
+      throw new ConflictError(`Only failed deliveries can be redelivered; this one is ${delivery.status}`);
+    }
+
+    // Claimed as pending with a lease, so a concurrent redeliver or the retry loop
+    // leaves it alone while this attempt is in flight
+    const { data: claimed, error: claimError } = await this.supabase
+      .from('webhook_deliveries')
+      .update({ status: 'pending', next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS).toISOString() })
+      .eq('id', deliveryId)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (claimError) {
+      throw new Error(`Failed to claim delivery: ${claimError.message}`);
+    }
+    if (!claimed?.length) {
+      throw new ConflictError('Delivery is already being redelivered');
+    }
+
+    return this.redact(await this.deliver(delivery, webhook));
+  }
+
+  pickFields(input = {}) {
+    return WEBHOOK_FIELDS.reduce((picked, field) => {
+      if (input[field] !== undefined) picked[field] = input[field];
+      return picked;
+    }, {});
+  }
+
+  normalizeWebhook(webhook) {
+    let url;
+    try {
+      url = new URL(webhook.url);
+    } catch (error) {
+      throw new ValidationError('Invalid webhook url');
+    }
+
+    const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!allowedProtocols.includes(url.protocol)) {
+      throw new ValidationError(`Webhook url must use ${allowedProtocols.join(' or ')}`);
+    }
+
+    if (!Array.isArray(webhook.events) || webhook.events.length === 0) {
+      throw new ValidationError('events must be a non-empty array');
+    }
+
+    const unknown = webhook.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown webhook events: ${unknown.join(', ')}. Use any of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    return {
+      ...webhook,
+      url: url.toString(),
+      events: [...new Set(webhook.events)],
+      enabled: webhook.enabled !== false
+    };
+  }
+
+  redact(record) {
+    if (!record) return record;
+
+    const { secret, endpoint, ...rest } = record;
+    return secret ? { ...rest, secret: `${secret.slice(0, 4)}…` } : rest;
+  }
+
+  // Forwards job events published on the bus in this process to subscribed endpoints
+  listen() {
+    this.events.on('event', event => {
+      this.handleEvent(event).catch(error => {
+        this.logger.error(`Failed to dispatch webhooks for job ${event.job_id}:`, error);
+      });
+    });
+  }
+
+  async handleEvent(event) {
+    const type = this.webhookEventFor(event);
+    if (!type) return;
+
+    const tourOperatorId = await this.getJobOwner(event.job_id);
+    if (!tourOperatorId) return;
+
+    await this.dispatch(tourOperatorId, type, {
+      job_id: event.job_id,
+      ...event.data
+    });
+
+    if (['completed', 'failed', 'cancelled'].includes(type)) {
+      this.jobOwners.delete(event.job_id);
+    }
+  }
+
+  webhookEventFor(event) {
+    // Progress is forwarded at ingestion milestones rather than after every batch
+    if (event.type === 'progress' && !event.data?.milestone) {
+      return null;
+    }
+
+    return WEBHOOK_EVENTS.includes(event.type) ? event.type : null;
+  }
+
+  async getJobOwner(jobId) {
+    if (!this.jobOwners.has(jobId)) {
+      const { data: job } = await this.supabase
+        .from('review_sync_jobs')
+        .select('tour_operator_id')
+        .eq('id', jobId)
+        .single();
+
+      if (!job) return null;
+      this.jobOwners.set(jobId, job.tour_operator_id);
+    }
+
+    return this.jobOwners.get(jobId);
+  }
+
+  async dispatch(tourOperatorId, event, data) {
+    const { data: endpoints, error } = await this.supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('tour_operator_id', tourOperatorId)
+      .eq('enabled', true)
+      .contains('events', [event]);
+
+    if (error) {
+      throw new Error(`Failed to load webhooks: ${error.message}`);
+    }
+
+    for (const endpoint of endpoints || []) {
+      const payload = {
+        event,
+        tour_operator_id: tourOperatorId,
+        created_at: new Date().toISOString(),
+        data
+      };
+
+      // Inserted already claimed, so the retry loop leaves the first attempt to us
+      const { data: delivery, error: insertError } = await this.supabase
+        .from('webhook_deliveries')
+        .insert({
+          endpoint_id: endpoint.id,
+          job_id: data.job_id || null,
+          event,
+          payload,
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS).toISOString(),
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (insertError) {
+        this.logger.error(`Failed to record ${event} delivery for webhook ${endpoint.id}:`, insertError);
+        continue;
+      }
+
+      await this.deliver(delivery, endpoint);
+    }
+  }
+
+  async deliver(delivery, endpoint) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let failure = null;
+
+    try {
+      // Checked on every attempt, since the host may resolve elsewhere than at registration
+      await assertPublicUrl(endpoint.url, 'Webhook url');
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'review-import-webhooks',
+          'X-Webhook-Id': String(delivery.id),
+          'X-Webhook-Event': delivery.event,
+          // Receivers recompute HMAC-SHA256("<t>.<body>") with their secret and reject stale timestamps
+          'X-Webhook-Signature': `t=${timestamp},v1=${sign(`${timestamp}.${body}`, endpoint.secret)}`
+        },
+        timeout: this.config.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...publicRequestOptions
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        failure = `HTTP ${statusCode}`;
+      }
+
+    } catch (error) {
+      failure = error.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const exhausted = Boolean(failure) && attempts >= this.config.maxAttempts;
+
+    let status = 'delivered';
+    let nextAttemptAt = null;
+    if (failure) {
+      status = exhausted ? 'failed' : 'pending';
+      nextAttemptAt = status === 'pending'
+        ? new Date(Date.now() + this.config.retryDelay * Math.pow(2, attempts - 1)).toISOString()
+        : null;
+    }
+
+    const { data: updated, error } = await this.supabase
+      .from('webhook_deliveries')
+      .update({
+        status,
+        attempts,
+        last_status_code: statusCode,
+        last_error: failure,
+        last_attempt_at: new Date().toISOString(),
+        next_attempt_at: nextAttemptAt,
+        ...(status === 'delivered' && { delivered_at: new Date().toISOString() })
+      })
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (error) {
+      this.logger.error(`Failed to record webhook delivery ${delivery.id}:`, error);
+    }
+
+    if (failure) {
+      this.logger.warn(`🪝 Webhook delivery ${delivery.id} to ${endpoint.url} failed (attempt ${attempts}): ${failure}`);
+    }
+
+    return updated || { ...delivery, status, attempts };
+  }
+
+  startDeliveryWorker(intervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.retryDueDeliveries().catch(error => {
+        this.logger.error('Webhook retry run failed:', error);
+      });
+    }, intervalMs);
+
+    this.logger.info(`🪝 Webhook retries checked every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stopDeliveryWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async retryDueDeliveries() {
+    const now = new Date().toISOString();
+
+    const { data: due, error } = await this.supabase
+      .from('webhook_deliveries')
+      .select('*, endpoint:webhook_endpoints(id, url, secret, enabled)')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now)
+      .order('next_attempt_at', { ascending: true })
+      .limit(50);
+
+    if (error) {
+      throw new Error(`Failed to load due deliveries: ${error.message}`);
+    }
+
+    let retried = 0;
+    for (const delivery of due || []) {
+      // Claim by moving next_attempt_at, so only one instance retries each delivery
+      const { data: claimed } = await this.supabase
+        .from('webhook_deliveries')
+        .update({ next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS).toISOString() })
+        .eq('id', delivery.id)
+        .eq('next_attempt_at', delivery.next_attempt_at)
+        .select('id');
+
+      if (!claimed?.length) continue;
+
+      if (!delivery.endpoint?.enabled) {
+        await this.supabase
+          .from('webhook_deliveries')
+          .update({ status: 'failed', last_error: 'Webhook disabled or deleted', next_attempt_at: null })
+          .eq('id', delivery.id);
+        continue;
+      }
+
+      await this.deliver(delivery, delivery.endpoint);
+      retried++;
+    }
+
+    return retried;
+  }
+}
+
+module.exports = WebhookManager;
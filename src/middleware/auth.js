@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { jwtVerify, createRemoteJWKSet, decodeProtectedHeader } = require('jose');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Authenticates API callers as either a Supabase user (JWT) or a trusted
+// service (API key). Sets req.auth = { type, tourOperatorId, isService }.
+class Authenticator {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+
+    const supabaseUrl = options.supabaseUrl || process.env.SUPABASE_URL;
+
+    this.config = {
+      jwtSecret: options.jwtSecret || process.env.SUPABASE_JWT_SECRET,
+      issuer: options.issuer || (supabaseUrl ? `${supabaseUrl.replace(/\/$/, '')}/auth/v1` : undefined),
+      audience: options.audience || 'authenticated',
+      // Only SHA-256 hashes of service keys are configured, never the keys themselves
+      apiKeyHashes: options.apiKeyHashes || (process.env.SERVICE_API_KEY_HASHES || '')
+        .split(',')
+        .map(hash => hash.trim().toLowerCase())
+        .filter(Boolean)
+    };
+
+    // Projects using asymmetric signing keys publish them here
+    this.jwks = options.jwks || (this.config.issuer
+      ? createRemoteJWKSet(new URL(`${this.config.issuer}/.well-known/jwks.json`))
+      : null);
+
+    this.secretKey = this.config.jwtSecret
+      ? new TextEncoder().encode(this.config.jwtSecret)
+      : null;
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      try {
+        req.auth = await this.authenticate(req);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  async authenticate(req) {
+    const apiKey = req.get('x-api-key');
+    if (apiKey) {
+      if (!this.verifyApiKey(apiKey)) {
+        throw new UnauthorizedError('Invalid API key');
+      }
+
+      return { type: 'service', tourOperatorId: null, isService: true };
+    }
+
+    // Browsers' EventSource can't send headers, so event streams may pass the token in the query
+    const streamToken = req.query?.access_token && (req.get('accept') || '').includes('text/event-stream')
+      ? `Bearer ${req.query.access_token}`
+      : '';
+    const header = req.get('authorization') || streamToken;
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new UnauthorizedError('Missing bearer token or API key');
+    }
+
+    // Only app_metadata is server-controlled; the user id is not an operator id
+    const claims = await this.verifyToken(token);
+    const tourOperatorId = claims.app_metadata?.tour_operator_id;
+
+    if (!tourOperatorId) {
+      throw new ForbiddenError('Token has no tour operator claim');
+    }
+
+    return { type: 'user', tourOperatorId, isService: false, claims };
+  }
+
+  async verifyToken(token) {
+    let header;
+    try {
+      header = decodeProtectedHeader(token);
+    } catch (error) {
+      throw new UnauthorizedError('Malformed token');
+    }
+
+    // Legacy Supabase projects sign with the shared HS256 secret, newer ones with JWKS keys
+    const key = header.alg === 'HS256' ? this.secretKey : this.jwks;
+    if (!key) {
+      throw new UnauthorizedError(`No verification key configured for ${header.alg} tokens`);
+    }
+
+    try {
+      const { payload } = await jwtVerify(token, key, {
+        audience: this.config.audience,
+        ...(this.config.issuer && { issuer: this.config.issuer })
+      });
+
+      return payload;
+
+    } catch (error) {
+      this.logger.warn(`JWT verification failed: ${error.message}`);
+      throw new UnauthorizedError('Invalid or expired token');
+    }
+  }
+
+  verifyApiKey(apiKey) {
+    const hash = crypto.createHash('sha256').update(apiKey).digest();
+
+    return this.config.apiKeyHashes.some(expected => {
+      const expectedBuffer = Buffer.from(expected, 'hex');
+      return expectedBuffer.length === hash.length && crypto.timingSafeEqual(expectedBuffer, hash);
+    });
+  }
+}
+
+// Restricts a route to service API keys
+const requireService = (req, res, next) => {
+  if (!req.auth?.isService) {
+    return next(new ForbiddenError('Service credentials required'));
+  }
+
+  next();
+};
+
+// Throws unless the caller is a service or the operator that owns the resource
+const assertOperatorAccess = (auth, tourOperatorId) => {
+  if (auth.isService) return;
+
+  if (!tourOperatorId || auth.tourOperatorId !== tourOperatorId) {
+    throw new ForbiddenError('Not allowed to access this operator\'s jobs');
+  }
+};
+
+module.exports = {
+  Authenticator,
+  requireService,
+  assertOperatorAccess
+};
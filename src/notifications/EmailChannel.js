@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+// Sends notifications by SMTP. Configured with SMTP_URL, or SMTP_HOST/SMTP_PORT and
+// optional SMTP_USER/SMTP_PASS; without either the channel is skipped.
+class EmailChannel {
+  constructor(logger, options = {}) {
+    this.name = 'email';
+    this.logger = logger;
+    this.from = options.from || process.env.SMTP_FROM || 'TourReviewAI <notifications@tourreviewai.com>';
+
+    const transport = options.transport || process.env.SMTP_URL || (process.env.SMTP_HOST && {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: parseInt(process.env.SMTP_PORT, 10) === 465,
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      })
+    });
+
+    this.transporter = transport ? nodemailer.createTransport(transport) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.transporter);
+  }
+
+  recipient(preferences) {
+    return preferences.email || null;
+  }
+
+  async send(preferences, { subject, text }) {
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.recipient(preferences),
+      subject,
+      text
+    });
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,486 @@
+const cronParser = require('cron-parser');
+const { ValidationError } = require('../utils/errors');
+const { assertPublicUrl, privateAllowed } = require('../utils/outboundUrl');
+const EmailChannel = require('./EmailChannel');
+const SlackChannel = require('./SlackChannel');
+
+const NOTIFICATION_EVENTS = [
+  'started',
+  'progress',
+  'completed',
+  'failed',
+  'cancelled',
+  'new_negative_review',
+  'rating_drop',
+  'dead_letters_replayed'
+];
+const DELIVERY_MODES = ['immediate', 'digest'];
+const PREFERENCE_FIELDS = ['email', 'slack_webhook_url', 'events', 'quiet_hours', 'timezone', 'delivery', 'digest_time'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_PREFERENCES = {
+  email: null,
+  slack_webhook_url: null,
+  events: {},
+  quiet_hours: null,
+  timezone: 'UTC',
+  delivery: 'immediate',
+  digest_time: '08:00'
+};
+
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// A claimed outbox row not finished after this long was left by a worker that died
+// mid-send; longer than one send may take with SMTP's own timeouts
+const CLAIM_LEASE_MS = 15 * 60 * 1000;
+
+// Turns job events into notifications. Every notification lands in job_notifications for
+// the in-app feed; operators can also route events to channels (email, Slack), hold
+// them during quiet hours, or collect them into a daily digest. Held notifications wait
+// in notification_outbox until the outbox worker sends them.
+class NotificationDispatcher {
+  constructor(supabase, logger, events, channels = [new EmailChannel(logger), new SlackChannel(logger)]) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.events = events;
+    this.channels = new Map(channels.map(channel => [channel.name, channel]));
+    this.jobs = new Map();
+    this.timer = null;
+  }
+
+  listen() {
+    this.events.on('event', event => {
+      this.handleEvent(event).catch(error => {
+        this.logger.error(`Failed to send ${event.type} notification for job ${event.job_id}:`, error);
+      });
+    });
+  }
+
+  async handleEvent(event) {
+    if (!NOTIFICATION_EVENTS.includes(event.type)) return;
+
+    // Progress only notifies at ingestion milestones
+    if (event.type === 'progress' && !event.data?.milestone) return;
+
+    const job = await this.getJob(event.job_id);
+    if (!job) return;
+
+    await this.notify(job, event.type, event.data?.message || `Review import ${event.type}`, event.data);
+
+    if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+      this.jobs.delete(event.job_id);
+    }
+  }
+
+  async getJob(jobId) {
+    if (!this.jobs.has(jobId)) {
+      const { data: job } = await this.supabase
+        .from('review_sync_jobs')
+        .select('id, tour_operator_id, platform, source_business_name')
+        .eq('id', jobId)
+        .single();
+
+      if (!job) return null;
+      this.jobs.set(jobId, job);
+    }
+
+    return this.jobs.get(jobId);
+  }
+
+  async notify(job, type, message, data = {}) {
+    try {
+      await this.supabase
+        .from('job_notifications')
+        .insert({
+          user_id: job.tour_operator_id,
+          job_id: job.id,
+          type,
+          message
+        });
+
+      this.logger.info(`Notification sent for job ${job.id}: ${type} - ${message}`);
+
+    } catch (error) {
+      this.logger.error('Failed to send notification:', error);
+      // Don't throw error for notification failures
+    }
+
+    const preferences = await this.getPreferences(job.tour_operator_id);
+    const channels = this.channelsFor(preferences, type);
+    if (channels.length === 0) return;
+
+    const notification = {
+      job_id: job.id,
+      type,
+      message,
+      business_name: job.source_business_name || null,
+      platform: job.platform,
+      data,
+      created_at: new Date().toISOString()
+    };
+
+    const holdUntil = this.holdUntil(preferences, new Date());
+
+    for (const channel of channels) {
+      if (holdUntil) {
+        await this.enqueue(job.tour_operator_id, channel.name, notification, holdUntil);
+        continue;
+      }
+
+      try {
+        await channel.send(preferences, this.format([notification]));
+      } catch (error) {
+        this.logger.warn(`📣 ${channel.name} notification for job ${job.id} failed, will retry: ${error.message}`);
+        await this.enqueue(job.tour_operator_id, channel.name, notification, new Date(Date.now() + RETRY_DELAY_MS), 1);
+      }
+    }
+  }
+
+  channelsFor(preferences, type) {
+    if (!preferences) return [];
+
+    return (preferences.events?.[type] || [])
+      .map(name => this.channels.get(name))
+      .filter(channel => channel && channel.isConfigured() && channel.recipient(preferences));
+  }
+
+  // When a notification sent now should wait instead: until the digest goes out, or
+  // until quiet hours end. Null means send immediately.
+  holdUntil(preferences, now) {
+    if (preferences.delivery === 'digest') {
+      return this.nextOccurrence(preferences.digest_time, preferences.timezone, now);
+    }
+
+    if (this.isQuietTime(preferences, now)) {
+      return this.nextOccurrence(preferences.quiet_hours.end, preferences.timezone, now);
+    }
+
+    return null;
+  }
+
+  isQuietTime(preferences, now) {
+    const quietHours = preferences.quiet_hours;
+    if (!quietHours) return false;
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: preferences.timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+
+    const current = hour * 60 + minute;
+    const start = this.toMinutes(quietHours.start);
+    const end = this.toMinutes(quietHours.end);
+
+    // Quiet hours may wrap past midnight, e.g. 22:00-07:00
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  toMinutes(time) {
+    const [, hour, minute] = time.match(TIME_PATTERN);
+    return parseInt(hour, 10) * 60 + parseInt(minute, 10);
+  }
+
+  nextOccurrence(time, timezone, now) {
+    const [, hour, minute] = time.match(TIME_PATTERN);
+    return cronParser
+      .parseExpression(`${parseInt(minute, 10)} ${parseInt(hour, 10)} * * *`, { currentDate: now, tz: timezone || 'UTC' })
+      .next()
+      .toDate();
+  }
+
+  format(notifications) {
+    if (notifications.length === 1) {
+      const [notification] = notifications;
+      const business = notification.business_name ? ` - ${notification.business_name}` : '';
+      return {
+        subject: `${this.describe(notification.type)}${business}`,
+        text: notification.message
+      };
+    }
+
+    const lines = notifications.map(notification => {
+      const business = notification.business_name ? ` (${notification.business_name})` : '';
+      return `- ${notification.created_at.slice(0, 16).replace('T', ' ')} UTC: ${notification.message}${business}`;
+    });
+
+    return {
+      subject: `${notifications.length} review import updates`,
+      text: lines.join('\n')
+    };
+  }
+
+  describe(type) {
+    const titles = {
+      started: 'Review import started',
+      progress: 'Review import progress',
+      completed: 'Review import finished',
+      failed: 'Review import failed',
+      cancelled: 'Review import cancelled',
+      new_negative_review: 'New negative review',
+      rating_drop: 'Average rating dropped',
+      dead_letters_replayed: 'Failed reviews replayed'
+    };
+    return titles[type] || 'Review import update';
+  }
+
+  async enqueue(tourOperatorId, channelName, notification, sendAfter, attempts = 0) {
+    const { error } = await this.supabase
+      .from('notification_outbox')
+      .insert({
+        tour_operator_id: tourOperatorId,
+        channel: channelName,
+        notification,
+        status: 'pending',
+        attempts,
+        send_after: sendAfter.toISOString(),
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      this.logger.error(`Failed to queue ${channelName} notification for operator ${tourOperatorId}:`, error);
+    }
+  }
+
+  startOutboxWorker(intervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flushOutbox().catch(error => {
+        this.logger.error('Notification outbox run failed:', error);
+      });
+    }, intervalMs);
+
+    this.logger.info(`📣 Notification outbox checked every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stopOutboxWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Sends due notifications, one message per operator and channel
+  async flushOutbox() {
+    await this.reclaimExpiredClaims();
+
+    const { data: due, error } = await this.supabase
+      .from('notification_outbox')
+      .select('id, tour_operator_id, channel')
+      .eq('status', 'pending')
+      .lte('send_after', new Date().toISOString())
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load notification outbox: ${error.message}`);
+    }
+
+    const groups = new Map();
+    for (const row of due || []) {
+      const key = `${row.tour_operator_id}:${row.channel}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row.id);
+    }
+
+    let sent = 0;
+    for (const ids of groups.values()) {
+      sent += await this.sendGroup(ids);
+    }
+
+    return sent;
+  }
+
+  // Claims one operator's and channel's due rows right before sending them, so the
+  // claim only has to outlast a single send
+  async sendGroup(ids) {
+    const { data: rows, error: claimError } = await this.supabase
+      .from('notification_outbox')
+      .update({ status: 'sending', claimed_at: new Date().toISOString() })
+      .in('id', ids)
+      .eq('status', 'pending')
+      .select('*');
+
+    if (claimError) {
+      throw new Error(`Failed to claim notifications: ${claimError.message}`);
+    }
+
+    // Another instance got there first
+    if (!rows?.length) return 0;
+
+    const { tour_operator_id: tourOperatorId, channel: channelName } = rows[0];
+    const channel = this.channels.get(channelName);
+    const preferences = await this.getPreferences(tourOperatorId);
+    const claimedIds = rows.map(row => row.id);
+
+    try {
+      if (!channel || !preferences || !channel.recipient(preferences)) {
+        throw new Error(`${channelName} is no longer configured for operator ${tourOperatorId}`);
+      }
+
+      await channel.send(preferences, this.format(rows.map(row => row.notification)));
+
+      await this.supabase
+        .from('notification_outbox')
+        .update({ status: 'sent', sent_at: new Date().toISOString(), claimed_at: null, attempts: rows[0].attempts + 1 })
+        .in('id', claimedIds);
+      return rows.length;
+
+    } catch (error) {
+      const attempts = Math.max(...rows.map(row => row.attempts)) + 1;
+      this.logger.warn(`📣 Sending ${rows.length} ${channelName} notifications to operator ${tourOperatorId} failed (attempt ${attempts}): ${error.message}`);
+
+      await this.supabase
+        .from('notification_outbox')
+        .update({
+          status: attempts >= MAX_SEND_ATTEMPTS ? 'failed' : 'pending',
+          attempts,
+          claimed_at: null,
+          last_error: error.message,
+          send_after: new Date(Date.now() + RETRY_DELAY_MS * attempts).toISOString()
+        })
+        .in('id', claimedIds);
+      return 0;
+    }
+  }
+
+  // Puts rows whose claim expired back to pending. They may have been sent just before
+  // the worker died, so they can go out twice; dropping them would lose them instead.
+  async reclaimExpiredClaims() {
+    const expiredBefore = new Date(Date.now() - CLAIM_LEASE_MS).toISOString();
+
+    const { data: reclaimed, error } = await this.supabase
+      .from('notification_outbox')
+      .update({ status: 'pending', claimed_at: null })
+      .eq('status', 'sending')
+      .or(`claimed_at.is.null,claimed_at.lt.${expiredBefore}`)
+      .select('id');
+
+    if (error) {
+      this.logger.error('Failed to reclaim stuck notifications:', error);
+      return 0;
+    }
+
+    if (reclaimed?.length) {
+      this.logger.warn(`📣 Reclaimed ${reclaimed.length} notifications left sending by a stopped worker`);
+    }
+    return reclaimed?.length || 0;
+  }
+
+  async getPreferences(tourOperatorId) {
+    const { data, error } = await this.supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('tour_operator_id', tourOperatorId)
+      .maybeSingle();
+
+    if (error) {
+      this.logger.error(`Failed to load notification preferences for operator ${tourOperatorId}:`, error);
+      return null;
+    }
+
+    return data;
+  }
+
+  async getPreferenceSettings(tourOperatorId) {
+    const preferences = await this.getPreferences(tourOperatorId);
+    return { ...DEFAULT_PREFERENCES, tour_operator_id: tourOperatorId, ...preferences };
+  }
+
+  async updatePreferences(tourOperatorId, input) {
+    const current = await this.getPreferenceSettings(tourOperatorId);
+    const preferences = this.normalizePreferences({ ...current, ...this.pickFields(input) });
+    if (preferences.slack_webhook_url) {
+      await assertPublicUrl(preferences.slack_webhook_url, 'slack_webhook_url');
+    }
+
+    const { data, error } = await this.supabase
+      .from('notification_preferences')
+      .upsert({
+        ...preferences,
+        tour_operator_id: tourOperatorId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'tour_operator_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save notification preferences: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  pickFields(input = {}) {
+    return PREFERENCE_FIELDS.reduce((picked, field) => {
+      if (input[field] !== undefined) picked[field] = input[field];
+      return picked;
+    }, {});
+  }
+
+  normalizePreferences(preferences) {
+    const normalized = this.pickFields(preferences);
+
+    if (normalized.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized.email)) {
+      throw new ValidationError('Invalid email address');
+    }
+
+    if (normalized.slack_webhook_url) {
+      let url;
+      try {
+        url = new URL(normalized.slack_webhook_url);
+      } catch (error) {
+        throw new ValidationError('Invalid slack_webhook_url');
+      }
+      // Plain http only for a local receiver during development
+      if (url.protocol !== 'https:' && !(url.protocol === 'http:' && privateAllowed())) {
+        throw new ValidationError('slack_webhook_url must use https');
+      }
+    }
+
+    if (!normalized.events || typeof normalized.events !== 'object' || Array.isArray(normalized.events)) {
+      throw new ValidationError('events must map event names to lists of channels');
+    }
+
+    for (const [event, channels] of Object.entries(normalized.events)) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        throw new ValidationError(`Unknown notification event: ${event}. Use any of: ${NOTIFICATION_EVENTS.join(', ')}`);
+      }
+      if (!Array.isArray(channels) || channels.some(channel => !this.channels.has(channel))) {
+        throw new ValidationError(`Channels for ${event} must be a list of: ${[...this.channels.keys()].join(', ')}`);
+      }
+    }
+
+    if (!DELIVERY_MODES.includes(normalized.delivery)) {
+      throw new ValidationError(`Invalid delivery: ${normalized.delivery}. Use one of: ${DELIVERY_MODES.join(', ')}`);
+    }
+
+    if (!TIME_PATTERN.test(normalized.digest_time || '')) {
+      throw new ValidationError('digest_time must be HH:MM');
+    }
+
+    if (normalized.quiet_hours) {
+      const { start, end } = normalized.quiet_hours;
+      if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        throw new ValidationError('quiet_hours needs start and end as HH:MM');
+      }
+      normalized.quiet_hours = { start, end };
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: normalized.timezone });
+    } catch (error) {
+      throw new ValidationError(`Invalid timezone: ${normalized.timezone}`);
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = NotificationDispatcher;
@@ -0,0 +1,36 @@
+const axios = require('axios');
+const { assertPublicUrl, publicRequestOptions } = require('../utils/outboundUrl');
+
+// Posts notifications to the operator's Slack incoming webhook
+class SlackChannel {
+  constructor(logger, options = {}) {
+    this.name = 'slack';
+    this.logger = logger;
+    this.timeout = options.timeout || 10000;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  recipient(preferences) {
+    return preferences.slack_webhook_url || null;
+  }
+
+  // The webhook's host is checked again on every send, since it may resolve elsewhere
+  // than when it was saved
+  async send(preferences, { subject, text }) {
+    const url = this.recipient(preferences);
+    await assertPublicUrl(url, 'slack_webhook_url');
+
+    await axios.post(url, {
+      text: `*${subject}*\n${text}`
+    }, {
+      timeout: this.timeout,
+      maxRedirects: 0,
+      ...publicRequestOptions
+    });
+  }
+}
+
+module.exports = SlackChannel;
@@ -0,0 +1,108 @@
+const PlatformAdapter = require('./PlatformAdapter');
+const { ValidationError } = require('../utils/errors');
+
+class GoogleAdapter extends PlatformAdapter {
+  get name() {
+    return 'google';
+  }
+
+  get endpoint() {
+    return 'google/reviews';
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      newestFirst: true,
+      ownerResponses: true,
+      photos: true,
+      localGuides: true
+    };
+  }
+
+  normalizeTarget(businessId) {
+    // Resolve a place_id, CID or Google Maps URL into a DataForSEO Google target
+    const value = (businessId || '').trim();
+
+    if (!value) {
+      throw new ValidationError('Missing Google business identifier');
+    }
+
+    if (/^\d+$/.test(value)) {
+      return { cid: value };
+    }
+
+    if (/^ChIJ[\w-]+$/.test(value)) {
+      return { place_id: value };
+    }
+
+    if (!value.startsWith('http')) {
+      return { keyword: value };
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new ValidationError('Invalid Google Maps URL format');
+    }
+
+    const placeIdParam = url.searchParams.get('query_place_id') ||
+                         url.searchParams.get('place_id') ||
+                         url.searchParams.get('q')?.match(/^place_id:(.+)$/)?.[1];
+    if (placeIdParam) {
+      return { place_id: placeIdParam };
+    }
+
+    const cidParam = url.searchParams.get('cid') || url.searchParams.get('ludocid');
+    if (cidParam && /^\d+$/.test(cidParam)) {
+      return { cid: cidParam };
+    }
+
+    // Maps place URLs embed the feature id as !1s0x<hex>:0x<hex>; the second half is the CID
+    const featureMatch = value.match(/!1s0x[0-9a-f]+:(0x[0-9a-f]+)/i);
+    if (featureMatch) {
+      return { cid: BigInt(featureMatch[1]).toString() };
+    }
+
+    const placeMatch = url.pathname.match(/\/maps\/place\/([^/]+)/);
+    if (placeMatch) {
+      return { keyword: decodeURIComponent(placeMatch[1].replace(/\+/g, ' ')) };
+    }
+
+    throw new ValidationError('Invalid Google Maps URL format');
+  }
+
+  buildTask(target) {
+    return {
+      ...(target.place_id && { place_id: target.place_id }),
+      ...(target.cid && { cid: target.cid }),
+      ...(target.keyword && { keyword: target.keyword }),
+      location_code: target.location_code || 2840,
+      language_code: target.language_code || 'en',
+      sort_by: 'newest'
+    };
+  }
+
+  mapReview(review) {
+    return {
+      external_id: review.review_id || review.id,
+      author_name: review.profile_name || review.author,
+      rating: review.rating?.value || review.rating,
+      text: review.review_text || review.original_review_text,
+      posted_at: review.timestamp,
+      review_url: review.review_url || null,
+      author_photo_url: review.profile_image_url || null,
+      helpful_count: review.likes || 0,
+      // Google returns owner replies as flat owner_answer/owner_timestamp fields
+      response_text: review.owner_answer || null,
+      response_date: review.owner_timestamp || null,
+      author_is_local_guide: Boolean(review.local_guide),
+      photo_urls: (review.images || [])
+        .map(image => image.image_url || image.url)
+        .filter(Boolean)
+    };
+  }
+}
+
+module.exports = GoogleAdapter;
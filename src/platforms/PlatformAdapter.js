@@ -0,0 +1,110 @@
+const { fingerprintReview, fingerprintId } = require('../utils/reviewFingerprint');
+
+// Base class for review sources. A subclass declares its name, DataForSEO endpoint and
+// capabilities, and implements normalizeTarget, buildTask and mapReview. Adding a source
+// means adding one *Adapter.js module next to this file; the registry picks it up.
+class PlatformAdapter {
+  constructor() {
+    if (this.constructor === PlatformAdapter) {
+      throw new Error('PlatformAdapter is abstract');
+    }
+  }
+
+  // Unique platform id, stored as review_sync_jobs.platform and external_reviews.source
+  get name() {
+    throw new Error(`${this.constructor.name} must define name`);
+  }
+
+  // DataForSEO business_data path, e.g. 'tripadvisor/reviews'
+  get endpoint() {
+    throw new Error(`${this.constructor.name} must define endpoint`);
+  }
+
+  get capabilities() {
+    return {
+      newestFirst: false, // results arrive newest first, needed for incremental syncs
+      ownerResponses: false,
+      photos: false,
+      maxDepth: 500
+    };
+  }
+
+  // Validate the business identifier/URL from the job and return the task target.
+  // Throws ValidationError for input that can never work.
+  normalizeTarget(businessId) {
+    throw new Error(`${this.constructor.name} must implement normalizeTarget`);
+  }
+
+  // Platform-specific task_post fields for a normalized target
+  buildTask(target) {
+    throw new Error(`${this.constructor.name} must implement buildTask`);
+  }
+
+  // Platform-specific fields of a review in DataForSEO's format; toRecord normalizes the
+  // result. Other review providers map their own format to the same fields.
+  mapReview(review) {
+    throw new Error(`${this.constructor.name} must implement mapReview`);
+  }
+
+  // Resolves with the created task's id, status and cost
+  async createTask(client, target, { depth, fullHistory = true, tag, pingbackUrl } = {}) {
+    return client.createTask(this.endpoint, {
+      ...this.buildTask(target),
+      depth: Math.min(depth || (fullHistory ? 500 : 100), this.capabilities.maxDepth),
+      tag: tag || `${this.name}_${Date.now()}`,
+      ...(pingbackUrl && { pingback_url: pingbackUrl })
+    });
+  }
+
+  // Resolves with { task, results }
+  async fetchResults(client, taskId) {
+    return client.getTaskResults(taskId, this.endpoint);
+  }
+
+  transformReview(review, job) {
+    return this.toRecord(this.mapReview(review), job);
+  }
+
+  // Normalizes field types but never invents values: a missing rating or date stays
+  // missing and an unparseable one is passed through, so schema validation can reject it
+  toRecord(fields, job) {
+    const { external_id, author_name, rating, text, posted_at, response_date, ...extra } = fields;
+
+    // Reviews without a provider id fall back to their content fingerprint so re-imports
+    // hit the same row instead of creating a new one every run
+    const fingerprint = fingerprintReview({ author_name, posted_at, rating, text });
+    const externalId = external_id ? String(external_id) : fingerprintId(this.name, fingerprint);
+
+    return {
+      tour_operator_id: job.tour_operator_id,
+      source: this.name,
+      external_id: externalId,
+      author_name: (author_name || 'Anonymous').substring(0, 255),
+      rating: this.toNumber(rating),
+      text: (text || '').substring(0, 2000) || null,
+      posted_at: this.toTimestamp(posted_at),
+      place_name: job.source_business_name || null,
+      review_url: null,
+      author_photo_url: null,
+      helpful_count: 0,
+      response_text: null,
+      ...extra,
+      response_date: this.toTimestamp(response_date),
+      content_fingerprint: fingerprint
+    };
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+
+  toTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? String(value) : date.toISOString();
+  }
+}
+
+module.exports = PlatformAdapter;
@@ -0,0 +1,43 @@
+const { ValidationError } = require('../utils/errors');
+
+class PlatformRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Platform ${adapter.name} is already registered`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  get(name) {
+    const adapter = this.adapters.get(name);
+
+    if (!adapter) {
+      throw new ValidationError(`Unsupported platform: ${name}. Supported: ${this.names().join(', ')}`);
+    }
+
+    return adapter;
+  }
+
+  names() {
+    return [...this.adapters.keys()];
+  }
+
+  list() {
+    return [...this.adapters.values()].map(adapter => ({
+      name: adapter.name,
+      capabilities: adapter.capabilities
+    }));
+  }
+}
+
+module.exports = PlatformRegistry;
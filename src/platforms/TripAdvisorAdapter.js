@@ -0,0 +1,70 @@
+const PlatformAdapter = require('./PlatformAdapter');
+const { ValidationError } = require('../utils/errors');
+
+class TripAdvisorAdapter extends PlatformAdapter {
+  get name() {
+    return 'tripadvisor';
+  }
+
+  get endpoint() {
+    return 'tripadvisor/reviews';
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      newestFirst: true,
+      ownerResponses: true
+    };
+  }
+
+  normalizeTarget(businessId) {
+    return { url_path: this.extractPath(businessId) };
+  }
+
+  extractPath(businessId) {
+    // Extract path from TripAdvisor URL or business ID
+    if (!businessId) {
+      throw new ValidationError('Missing TripAdvisor URL');
+    }
+
+    if (businessId.startsWith('http')) {
+      const patterns = [
+        /tripadvisor\.com(\/(Attraction_Review|Restaurant_Review|Hotel_Review)-g\d+-d\d+-Reviews-.+\.html)/,
+        /tripadvisor\.com(\/.*-Reviews-.+\.html)/,
+      ];
+      
+      for (const pattern of patterns) {
+        const match = businessId.match(pattern);
+        if (match) return match[1];
+      }
+      
+      throw new ValidationError('Invalid TripAdvisor URL format');
+    }
+    
+    return businessId; // Assume it's already a path
+  }
+
+  buildTask(target) {
+    return { url_path: target.url_path };
+  }
+
+  mapReview(review) {
+    const response = review.responses?.[0] || review.response;
+
+    return {
+      external_id: review.review_id || review.id,
+      author_name: review.user_profile?.name || review.author,
+      rating: review.rating?.value || review.rating,
+      text: review.review_text || review.text,
+      posted_at: review.date_of_review || review.timestamp || review.date,
+      review_url: review.url || null,
+      author_photo_url: review.user_profile?.image_url || review.user_profile?.photo_url || null,
+      helpful_count: review.helpful_count || 0,
+      response_text: response?.text || null,
+      response_date: response?.timestamp || response?.date || null
+    };
+  }
+}
+
+module.exports = TripAdvisorAdapter;
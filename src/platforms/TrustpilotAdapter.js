@@ -0,0 +1,67 @@
+const PlatformAdapter = require('./PlatformAdapter');
+const { ValidationError } = require('../utils/errors');
+
+class TrustpilotAdapter extends PlatformAdapter {
+  get name() {
+    return 'trustpilot';
+  }
+
+  get endpoint() {
+    return 'trustpilot/reviews';
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      newestFirst: true,
+      ownerResponses: true,
+      photos: true
+    };
+  }
+
+  normalizeTarget(businessId) {
+    // Trustpilot identifies businesses by domain: trustpilot.com/review/<domain> or the bare domain
+    const value = (businessId || '').trim();
+
+    if (!value) {
+      throw new ValidationError('Missing Trustpilot URL or domain');
+    }
+
+    const urlMatch = value.match(/trustpilot\.com\/review\/([^/?#]+)/i);
+    const domain = (urlMatch ? urlMatch[1] : value).toLowerCase();
+
+    if (!/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain)) {
+      throw new ValidationError('Invalid Trustpilot URL format');
+    }
+
+    return { domain };
+  }
+
+  buildTask(target) {
+    return {
+      domain: target.domain,
+      sort_by: 'recency'
+    };
+  }
+
+  mapReview(review) {
+    const response = review.responses?.[0];
+
+    return {
+      external_id: review.review_id || review.url,
+      author_name: review.user_profile?.name,
+      rating: review.rating?.value,
+      text: [review.title, review.review_text].filter(Boolean).join('\n\n'),
+      posted_at: review.timestamp,
+      review_url: review.url || null,
+      author_photo_url: review.user_profile?.image_url || null,
+      response_text: response?.text || null,
+      response_date: response?.timestamp || null,
+      photo_urls: (review.review_images || [])
+        .map(image => image.image_url || image.url)
+        .filter(Boolean)
+    };
+  }
+}
+
+module.exports = TrustpilotAdapter;
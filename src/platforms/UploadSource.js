@@ -0,0 +1,12 @@
+const PlatformAdapter = require('./PlatformAdapter');
+
+// Reviews operators upload themselves, stored with source 'upload'. There is no
+// DataForSEO task behind it, so it isn't an *Adapter.js module and the registry never
+// offers it for imports; uploads only use its record normalization.
+class UploadSource extends PlatformAdapter {
+  get name() {
+    return 'upload';
+  }
+}
+
+module.exports = new UploadSource();
@@ -0,0 +1,74 @@
+const PlatformAdapter = require('./PlatformAdapter');
+const { ValidationError } = require('../utils/errors');
+
+class YelpAdapter extends PlatformAdapter {
+  get name() {
+    return 'yelp';
+  }
+
+  get endpoint() {
+    return 'yelp/reviews';
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      newestFirst: true,
+      ownerResponses: true,
+      photos: true
+    };
+  }
+
+  normalizeTarget(businessId) {
+    // Yelp identifies businesses by alias: yelp.com/biz/<alias> or the bare alias/id
+    const value = (businessId || '').trim();
+
+    if (!value) {
+      throw new ValidationError('Missing Yelp URL or business alias');
+    }
+
+    if (value.startsWith('http')) {
+      const match = value.match(/yelp\.[a-z.]+\/biz\/([^/?#]+)/i);
+      if (!match) {
+        throw new ValidationError('Invalid Yelp URL format');
+      }
+      return { alias: decodeURIComponent(match[1]) };
+    }
+
+    if (!/^[\w-]+$/.test(value)) {
+      throw new ValidationError('Invalid Yelp business alias');
+    }
+
+    return { alias: value };
+  }
+
+  buildTask(target) {
+    return {
+      alias: target.alias,
+      language_name: 'English',
+      sort_by: 'date_desc'
+    };
+  }
+
+  mapReview(review) {
+    const response = review.responses?.[0];
+
+    return {
+      external_id: review.review_id,
+      author_name: review.user_profile?.name,
+      rating: review.rating?.value,
+      text: review.review_text,
+      posted_at: review.timestamp,
+      review_url: review.url || null,
+      author_photo_url: review.user_profile?.image_url || null,
+      helpful_count: review.feedback?.useful || 0,
+      response_text: response?.text || null,
+      response_date: response?.timestamp || null,
+      photo_urls: (review.review_images || [])
+        .map(image => image.image_url || image.url)
+        .filter(Boolean)
+    };
+  }
+}
+
+module.exports = YelpAdapter;
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+const PlatformRegistry = require('./PlatformRegistry');
+
+// Every *Adapter.js module in this directory is a review source
+const registry = new PlatformRegistry();
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('Adapter.js') && file !== 'PlatformAdapter.js')
+  .sort()
+  .forEach(file => {
+    const Adapter = require(path.join(__dirname, file));
+    registry.register(new Adapter());
+  });
+
+module.exports = registry;
@@ -0,0 +1,211 @@
+const { fingerprintReview, fingerprintId, isGeneratedId } = require('../utils/reviewFingerprint');
+
+// Fields copied from a duplicate onto the surviving row when the survivor lacks them
+const MERGE_FIELDS = ['text', 'review_url', 'author_photo_url', 'response_text', 'response_date'];
+
+class ReviewDeduplicator {
+  constructor(supabase, logger) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.pageSize = 1000;
+    this.groupPageSize = 200;
+  }
+
+  // Only candidate rows are loaded: SQL finds the fingerprints stored more than once
+  // with a generated id among them, and just those groups' key columns are read
+  async deduplicate(tourOperatorId, source) {
+    await this.backfillFingerprints(tourOperatorId, source);
+
+    let scanned = 0;
+    let collapsed = 0;
+    let mergedGroups = 0;
+
+    for await (const fingerprints of this.duplicateFingerprints(tourOperatorId, source)) {
+      const groups = new Map(fingerprints.map(fingerprint => [fingerprint, []]));
+      for await (const rows of this.keyPages(tourOperatorId, source, fingerprints)) {
+        for (const row of rows) groups.get(row.content_fingerprint)?.push(row);
+        scanned += rows.length;
+      }
+
+      for (const [fingerprint, group] of groups) {
+        if (group.length < 2) continue;
+
+        // Rows with distinct provider ids are distinct reviews, even with identical
+        // content. Only rows carrying ids we generated can be duplicates.
+        const generated = group.filter(row => isGeneratedId(source, row.external_id));
+        if (generated.length === 0) continue;
+
+        const providerRows = group.filter(row => !isGeneratedId(source, row.external_id));
+        const stableId = fingerprintId(source, fingerprint);
+
+        const survivor = providerRows[0] ||
+                         generated.find(row => row.external_id === stableId) ||
+                         this.oldest(generated);
+        const duplicates = generated.filter(row => row.id !== survivor.id);
+
+        if (duplicates.length === 0) continue;
+
+        await this.mergeInto(survivor, duplicates, {
+          content_fingerprint: fingerprint,
+          ...(isGeneratedId(source, survivor.external_id) && { external_id: stableId })
+        });
+
+        collapsed += duplicates.length;
+        mergedGroups++;
+      }
+    }
+
+    if (collapsed > 0) {
+      this.logger.info(`🧬 Collapsed ${collapsed} duplicate ${source} reviews into ${mergedGroups} for operator ${tourOperatorId}`);
+    }
+
+    return { scanned, groups_merged: mergedGroups, collapsed };
+  }
+
+  // Reviews stored before fingerprints existed get theirs, so SQL can group them. Each
+  // row is only ever read here once.
+  async backfillFingerprints(tourOperatorId, source) {
+    let lastId = null;
+
+    for (;;) {
+      let query = this.supabase
+        .from('external_reviews')
+        .select('id, author_name, rating, posted_at, text')
+        .eq('tour_operator_id', tourOperatorId)
+        .eq('source', source)
+        .is('content_fingerprint', null);
+      if (lastId !== null) query = query.gt('id', lastId);
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .limit(this.pageSize);
+
+      if (error) {
+        throw new Error(`Failed to load reviews without fingerprints: ${error.message}`);
+      }
+      if (!data?.length) return;
+
+      const byFingerprint = new Map();
+      for (const row of data) {
+        const fingerprint = fingerprintReview(row);
+        if (!byFingerprint.has(fingerprint)) byFingerprint.set(fingerprint, []);
+        byFingerprint.get(fingerprint).push(row.id);
+      }
+
+      for (const [fingerprint, ids] of byFingerprint) {
+        const { error: updateError } = await this.supabase
+          .from('external_reviews')
+          .update({ content_fingerprint: fingerprint })
+          .in('id', ids);
+
+        if (updateError) {
+          throw new Error(`Failed to store review fingerprints: ${updateError.message}`);
+        }
+      }
+
+      if (data.length < this.pageSize) return;
+      lastId = data[data.length - 1].id;
+    }
+  }
+
+  // Pages of fingerprints that have duplicate candidates, in fingerprint order
+  async *duplicateFingerprints(tourOperatorId, source) {
+    let after = null;
+
+    for (;;) {
+      const { data, error } = await this.supabase.rpc('review_duplicate_fingerprints', {
+        p_tour_operator_id: tourOperatorId,
+        p_source: source,
+        p_after: after,
+        p_limit: this.groupPageSize
+      });
+
+      if (error) {
+        throw new Error(`Failed to find duplicate reviews: ${error.message}`);
+      }
+
+      if (data?.length) yield data.map(row => row.content_fingerprint);
+      if (!data || data.length < this.groupPageSize) return;
+
+      after = data[data.length - 1].content_fingerprint;
+    }
+  }
+
+  // The key columns of the reviews with these fingerprints, a page at a time
+  async *keyPages(tourOperatorId, source, fingerprints) {
+    let lastId = null;
+
+    for (;;) {
+      let query = this.supabase
+        .from('external_reviews')
+        .select('id, external_id, created_at, content_fingerprint')
+        .eq('tour_operator_id', tourOperatorId)
+        .eq('source', source)
+        .in('content_fingerprint', fingerprints);
+      if (lastId !== null) query = query.gt('id', lastId);
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .limit(this.pageSize);
+
+      if (error) {
+        throw new Error(`Failed to load reviews for deduplication: ${error.message}`);
+      }
+
+      if (data?.length) yield data;
+      if (!data || data.length < this.pageSize) return;
+
+      lastId = data[data.length - 1].id;
+    }
+  }
+
+  oldest(rows) {
+    return rows.reduce((oldest, row) => {
+      return new Date(row.created_at || 0) < new Date(oldest.created_at || 0) ? row : oldest;
+    });
+  }
+
+  async mergeInto(survivor, duplicates, updates) {
+    // Only the rows being merged are read in full
+    const { data: rows, error: loadError } = await this.supabase
+      .from('external_reviews')
+      .select(`id, ${MERGE_FIELDS.join(', ')}`)
+      .in('id', [survivor.id, ...duplicates.map(row => row.id)]);
+
+    if (loadError) {
+      throw new Error(`Failed to load duplicate reviews: ${loadError.message}`);
+    }
+
+    const survivorRow = rows.find(row => row.id === survivor.id) || {};
+    const donors = rows.filter(row => row.id !== survivor.id);
+
+    const merged = { ...updates };
+    for (const field of MERGE_FIELDS) {
+      if (survivorRow[field]) continue;
+      const donor = donors.find(row => row[field]);
+      if (donor) merged[field] = donor[field];
+    }
+
+    // Fill gaps on the survivor first, so a failure leaves the duplicates and their
+    // fields in place for the next run
+    const { error: updateError } = await this.supabase
+      .from('external_reviews')
+      .update(merged)
+      .eq('id', survivor.id);
+
+    if (updateError) {
+      throw new Error(`Failed to update merged review ${survivor.id}: ${updateError.message}`);
+    }
+
+    const { error: deleteError } = await this.supabase
+      .from('external_reviews')
+      .delete()
+      .in('id', duplicates.map(row => row.id));
+
+    if (deleteError) {
+      throw new Error(`Failed to delete duplicate reviews: ${deleteError.message}`);
+    }
+  }
+}
+
+module.exports = ReviewDeduplicator;
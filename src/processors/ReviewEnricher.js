@@ -0,0 +1,59 @@
+const LexiconAnalyzer = require('../analysis/LexiconAnalyzer');
+
+// Stores sentiment and topic tags for reviews in review_enrichments, one row per review,
+// keyed like external_reviews. Runs after reviews are written; a failure is logged and
+// never fails the import, since a backfill can analyze the reviews again later.
+class ReviewEnricher {
+  constructor(supabase, logger, analyzer = new LexiconAnalyzer()) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.analyzer = analyzer;
+    this.config = {
+      enabled: process.env.ENRICHMENT_ENABLED !== 'false'
+    };
+  }
+
+  // Resolves with the number of reviews enriched
+  async enrich(records) {
+    if (!this.config.enabled || records.length === 0) return 0;
+
+    try {
+      return await this.analyzeAndStore(records);
+    } catch (error) {
+      this.logger.warn(`⚠️ Enrichment failed for ${records.length} reviews: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Like enrich, but errors reach the caller (backfills record them)
+  async analyzeAndStore(records) {
+    const results = await this.analyzer.analyzeBatch(records);
+    const analyzedAt = new Date().toISOString();
+
+    const rows = records.map((record, index) => ({
+      tour_operator_id: record.tour_operator_id,
+      source: record.source,
+      external_id: record.external_id,
+      sentiment_score: results[index].sentiment_score,
+      sentiment_label: results[index].sentiment_label,
+      topics: results[index].topics,
+      topic_sentiment: results[index].topic_sentiment,
+      keywords: results[index].keywords,
+      analyzer: this.analyzer.name,
+      analyzer_version: this.analyzer.version,
+      analyzed_at: analyzedAt
+    }));
+
+    const { error } = await this.supabase
+      .from('review_enrichments')
+      .upsert(rows, { onConflict: 'tour_operator_id,source,external_id' });
+
+    if (error) {
+      throw new Error(`Failed to store enrichments: ${error.message}`);
+    }
+
+    return rows.length;
+  }
+}
+
+module.exports = ReviewEnricher;
@@ -1,67 +1,37 @@
-const axios = require('axios');
-const DataForSEOClient = require('../utils/DataForSEOClient');
+const crypto = require('crypto');
 const ProgressTracker = require('../utils/ProgressTracker');
+const ReviewDeduplicator = require('./ReviewDeduplicator');
+const ReviewWriter = require('./ReviewWriter');
+const ReviewEnricher = require('./ReviewEnricher');
+const AlertManager = require('../managers/AlertManager');
+const platformRegistry = require('../platforms');
+const uploadSource = require('../platforms/UploadSource');
+const ProviderRegistry = require('../providers/ProviderRegistry');
+const JobEventBus = require('../events/JobEventBus');
+const { JobCancelledError } = require('../utils/errors');
+const { validateRecord } = require('../utils/reviewSchema');
+const { iterateResultItems, batchesOf, advance } = require('../utils/reviewStream');
 
 class ReviewProcessor {
-  constructor(supabase, logger) {
+  constructor(supabase, logger, platforms = platformRegistry, events = new JobEventBus(supabase, logger), providers = new ProviderRegistry(supabase, logger)) {
     this.supabase = supabase;
     this.logger = logger;
-    this.dataForSEO = new DataForSEOClient(logger);
-    this.progressTracker = new ProgressTracker(supabase, logger);
+    this.platforms = platforms;
+    this.events = events;
+    this.providers = providers;
+    this.progressTracker = new ProgressTracker(supabase, logger, events);
+    this.deduplicator = new ReviewDeduplicator(supabase, logger);
+    this.writer = new ReviewWriter(supabase, logger);
+    this.enricher = new ReviewEnricher(supabase, logger);
+    this.alerts = new AlertManager(supabase, logger, events);
     
     // Processing configuration
     this.config = {
-      batchSize: 100,
-      maxRetries: 3,
-      retryDelay: 5000,
-      maxConcurrentJobs: 5,
-      pollInterval: 30000 // 30 seconds
+      batchSize: parseInt(process.env.BATCH_SIZE, 10) || 100
     };
   }
 
-  async processPendingJobs() {
-    try {
-      this.logger.info('🔄 Checking for pending jobs...');
-
-      // Get running jobs that need processing
-      const { data: jobs, error } = await this.supabase
-        .from('review_sync_jobs')
-        .select('*')
-        .in('status', ['running', 'processing'])
-        .order('started_at', { ascending: true })
-        .limit(this.config.maxConcurrentJobs);
-
-      if (error) {
-        throw new Error(`Failed to fetch jobs: ${error.message}`);
-      }
-
-      if (!jobs || jobs.length === 0) {
-        this.logger.info('📭 No pending jobs found');
-        return [];
-      }
-
-      this.logger.info(`📋 Found ${jobs.length} jobs to process`);
-
-      const results = [];
-      for (const job of jobs) {
-        try {
-          const result = await this.processJob(job.id);
-          results.push({ job_id: job.id, success: true, result });
-        } catch (error) {
-          this.logger.error(`❌ Job ${job.id} failed:`, error);
-          results.push({ job_id: job.id, success: false, error: error.message });
-        }
-      }
-
-      return results;
-
-    } catch (error) {
-      this.logger.error('Error in processPendingJobs:', error);
-      throw error;
-    }
-  }
-
-  async processJob(jobId) {
+  async processJob(jobId, { isFinalAttempt = true } = {}) {
     try {
       this.logger.info(`🚀 Processing job ${jobId}`);
 
@@ -76,160 +46,469 @@ class ReviewProcessor {
         throw new Error(`Job ${jobId} not found`);
       }
 
-      // Update job status to processing
+      if (job.status === 'cancelled') {
+        this.logger.info(`🛑 Job ${jobId} was cancelled before processing started`);
+        return { cancelled: true };
+      }
+
+      // Update job status to processing; progress is reported per phase from here on
       await this.updateJobStatus(jobId, 'processing', {
-        progress_percentage: 5,
         updated_at: new Date().toISOString()
       });
 
-      // Process based on platform
-      let result;
-      switch (job.platform) {
-        case 'tripadvisor':
-          result = await this.processTripAdvisorJob(job);
-          break;
-        case 'google':
-          result = await this.processGoogleJob(job);
-          break;
-        default:
-          throw new Error(`Unsupported platform: ${job.platform}`);
+      if (job.platform === uploadSource.name) {
+        throw new Error('Upload jobs only run in the process that received the upload; upload the file again');
       }
 
-      this.logger.info(`✅ Job ${jobId} completed successfully`);
+      // Process through the platform's adapter
+      const adapter = this.platforms.get(job.platform);
+      const result = await this.processPlatformJob(job, adapter);
+
+      if (!result.deferred) {
+        this.logger.info(`✅ Job ${jobId} completed successfully`);
+      }
       return result;
 
     } catch (error) {
+      if (error instanceof JobCancelledError) {
+        this.logger.info(`🛑 Job ${jobId} stopped after cancellation`);
+        return { cancelled: true };
+      }
+
       this.logger.error(`❌ Job ${jobId} failed:`, error);
-      
-      // Update job with error
-      await this.updateJobStatus(jobId, 'failed', {
-        error: error.message,
-        updated_at: new Date().toISOString()
-      });
 
-      // Send failure notification
-      await this.sendNotification(jobId, 'failed', `Import failed: ${error.message}`);
-      
+      // Leave the job running while the queue still has retries left for it
+      if (!isFinalAttempt) {
+        await this.updateJobStatus(jobId, 'running', {
+          error: `Retrying after error: ${error.message}`,
+          updated_at: new Date().toISOString()
+        });
+        await this.events.publish(jobId, 'warning', { message: `Retrying after error: ${error.message}` });
+        throw error;
+      }
+
+      await this.failJob(jobId, error);
       throw error;
     }
   }
 
-  async processTripAdvisorJob(job) {
+  // Uploaded rows go through the same ingestion as fetched reviews, mapped by `transform`
+  async processUpload(job, rows, transform) {
     try {
-      this.logger.info(`🏨 Processing TripAdvisor job for: ${job.source_business_name}`);
+      this.logger.info(`📤 Importing ${rows.length} uploaded reviews for job ${job.id}`);
+
+      const result = await this.importReviews(job, { pages: () => [{ items: rows }], total: rows.length }, {}, { transform });
+
+      this.logger.info(`✅ Job ${job.id} completed successfully`);
+      return result;
+
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        this.logger.info(`🛑 Job ${job.id} stopped after cancellation`);
+        return { cancelled: true };
+      }
+
+      this.logger.error(`❌ Upload job ${job.id} failed:`, error);
+      await this.failJob(job.id, error);
+      throw error;
+    }
+  }
+
+  async failJob(jobId, error) {
+    // Update job with error
+    await this.updateJobStatus(jobId, 'failed', {
+      error: error.message,
+      updated_at: new Date().toISOString()
+    });
+
+    // Send failure notification
+    await this.events.publish(jobId, 'failed', {
+      status: 'failed',
+      error: error.message,
+      message: `Import failed: ${error.message}`
+    });
+  }
+
+  async processPlatformJob(job, adapter) {
+    try {
+      this.logger.info(`📍 Processing ${adapter.name} job for: ${job.source_business_name}`);
 
       const cursor = JSON.parse(job.last_cursor || '{}');
-      let taskId = cursor.task_id;
-
-      // If no task ID, create new DataForSEO task
-      if (!taskId) {
-        this.logger.info('📝 Creating new DataForSEO task...');
-        
-        const urlPath = this.extractTripAdvisorPath(job.source_business_id);
-        taskId = await this.dataForSEO.createTripAdvisorTask(urlPath, job.full_history);
-        
-        // Update job with task ID
-        await this.updateJobStatus(job.id, 'processing', {
-          last_cursor: JSON.stringify({ task_id: taskId, created_at: new Date().toISOString() }),
-          progress_percentage: 10
-        });
 
-        this.logger.info(`📋 Created DataForSEO task: ${taskId}`);
-        
-        // Wait a bit for task to start processing
-        await this.sleep(10000);
+      const fetched = await this.fetchReviews(job, cursor, adapter);
+
+      // The worker is released while DataForSEO works; the pingback re-queues the job
+      if (fetched.deferred) {
+        this.logger.info(`📨 Job ${job.id} waiting for DataForSEO callback on task ${fetched.taskId}`);
+        return { deferred: true, task_id: fetched.taskId };
       }
 
-      // Poll for results
-      const results = await this.pollDataForSEOResults(taskId, job.platform);
-      
-      if (!results || results.length === 0) {
-        throw new Error('No results returned from DataForSEO');
+      const { provider, taskId } = fetched;
+      this.logger.info(`📊 Found ${fetched.total} reviews to process (${fetched.listed ?? 'unknown number'} listed on ${adapter.name}, via ${provider.name})`);
+
+      try {
+        const mapReview = provider.reviewMapper(job, adapter);
+        return await this.importReviews(job, fetched, cursor, {
+          taskId,
+          transform: review => adapter.toRecord(mapReview(review), job)
+        });
+      } finally {
+        await fetched.close?.();
       }
 
-      // Extract all reviews from results
-      let allReviews = [];
-      for (const result of results) {
-        if (result.items && Array.isArray(result.items)) {
-          allReviews = allReviews.concat(result.items);
+    } catch (error) {
+      this.logger.error(`${adapter.name} processing error:`, error);
+      throw error;
+    }
+  }
+
+  // Fetches through the job's provider, falling back to its second provider when the
+  // first errors. The cursor remembers which provider is in use, so a resumed job keeps
+  // going with it instead of starting over with the first.
+  async fetchReviews(job, cursor, adapter) {
+    const providers = this.providers.chain(job.provider, job.fallback_provider);
+    const start = Math.max(0, providers.findIndex(provider => provider.name === cursor.provider));
+
+    for (const [index, provider] of providers.entries()) {
+      if (index < start) continue;
+
+      const next = providers[index + 1];
+
+      try {
+        if (!provider.isConfigured()) {
+          throw new Error(`${provider.name} is not configured on this service`);
+        }
+        if (!provider.supports(adapter)) {
+          throw new Error(`${provider.name} does not support ${adapter.name}`);
         }
-      }
 
-      this.logger.info(`📊 Found ${allReviews.length} reviews to process`);
+        if (cursor.provider !== provider.name) {
+          cursor.provider = provider.name;
+          await this.updateJobStatus(job.id, 'processing', {
+            active_provider: provider.name,
+            last_cursor: JSON.stringify(cursor),
+            updated_at: new Date().toISOString()
+          });
+        }
+
+        return { ...await provider.fetch(job, cursor, adapter, this.providerContext(job)), provider };
 
-      if (allReviews.length === 0) {
-        await this.completeJob(job.id, 0, 0);
-        return { reviews_processed: 0, total_found: 0 };
+      } catch (error) {
+        if (error instanceof JobCancelledError || !next) throw error;
+
+        this.logger.warn(`⚠️ Provider ${provider.name} failed for job ${job.id}, falling back to ${next.name}: ${error.message}`);
+        await this.events.publish(job.id, 'warning', { message: `${provider.name} failed (${error.message}), trying ${next.name}` });
       }
+    }
+  }
 
-      // Process reviews in batches
-      const processedCount = await this.processReviewBatches(job, allReviews);
+  // What a provider may do to the job while fetching
+  providerContext(job) {
+    return {
+      setPhase: async (phaseName, updates = {}) => {
+        const phase = this.progressTracker.phaseUpdate(phaseName);
+        await this.updateJobStatus(job.id, 'processing', {
+          ...phase,
+          ...updates,
+          updated_at: new Date().toISOString()
+        });
+        await this.progressTracker.publishPhase(job.id, phase);
+      },
+      publish: (type, data) => this.events.publish(job.id, type, data),
+      assertNotCancelled: () => this.assertNotCancelled(job.id),
+      getNewestPostedAt: () => this.getNewestPostedAt(job),
+      sleep: ms => this.sleep(ms)
+    };
+  }
 
-      // Complete the job
-      await this.completeJob(job.id, processedCount, allReviews.length);
+  // `source` is a provider's { pages, total }: pages() opens the raw reviews page by page
+  async importReviews(job, source, cursor, { taskId = null, transform = null } = {}) {
+    if (source.total === 0) {
+      await this.completeJob(job.id, 0, 0, {
+        syncCounts: cursor.sync_counts,
+        metrics: this.progressTracker.completionMetrics(cursor, 0)
+      });
+      return { reviews_processed: 0, total_found: 0 };
+    }
 
-      return {
-        reviews_processed: processedCount,
-        total_found: allReviews.length,
-        task_id: taskId
-      };
+    // Reviews stream through transform, validation and batched writes
+    const { processedCount, readCount } = await this.processReviewBatches(job, source.pages, cursor, {
+      totalReviews: source.total,
+      transform
+    });
+    // Some providers only estimate the total up front
+    const totalFound = Math.max(source.total, readCount);
 
+    // Collapse duplicates left by earlier runs; a failure here shouldn't fail the import
+    let duplicatesCollapsed = null;
+    try {
+      const dedup = await this.deduplicator.deduplicate(job.tour_operator_id, job.platform);
+      duplicatesCollapsed = dedup.collapsed;
     } catch (error) {
-      this.logger.error('TripAdvisor processing error:', error);
-      throw error;
+      this.logger.error(`Deduplication failed for job ${job.id}:`, error);
     }
+
+    // Compare the rolling average with the previous sync; like deduplication, a failure
+    // here is logged rather than failing the import
+    let rollingAverage = null;
+    try {
+      ({ rollingAverage } = await this.alerts.checkRatingDrop(job));
+    } catch (error) {
+      this.logger.error(`Rating drop check failed for job ${job.id}:`, error);
+    }
+
+    // Complete the job
+    await this.completeJob(job.id, processedCount, totalFound, {
+      syncCounts: cursor.sync_counts,
+      changes: cursor.had_reviews ? cursor.changes : null,
+      rollingAverage,
+      duplicatesCollapsed,
+      rejectedCount: cursor.rejected_count,
+      deadLetterCount: cursor.dead_letter_count,
+      metrics: this.progressTracker.completionMetrics(cursor, readCount)
+    });
+
+    return {
+      reviews_processed: processedCount,
+      total_found: totalFound,
+      task_id: taskId,
+      duplicates_collapsed: duplicatesCollapsed,
+      rejected_count: cursor.rejected_count,
+      dead_letter_count: cursor.dead_letter_count,
+      ...(cursor.sync_counts && { sync_counts: cursor.sync_counts }),
+      ...(cursor.had_reviews && { changes: cursor.changes })
+    };
+  }
+
+  async getNewestPostedAt(job) {
+    const { data, error } = await this.supabase
+      .from('external_reviews')
+      .select('posted_at')
+      .eq('tour_operator_id', job.tour_operator_id)
+      .eq('source', job.platform)
+      .order('posted_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to load sync baseline: ${error.message}`);
+    }
+
+    return data?.[0]?.posted_at || null;
+  }
+
+  async hasStoredReviews(job) {
+    return (await this.getNewestPostedAt(job)) !== null;
   }
 
-  async processReviewBatches(job, allReviews) {
+  async classifyAgainstExisting(job, reviews) {
+    const { data: existing, error } = await this.supabase
+      .from('external_reviews')
+      .select('external_id, rating, text, response_text')
+      .eq('tour_operator_id', job.tour_operator_id)
+      .eq('source', job.platform)
+      .in('external_id', reviews.map(review => review.external_id));
+
+    if (error) {
+      throw new Error(`Failed to load existing reviews: ${error.message}`);
+    }
+
+    const existingById = new Map((existing || []).map(row => [row.external_id, row]));
+    const classified = { new: [], updated: [], unchanged: [], ratingChanged: [], newResponses: [] };
+
+    for (const review of reviews) {
+      const stored = existingById.get(review.external_id);
+
+      if (!stored) {
+        classified.new.push(review);
+        continue;
+      }
+
+      if (stored.rating !== review.rating) {
+        classified.ratingChanged.push({ review, previousRating: stored.rating });
+      }
+      if (!stored.response_text && review.response_text) {
+        classified.newResponses.push(review);
+      }
+
+      if (stored.rating !== review.rating ||
+          (stored.text || null) !== review.text ||
+          (stored.response_text || null) !== review.response_text) {
+        classified.updated.push(review);
+      } else {
+        classified.unchanged.push(review);
+      }
+    }
+
+    return classified;
+  }
+
+  // Reads the reviews of `openPages()` a batch at a time, so at most one batch of
+  // normalized reviews is held in memory. Resolves with the reviews imported and read.
+  async processReviewBatches(job, openPages, cursor = {}, { totalReviews, transform = null }) {
     let processedCount = 0;
-    const totalReviews = allReviews.length;
-    
-    // Process in batches to avoid memory issues and provide progress updates
-    for (let i = 0; i < allReviews.length; i += this.config.batchSize) {
-      const batch = allReviews.slice(i, i + this.config.batchSize);
-      
+    let startOffset = 0;
+
+    // Review ids are hashed as they stream past; the digest at a checkpoint fingerprints
+    // every review before it
+    let hash = crypto.createHash('sha256');
+    let reviews = this.fingerprinted(iterateResultItems(openPages()), hash);
+
+    // Resume after the last committed batch, but only if the results still start with
+    // the reviews the checkpoint was taken against. Those are skipped without being transformed.
+    if (cursor.results_hash && cursor.committed_offset > 0) {
+      const skipped = await advance(reviews, cursor.committed_offset);
+
+      if (skipped === cursor.committed_offset && hash.copy().digest('hex') === cursor.results_hash) {
+        startOffset = skipped;
+        processedCount = cursor.imported_count || 0;
+        this.logger.info(`♻️ Resuming job ${job.id} at review ${startOffset}/${totalReviews}`);
+      } else {
+        await reviews.return();
+        hash = crypto.createHash('sha256');
+        reviews = this.fingerprinted(iterateResultItems(openPages()), hash);
+
+        this.logger.warn(`⚠️ Results for job ${job.id} changed since last checkpoint, importing from the start`);
+        await this.events.publish(job.id, 'warning', { message: 'Results changed since the last checkpoint, importing from the start' });
+      }
+    }
+
+    let rejectedCount = startOffset > 0 ? (cursor.rejected_count || 0) : 0;
+    let deadLetterCount = startOffset > 0 ? (cursor.dead_letter_count || 0) : 0;
+
+    cursor.results_hash = hash.copy().digest('hex');
+    cursor.committed_offset = startOffset;
+    cursor.imported_count = processedCount;
+    cursor.rejected_count = rejectedCount;
+    cursor.dead_letter_count = deadLetterCount;
+
+    // Whether the source had reviews before this job. Without them every review is
+    // new, so the first import only sets the baseline and raises no review alerts.
+    if (startOffset === 0 || cursor.had_reviews === undefined) {
+      cursor.had_reviews = await this.hasStoredReviews(job);
+    }
+
+    // Live throughput is measured from here, so a resumed job isn't credited with earlier batches
+    cursor.total = totalReviews;
+    cursor.ingest_started_at = new Date().toISOString();
+    cursor.ingest_start_offset = startOffset;
+
+    const phase = this.progressTracker.phaseUpdate('ingesting', startOffset / totalReviews);
+    await this.updateJobStatus(job.id, 'processing', {
+      ...phase,
+      total_available: totalReviews,
+      last_cursor: JSON.stringify(cursor),
+      updated_at: new Date().toISOString()
+    });
+    await this.progressTracker.publishPhase(job.id, phase);
+
+    // Incremental syncs only write new or changed reviews and stop once they reach known ones
+    const incremental = job.sync_mode === 'incremental';
+    const syncCounts = { new: 0, updated: 0, unchanged: 0, ...(startOffset > 0 && cursor.sync_counts) };
+    const changes = { new: 0, rating_changed: 0, new_responses: 0, ...(startOffset > 0 && cursor.changes) };
+    let reachedKnownReviews = false;
+
+    let i = startOffset;
+    let lastMilestone = Math.floor((startOffset / totalReviews) * 4) * 25;
+
+    for await (const batch of batchesOf(reviews, this.config.batchSize)) {
+      // Checked outside the try so a cancellation isn't swallowed as a batch error
+      await this.assertNotCancelled(job.id);
+
+      // Valid reviews of this batch not stored yet. If the batch fails before they are
+      // written they're dead-lettered rather than dropped; null until normalized.
+      let unwritten = null;
+
       try {
-        // Transform reviews to database format
-        const reviewsToInsert = batch.map((review, index) => {
-          return this.transformReviewData(review, job, i + index);
-        }).filter(review => review && review.external_id);
+        // Transform reviews to database format and validate them against the schema
+        const normalized = batch.map(review => this.normalizeReview(review, job, transform));
+        let reviewsToInsert = normalized.filter(result => result.record).map(result => result.record);
+        unwritten = reviewsToInsert;
+
+        const rejected = normalized.filter(result => result.errors);
+        if (rejected.length > 0) {
+          await this.recordRejectedReviews(job, rejected);
+          rejectedCount += rejected.length;
+          await this.events.publish(job.id, 'warning', { message: `${rejected.length} reviews rejected as invalid` });
+        }
 
-        if (reviewsToInsert.length === 0) {
-          continue;
+        // Every batch is compared with what was stored before the write
+        let classified = null;
+        if (reviewsToInsert.length > 0) {
+          classified = await this.classifyAgainstExisting(job, reviewsToInsert);
         }
 
-        // Insert batch into database
-        const { error: insertError } = await this.supabase
-          .from('external_reviews')
-          .upsert(reviewsToInsert, { 
-            onConflict: 'tour_operator_id,source,external_id',
-            ignoreDuplicates: false 
-          });
+        if (incremental && classified) {
+          reviewsToInsert = [...classified.new, ...classified.updated];
+          reachedKnownReviews = classified.unchanged.length > 0 || classified.updated.length > 0;
+          unwritten = reviewsToInsert;
+        }
+
+        let stored = new Set();
+        if (reviewsToInsert.length > 0) {
+          // Retries and isolates failing records; whatever still fails is dead-lettered
+          const written = await this.writer.write(job, reviewsToInsert);
+          processedCount += written.written;
+          deadLetterCount += written.deadLettered;
+          stored = new Set(written.records);
+
+          if (written.deadLettered > 0) {
+            await this.events.publish(job.id, 'warning', { message: `${written.deadLettered} reviews failed to save and were dead-lettered` });
+          }
+        }
+        unwritten = [];
+
+        if (classified) {
+          // Dead-lettered reviews were never stored: they aren't counted, enriched or
+          // alerted on until they have been replayed
+          const added = classified.new.filter(review => stored.has(review));
+          const updated = classified.updated.filter(review => stored.has(review));
+
+          // Unchanged reviews keep their earlier analysis; backfills cover anything missed
+          await this.enricher.enrich([...added, ...updated]);
+
+          syncCounts.new += added.length;
+          syncCounts.updated += updated.length;
+          syncCounts.unchanged += classified.unchanged.length;
+
+          changes.new += added.length;
+          changes.rating_changed += classified.ratingChanged.filter(({ review }) => stored.has(review)).length;
+          changes.new_responses += classified.newResponses.filter(review => stored.has(review)).length;
 
-        if (insertError) {
-          this.logger.error('Batch insert error:', insertError);
-          // Continue with other batches even if one fails
-        } else {
-          processedCount += reviewsToInsert.length;
+          if (cursor.had_reviews) {
+            await this.alerts.raiseNegativeReviews(job, added);
+          }
         }
 
-        // Update progress
-        const progressPercentage = Math.min(95, Math.round(((i + batch.length) / totalReviews) * 85) + 10);
+        this.checkpointBatch(cursor, i + batch.length, hash, { processedCount, rejectedCount, deadLetterCount, changes, syncCounts: incremental && syncCounts });
+
+        // Update progress and checkpoint together
+        const progressPercentage = Math.min(99, this.progressTracker.progressFor('ingesting', (i + batch.length) / totalReviews));
         await this.updateJobStatus(job.id, 'processing', {
           imported_count: processedCount,
+          rejected_count: rejectedCount,
+          dead_letter_count: deadLetterCount,
           total_available: totalReviews,
           progress_percentage: progressPercentage,
+          last_cursor: JSON.stringify(cursor),
           updated_at: new Date().toISOString()
         });
-
-        // Send progress notification every 25%
-        if (progressPercentage % 25 === 0 && progressPercentage > 0) {
-          await this.sendNotification(
-            job.id, 
-            'progress', 
-            `Processing ${processedCount} of ${totalReviews} reviews (${progressPercentage}%)`
-          );
-        }
+        // Every 25% of ingestion is flagged as a milestone for notifications and webhooks
+        const milestone = Math.floor(((i + batch.length) / totalReviews) * 4) * 25;
+        const reachedMilestone = milestone > lastMilestone && milestone < 100;
+        lastMilestone = Math.max(lastMilestone, milestone);
+
+        await this.progressTracker.publishProgress(job.id, {
+          processed: i + batch.length,
+          total: totalReviews,
+          imported_count: processedCount,
+          rejected_count: rejectedCount,
+          dead_letter_count: deadLetterCount,
+          progress_percentage: progressPercentage,
+          ...(reachedMilestone && {
+            milestone,
+            message: `Processing ${processedCount} of ${totalReviews} reviews (${milestone}%)`
+          })
+        });
 
         this.logger.info(`📈 Processed batch ${Math.ceil((i + batch.length) / this.config.batchSize)} - ${processedCount}/${totalReviews} reviews`);
 
@@ -238,170 +517,194 @@ class ReviewProcessor {
 
       } catch (error) {
         this.logger.error(`Batch processing error (batch ${i}-${i + batch.length}):`, error);
-        // Continue with next batch
+
+        // A batch that couldn't even be normalized can't be kept for replay; failing the
+        // job leaves the checkpoint before it, so a retry resumes here
+        if (!unwritten) throw error;
+
+        if (unwritten.length > 0) {
+          await this.writer.deadLetter(job, unwritten.map(record => ({ record: { ...record, last_job_id: job.id }, error })));
+          deadLetterCount += unwritten.length;
+          await this.events.publish(job.id, 'warning', { message: `${unwritten.length} reviews failed to save and were dead-lettered` });
+        }
+
+        // Every review of the batch is now stored or dead-lettered
+        this.checkpointBatch(cursor, i + batch.length, hash, { processedCount, rejectedCount, deadLetterCount, changes, syncCounts: incremental && syncCounts });
+        await this.updateJobStatus(job.id, 'processing', {
+          imported_count: processedCount,
+          dead_letter_count: deadLetterCount,
+          last_cursor: JSON.stringify(cursor),
+          updated_at: new Date().toISOString()
+        });
       }
+
+      i += batch.length;
+
+      // Leaving the loop closes the stream, so no further pages are read
+      if (reachedKnownReviews) break;
     }
 
-    return processedCount;
+    cursor.rejected_count = rejectedCount;
+    cursor.dead_letter_count = deadLetterCount;
+    cursor.changes = changes;
+
+    if (incremental) {
+      cursor.sync_counts = syncCounts;
+      if (reachedKnownReviews) {
+        this.logger.info(`🛑 Reached already imported reviews, incremental sync for job ${job.id} stopped early`);
+      }
+    }
+
+    return { processedCount, readCount: i };
   }
 
-  transformReviewData(review, job, index) {
-    try {
-      // Handle different review formats from DataForSEO
-      const externalId = review.review_id || 
-                        review.id || 
-                        `${job.platform}_${job.id}_${index}_${Date.now()}`;
-      
-      const authorName = review.user_profile?.name || 
-                        review.author || 
-                        review.reviewer_name || 
-                        'Anonymous';
-      
-      const rating = Math.max(1, Math.min(5, 
-        review.rating?.value || 
-        review.rating || 
-        review.score || 
-        5
-      ));
-      
-      const reviewText = (review.review_text || 
-                         review.text || 
-                         review.content || 
-                         '').substring(0, 2000);
-      
-      const postedAt = review.date_of_review || 
-                      review.published_at || 
-                      review.created_at || 
-                      review.date ||
-                      new Date().toISOString();
-
-      return {
-        tour_operator_id: job.tour_operator_id,
-        source: job.platform,
-        external_id: externalId,
-        author_name: authorName.substring(0, 255),
-        rating: rating,
-        text: reviewText || null,
-        posted_at: new Date(postedAt).toISOString(),
-        review_url: review.url || review.link || null,
-        author_photo_url: review.user_profile?.photo_url || review.avatar || null,
-        place_name: job.source_business_name,
-        helpful_count: review.helpful_count || review.likes || 0,
-        response_text: review.response?.text || null,
-        response_date: review.response?.date ? new Date(review.response.date).toISOString() : null
-      };
+  // The hash has taken in exactly the reviews up to `offset` when a batch is done
+  checkpointBatch(cursor, offset, hash, { processedCount, rejectedCount, deadLetterCount, changes, syncCounts }) {
+    cursor.results_hash = hash.copy().digest('hex');
+    cursor.committed_offset = offset;
+    cursor.imported_count = processedCount;
+    cursor.rejected_count = rejectedCount;
+    cursor.dead_letter_count = deadLetterCount;
+    cursor.checkpointed_at = new Date().toISOString();
+    cursor.changes = { ...changes };
+    if (syncCounts) {
+      cursor.sync_counts = { ...syncCounts };
+    }
+  }
 
-    } catch (error) {
-      this.logger.error('Error transforming review data:', error);
-      return null;
+  async *fingerprinted(reviews, hash) {
+    for await (const review of reviews) {
+      hash.update(String(review.review_id || review.reviewId || review.id || JSON.stringify(review)));
+      hash.update('\n');
+      yield review;
     }
   }
 
-  async pollDataForSEOResults(taskId, platform) {
-    const maxPolls = 60; // 30 minutes max (30 second intervals)
-    let pollCount = 0;
+  // transform maps a raw review to a record; by default the platform's DataForSEO mapping
+  normalizeReview(review, job, transform = null) {
+    let record;
+    try {
+      record = transform ? transform(review) : this.platforms.get(job.platform).transformReview(review, job);
+    } catch (error) {
+      return { raw: review, errors: [`transform failed: ${error.message}`] };
+    }
 
-    while (pollCount < maxPolls) {
-      try {
-        this.logger.info(`🔍 Polling DataForSEO results (attempt ${pollCount + 1}/${maxPolls})`);
+    const errors = validateRecord(record);
+    return errors.length > 0
+      ? { raw: review, external_id: record.external_id, errors }
+      : { record };
+  }
 
-        const results = await this.dataForSEO.getTaskResults(taskId, platform);
-        
-        if (results && results.length > 0) {
-          this.logger.info(`✅ Results ready! Found ${results.length} result sets`);
-          return results;
-        }
+  async recordRejectedReviews(job, rejected) {
+    const rows = rejected.map(({ raw, external_id, errors }) => ({
+      job_id: job.id,
+      tour_operator_id: job.tour_operator_id,
+      source: job.platform,
+      external_id: external_id || null,
+      reasons: errors,
+      raw_payload: raw,
+      created_at: new Date().toISOString()
+    }));
 
-        // Wait before next poll
-        await this.sleep(this.config.pollInterval);
-        pollCount++;
+    const { error } = await this.supabase
+      .from('rejected_reviews')
+      .insert(rows);
 
-      } catch (error) {
-        if (error.message.includes('Task In Queue') || error.message.includes('Task Processing')) {
-          this.logger.info('⏳ Task still processing, waiting...');
-          await this.sleep(this.config.pollInterval);
-          pollCount++;
-          continue;
-        }
-        
-        throw error;
+    // The log is the fallback record when the table can't be written
+    if (error) {
+      this.logger.error(`Failed to store ${rows.length} rejected reviews for job ${job.id}:`, error);
+      for (const row of rows) {
+        this.logger.warn(`🚫 Rejected review ${row.external_id || '(no id)'}: ${row.reasons.join('; ')}`, { raw_payload: row.raw_payload });
       }
+    } else {
+      this.logger.warn(`🚫 Rejected ${rows.length} invalid reviews for job ${job.id}`);
     }
-
-    throw new Error('DataForSEO task timed out after 30 minutes');
   }
 
-  async completeJob(jobId, processedCount, totalFound) {
-    await this.updateJobStatus(jobId, 'succeeded', {
+  async completeJob(jobId, processedCount, totalFound, { syncCounts = null, changes = null, rollingAverage = null, duplicatesCollapsed = null, rejectedCount = 0, deadLetterCount = 0, metrics = {} } = {}) {
+    // Reviews that couldn't be written are kept for replay; the job is only partly done
+    const status = deadLetterCount ? 'partially_succeeded' : 'succeeded';
+
+    await this.updateJobStatus(jobId, status, {
       imported_count: processedCount,
+      dead_letter_count: deadLetterCount,
       total_available: totalFound,
       progress_percentage: 100,
+      phase: 'completed',
+      ...metrics,
       completed_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
+      updated_at: new Date().toISOString(),
+      ...(syncCounts && {
+        new_count: syncCounts.new,
+        updated_count: syncCounts.updated,
+        unchanged_count: syncCounts.unchanged
+      }),
+      ...(changes && {
+        new_count: changes.new,
+        rating_changed_count: changes.rating_changed,
+        new_response_count: changes.new_responses
+      }),
+      ...(rollingAverage !== null && { rolling_average: rollingAverage }),
+      ...(duplicatesCollapsed !== null && { duplicates_collapsed: duplicatesCollapsed })
     });
 
-    await this.sendNotification(
-      jobId, 
-      'completed', 
-      `Successfully imported ${processedCount} reviews from ${totalFound} found`
-    );
+    let message = syncCounts
+      ? `Incremental sync found ${syncCounts.new} new and ${syncCounts.updated} updated reviews (${syncCounts.unchanged} unchanged)`
+      : `Successfully imported ${processedCount} reviews from ${totalFound} found`;
+
+    // Full imports of a source with earlier reviews also say what changed
+    if (changes && !syncCounts) {
+      message += `: ${changes.new} new`;
+    }
+    if (changes && (changes.rating_changed || changes.new_responses)) {
+      message += `, ${changes.rating_changed} rating changes, ${changes.new_responses} new owner responses`;
+    }
 
-    this.logger.info(`🎉 Job ${jobId} completed: ${processedCount}/${totalFound} reviews imported`);
+    if (rejectedCount) {
+      message += `, ${rejectedCount} rejected as invalid`;
+    }
+
+    if (deadLetterCount) {
+      message += `, ${deadLetterCount} failed to save and can be replayed`;
+    }
+
+    await this.events.publish(jobId, 'completed', {
+      status,
+      imported_count: processedCount,
+      total_found: totalFound,
+      rejected_count: rejectedCount,
+      dead_letter_count: deadLetterCount,
+      ...(changes && { changes }),
+      ...(rollingAverage !== null && { rolling_average: rollingAverage }),
+      message
+    });
+
+    this.logger.info(`🎉 Job ${jobId} ${status}: ${processedCount}/${totalFound} reviews imported`);
   }
 
   async updateJobStatus(jobId, status, updates = {}) {
+    // Never overwrite a cancellation made while the job was running
     const { error } = await this.supabase
       .from('review_sync_jobs')
       .update({ status, ...updates })
-      .eq('id', jobId);
+      .eq('id', jobId)
+      .neq('status', 'cancelled');
 
     if (error) {
       this.logger.error(`Failed to update job ${jobId}:`, error);
     }
   }
 
-  async sendNotification(jobId, type, message) {
-    try {
-      // Get job details for user_id
-      const { data: job } = await this.supabase
-        .from('review_sync_jobs')
-        .select('tour_operator_id')
-        .eq('id', jobId)
-        .single();
-
-      if (!job) return;
-
-      await this.supabase
-        .from('job_notifications')
-        .insert({
-          user_id: job.tour_operator_id,
-          job_id: jobId,
-          type,
-          message
-        });
-
-    } catch (error) {
-      this.logger.error('Failed to send notification:', error);
-    }
-  }
+  async assertNotCancelled(jobId) {
+    const { data: job } = await this.supabase
+      .from('review_sync_jobs')
+      .select('status')
+      .eq('id', jobId)
+      .single();
 
-  extractTripAdvisorPath(businessId) {
-    // Extract path from TripAdvisor URL or business ID
-    if (businessId.startsWith('http')) {
-      const patterns = [
-        /tripadvisor\.com(\/(Attraction_Review|Restaurant_Review|Hotel_Review)-g\d+-d\d+-Reviews-.+\.html)/,
-        /tripadvisor\.com(\/.*-Reviews-.+\.html)/,
-      ];
-      
-      for (const pattern of patterns) {
-        const match = businessId.match(pattern);
-        if (match) return match[1];
-      }
-      
-      throw new Error('Invalid TripAdvisor URL format');
+    if (job?.status === 'cancelled') {
+      throw new JobCancelledError(jobId);
     }
-    
-    return businessId; // Assume it's already a path
   }
 
   sleep(ms) {
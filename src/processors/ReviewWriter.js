@@ -0,0 +1,157 @@
+// Writes normalized reviews to external_reviews. A failed batch is retried with backoff,
+// then split in half until the failing records are isolated; those go to the
+// review_dead_letters table so nothing is lost silently and they can be replayed later.
+class ReviewWriter {
+  constructor(supabase, logger, options = {}) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.config = {
+      maxRetries: parseInt(process.env.BATCH_MAX_RETRIES, 10) || 3,
+      retryDelay: parseInt(process.env.BATCH_RETRY_DELAY, 10) || 1000,
+      ...options
+    };
+  }
+
+  // Resolves with the counts and the records that were actually stored
+  async write(job, records) {
+    const result = { written: 0, deadLettered: 0, records };
+    const failures = [];
+
+    // Every written review remembers the job that last wrote it, e.g. for exports by job
+    const rows = records.map(record => ({ ...record, last_job_id: job.id }));
+
+    // Only the full batch is retried; transient errors (timeouts, connection resets)
+    // clear up there, while a poison record fails the same way however often it's sent
+    const error = await this.upsertWithRetry(rows);
+    if (error) {
+      this.logger.warn(`⚠️ Batch of ${rows.length} reviews failed after ${this.config.maxRetries} attempts, isolating bad records: ${error.message}`);
+      await this.isolateFailures(rows, result, failures, error);
+    } else {
+      result.written = rows.length;
+    }
+
+    if (failures.length > 0) {
+      await this.deadLetter(job, failures);
+      result.deadLettered = failures.length;
+
+      const failed = new Set(failures.map(failure => failure.record));
+      result.records = records.filter((record, index) => !failed.has(rows[index]));
+    }
+
+    return result;
+  }
+
+  async isolateFailures(records, result, failures, error) {
+    if (records.length === 1) {
+      failures.push({ record: records[0], error });
+      return;
+    }
+
+    const middle = Math.ceil(records.length / 2);
+    for (const half of [records.slice(0, middle), records.slice(middle)]) {
+      const halfError = await this.upsert(half);
+      if (halfError) {
+        await this.isolateFailures(half, result, failures, halfError);
+      } else {
+        result.written += half.length;
+      }
+    }
+  }
+
+  async upsertWithRetry(records) {
+    let error = null;
+
+    for (let attempt = 1; attempt <= this.config.maxRetries; attempt++) {
+      error = await this.upsert(records);
+      if (!error) return null;
+
+      if (attempt < this.config.maxRetries) {
+        await this.sleep(this.config.retryDelay * Math.pow(2, attempt - 1));
+      }
+    }
+
+    return error;
+  }
+
+  async upsert(records) {
+    try {
+      const { error } = await this.supabase
+        .from('external_reviews')
+        .upsert(records, { 
+          onConflict: 'tour_operator_id,source,external_id',
+          ignoreDuplicates: false 
+        });
+
+      return error || null;
+
+    } catch (error) {
+      return error;
+    }
+  }
+
+  async deadLetter(job, failures) {
+    const rows = failures.map(({ record, error }) => ({
+      job_id: job.id,
+      tour_operator_id: job.tour_operator_id,
+      source: record.source,
+      external_id: record.external_id,
+      record,
+      error: error.message || String(error),
+      attempts: 1,
+      created_at: new Date().toISOString()
+    }));
+
+    const { error } = await this.supabase
+      .from('review_dead_letters')
+      .insert(rows);
+
+    if (error) {
+      // Last resort: the records survive in the logs
+      this.logger.error(`Failed to dead-letter ${rows.length} reviews for job ${job.id}:`, error);
+      for (const row of rows) {
+        this.logger.error(`☠️ Lost review ${row.external_id}: ${row.error}`, { record: row.record });
+      }
+    } else {
+      this.logger.warn(`☠️ Dead-lettered ${rows.length} reviews for job ${job.id}`);
+    }
+  }
+
+  async replay(jobId) {
+    const { data: letters, error } = await this.supabase
+      .from('review_dead_letters')
+      .select('id, record, attempts')
+      .eq('job_id', jobId)
+      .is('replayed_at', null);
+
+    if (error) {
+      throw new Error(`Failed to load dead letters: ${error.message}`);
+    }
+
+    let replayed = 0;
+    for (const letter of letters || []) {
+      const upsertError = await this.upsert([letter.record]);
+
+      const update = upsertError
+        ? { attempts: letter.attempts + 1, error: upsertError.message || String(upsertError) }
+        : { attempts: letter.attempts + 1, replayed_at: new Date().toISOString() };
+
+      await this.supabase
+        .from('review_dead_letters')
+        .update(update)
+        .eq('id', letter.id);
+
+      if (!upsertError) replayed++;
+    }
+
+    const remaining = (letters?.length || 0) - replayed;
+    this.logger.info(`🔁 Replayed ${replayed} dead-lettered reviews for job ${jobId}, ${remaining} still failing`);
+
+    return { replayed, remaining };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = ReviewWriter;
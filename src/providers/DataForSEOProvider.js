@@ -0,0 +1,277 @@
+const ReviewProvider = require('./ReviewProvider');
+const DataForSEOClient = require('../utils/DataForSEOClient');
+const CostManager = require('../managers/CostManager');
+const { sign } = require('../utils/signing');
+const { countResultItems, lastResultItem } = require('../utils/reviewStream');
+
+// Reviews from DataForSEO business_data tasks. A task is created per job (several for an
+// incremental sync whose window had to widen), then polled, or picked up again when
+// DataForSEO calls the pingback URL. Task state lives in the job's cursor, so a restart
+// resumes the same task instead of paying for a new one.
+class DataForSEOProvider extends ReviewProvider {
+  constructor(supabase, logger, client = new DataForSEOClient(logger)) {
+    super();
+    this.supabase = supabase;
+    this.logger = logger;
+    this.client = client;
+    this.costs = new CostManager(supabase, logger, client);
+
+    this.config = {
+      pollInterval: parseInt(process.env.POLL_INTERVAL, 10) || 30000, // 30 seconds
+      incrementalDepth: parseInt(process.env.INCREMENTAL_DEPTH, 10) || 50,
+      // With both set, DataForSEO calls us back when a task is ready instead of being polled
+      publicBaseUrl: process.env.PUBLIC_BASE_URL,
+      callbackSecret: process.env.DATAFORSEO_CALLBACK_SECRET,
+      callbackTimeout: parseInt(process.env.CALLBACK_TIMEOUT, 10) || 15 * 60 * 1000
+    };
+  }
+
+  get name() {
+    return 'dataforseo';
+  }
+
+  isConfigured() {
+    return this.client.isConfigured();
+  }
+
+  async fetch(job, cursor, adapter, context) {
+    const fullDepth = Math.min(job.full_history ? 500 : 100, adapter.capabilities.maxDepth);
+    const incremental = job.sync_mode === 'incremental' && adapter.capabilities.newestFirst;
+
+    if (incremental && cursor.newest_posted_at === undefined) {
+      cursor.newest_posted_at = await context.getNewestPostedAt();
+    }
+
+    // Incremental syncs start with a small newest-first window and only widen it
+    // when the window doesn't reach reviews we already have
+    const canNarrow = incremental && cursor.newest_posted_at;
+
+    while (true) {
+      // If no task ID, create new DataForSEO task
+      if (!cursor.task_id) {
+        cursor.depth = canNarrow && !cursor.depth
+          ? Math.min(this.config.incrementalDepth, fullDepth)
+          : (cursor.depth || fullDepth);
+
+        this.logger.info(`📝 Creating new DataForSEO ${job.platform} task (depth ${cursor.depth})...`);
+
+        // Older cursors stored the resolved Google target as "business"
+        cursor.target = cursor.target || cursor.business || adapter.normalizeTarget(job.source_business_id);
+        const callback = this.buildCallback(job);
+        const task = await adapter.createTask(this.client, cursor.target, {
+          depth: cursor.depth,
+          fullHistory: job.full_history,
+          ...callback
+        });
+        cursor.task_id = task.id;
+        const providerCost = await this.costs.recordTask(job, task, { endpoint: adapter.endpoint, depth: cursor.depth });
+        cursor.created_at = new Date().toISOString();
+        cursor.awaiting_callback = Boolean(callback);
+        delete cursor.results_ready_at;
+
+        // Update job with task ID so a restart resumes polling instead of paying for a new task
+        await context.setPhase('provider_queued', {
+          last_cursor: JSON.stringify(cursor),
+          task_depth: cursor.depth,
+          ...(providerCost !== null && { provider_cost: providerCost })
+        });
+
+        this.logger.info(`📋 Created DataForSEO task: ${cursor.task_id}`);
+
+        if (cursor.awaiting_callback) {
+          return { deferred: true, taskId: cursor.task_id };
+        }
+
+        // Wait a bit for task to start processing
+        await context.sleep(10000);
+      } else {
+        this.logger.info(`♻️ Resuming DataForSEO task: ${cursor.task_id}`);
+      }
+
+      let results = null;
+
+      // Re-queued by the pingback or the sweeper: the task is usually ready. If it isn't,
+      // keep waiting for the callback until it is overdue, then fall back to polling.
+      if (cursor.awaiting_callback) {
+        results = await this.fetchResultsIfReady(cursor.task_id, adapter);
+
+        if (!results) {
+          const waitedMs = Date.now() - new Date(cursor.created_at).getTime();
+          if (waitedMs < this.config.callbackTimeout) {
+            return { deferred: true, taskId: cursor.task_id };
+          }
+          this.logger.warn(`⚠️ No DataForSEO callback for task ${cursor.task_id} after ${Math.round(waitedMs / 60000)} minutes, polling instead`);
+          await context.publish('warning', { message: 'DataForSEO callback overdue, polling for results' });
+        }
+
+        cursor.awaiting_callback = false;
+      }
+
+      // Poll for results
+      results = results || await this.pollResults(cursor.task_id, adapter, context);
+
+      if (!results || results.length === 0) {
+        throw new Error('No results returned from DataForSEO');
+      }
+
+      // Provider turnaround for ETA estimates; a resumed job keeps the first sighting
+      cursor.results_ready_at = cursor.results_ready_at || new Date().toISOString();
+
+      const reviewCount = countResultItems(results);
+      const windowFull = reviewCount >= cursor.depth && cursor.depth < fullDepth;
+      if (!canNarrow || !windowFull || await this.reachesKnownReviews(job, adapter, lastResultItem(results), cursor.newest_posted_at)) {
+        return {
+          taskId: cursor.task_id,
+          total: reviewCount,
+          listed: results.reduce((sum, result) => sum + (result.reviews_count || 0), 0),
+          pages: this.resultPages(cursor.task_id, adapter, results)
+        };
+      }
+
+      this.logger.info(`🔭 All ${reviewCount} reviews in the incremental window are new, widening the window`);
+      cursor.depth = Math.min(fullDepth, cursor.depth * 4);
+      delete cursor.task_id;
+    }
+  }
+
+  // DataForSEO returns a task's result sets in one response, so the first read hands
+  // out the sets already fetched (ingestion releases them as it goes). Reading again
+  // fetches the task anew.
+  resultPages(taskId, adapter, results) {
+    let fetched = results;
+
+    return () => {
+      const pages = fetched || this.refetchResults(taskId, adapter);
+      fetched = null;
+      return pages;
+    };
+  }
+
+  async *refetchResults(taskId, adapter) {
+    const { results } = await adapter.fetchResults(this.client, taskId);
+    yield* results || [];
+  }
+
+  async reachesKnownReviews(job, adapter, oldestReview, newestPostedAt) {
+    // Reviews arrive newest first, so only the oldest one in the window needs checking
+    let oldest = null;
+    try {
+      oldest = oldestReview && adapter.transformReview(oldestReview, job);
+    } catch (error) {
+      this.logger.error('Error transforming review data:', error);
+    }
+    if (!oldest) return false;
+
+    if (newestPostedAt && oldest.posted_at && new Date(oldest.posted_at) <= new Date(newestPostedAt)) {
+      return true;
+    }
+
+    const { data } = await this.supabase
+      .from('external_reviews')
+      .select('external_id')
+      .eq('tour_operator_id', job.tour_operator_id)
+      .eq('source', job.platform)
+      .eq('external_id', oldest.external_id)
+      .limit(1);
+
+    return Boolean(data?.length);
+  }
+
+  buildCallback(job) {
+    const { publicBaseUrl, callbackSecret } = this.config;
+    if (!publicBaseUrl || !callbackSecret) return null;
+
+    // DataForSEO substitutes $id and $tag; the signature covers the tag, which names the job
+    const tag = `job:${job.id}`;
+    const signature = sign(tag, callbackSecret);
+
+    return {
+      tag,
+      pingbackUrl: `${publicBaseUrl.replace(/\/$/, '')}/webhooks/dataforseo/pingback?id=$id&tag=$tag&sig=${signature}`
+    };
+  }
+
+  // Results of a task, with its result status and counts recorded for cost accounting.
+  // A task DataForSEO reports as failed is recorded too before the error goes on.
+  async fetchTaskResults(taskId, adapter) {
+    try {
+      const { task, results } = await adapter.fetchResults(this.client, taskId);
+      if (results && results.length > 0) {
+        await this.costs.recordResults(taskId, task, results);
+      }
+      return results;
+
+    } catch (error) {
+      if (error.providerTask) {
+        await this.costs.recordResults(taskId, error.providerTask);
+      }
+      throw error;
+    }
+  }
+
+  async fetchResultsIfReady(taskId, adapter) {
+    try {
+      const results = await this.fetchTaskResults(taskId, adapter);
+      return results && results.length > 0 ? results : null;
+
+    } catch (error) {
+      if (this.isPending(error)) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  async pollResults(taskId, adapter, context) {
+    const maxPolls = 60; // 30 minutes max (30 second intervals)
+    let pollCount = 0;
+    let providerProcessing = false;
+
+    while (pollCount < maxPolls) {
+      await context.assertNotCancelled();
+
+      try {
+        this.logger.info(`🔍 Polling DataForSEO results (attempt ${pollCount + 1}/${maxPolls})`);
+
+        const results = await this.fetchTaskResults(taskId, adapter);
+
+        if (results && results.length > 0) {
+          this.logger.info(`✅ Results ready! Found ${results.length} result sets`);
+          return results;
+        }
+
+        // Wait before next poll
+        await context.sleep(this.config.pollInterval);
+        pollCount++;
+
+      } catch (error) {
+        if (this.isPending(error)) {
+          this.logger.info('⏳ Task still processing, waiting...');
+
+          // DataForSEO reports when the task leaves its queue
+          if (!providerProcessing && error.providerStatus === 'Task Processing') {
+            providerProcessing = true;
+            await context.setPhase('provider_processing');
+          }
+
+          await context.sleep(this.config.pollInterval);
+          pollCount++;
+          continue;
+        }
+
+        throw error;
+      }
+    }
+
+    throw new Error('DataForSEO task timed out after 30 minutes');
+  }
+
+  isPending(error) {
+    return error.message.includes('Task still processing') ||
+           error.message.includes('Task In Queue') ||
+           error.message.includes('Task Processing');
+  }
+}
+
+module.exports = DataForSEOProvider;
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const ReviewProvider = require('./ReviewProvider');
+const { parseCsv, parseCsvStream } = require('../utils/csv');
+const { batchesOf } = require('../utils/reviewStream');
+const { ValidationError } = require('../utils/errors');
+const { assertPublicUrl, isPublicAddress, privateAllowed, publicRequestOptions } = require('../utils/outboundUrl');
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+const PAGE_SIZE = 500;
+
+// Column names recognized for each review field when a job doesn't map them itself
+const DEFAULT_COLUMNS = {
+  external_id: ['external_id', 'review_id', 'id'],
+  author_name: ['author_name', 'author', 'reviewer', 'name'],
+  rating: ['rating', 'stars', 'score'],
+  text: ['text', 'review_text', 'review', 'comment', 'content'],
+  posted_at: ['posted_at', 'date', 'review_date', 'created_at'],
+  review_url: ['review_url', 'url'],
+  response_text: ['response_text', 'owner_response', 'reply'],
+  response_date: ['response_date', 'reply_date']
+};
+
+// Reviews from a CSV, JSON or NDJSON file the job points at with
+// provider_options.file_url. provider_options.columns maps review fields to the
+// file's column names where the defaults above don't match. The file is downloaded to
+// a temporary file and read from there a page at a time. Like webhook urls, the file
+// may only be on a public host, or anyone who can start a job could have the worker
+// read internal addresses and get the response back as rejected rows.
+class FileProvider extends ReviewProvider {
+  constructor(logger) {
+    super();
+    this.logger = logger;
+    this.maxBytes = parseInt(process.env.FILE_PROVIDER_MAX_BYTES, 10) || 50 * 1024 * 1024;
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  validateOptions(options) {
+    let url;
+    try {
+      url = new URL(options.file_url);
+    } catch (error) {
+      throw new ValidationError('provider_options.file_url must be a URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ValidationError('provider_options.file_url must be an http(s) URL');
+    }
+    // Host names are resolved and checked when the file is fetched
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host) && !privateAllowed()) {
+      throw new ValidationError('provider_options.file_url must not point at a private or local address');
+    }
+    if (options.format && !FORMATS.includes(options.format)) {
+      throw new ValidationError(`provider_options.format must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (options.columns !== undefined) {
+      this.validateColumns(options.columns);
+    }
+  }
+
+  validateColumns(columns) {
+    if (typeof columns !== 'object' || Array.isArray(columns) || columns === null) {
+      throw new ValidationError('columns must map review fields to column names');
+    }
+    for (const [field, column] of Object.entries(columns)) {
+      if (!DEFAULT_COLUMNS[field]) {
+        throw new ValidationError(`Unknown review field in columns: ${field}. Use: ${Object.keys(DEFAULT_COLUMNS).join(', ')}`);
+      }
+      if (typeof column !== 'string' || !column) {
+        throw new ValidationError(`columns.${field} must be a column name`);
+      }
+    }
+  }
+
+  async fetch(job, cursor, adapter, context) {
+    const { file_url: fileUrl, format } = job.provider_options || {};
+    if (!fileUrl) {
+      throw new Error('File provider needs provider_options.file_url');
+    }
+
+    await context.setPhase('provider_processing');
+    this.logger.info(`📄 Downloading review file for job ${job.id}`);
+
+    const filePath = path.join(os.tmpdir(), `review-file-${job.id}`);
+    const close = () => fs.promises.unlink(filePath).catch(() => {});
+
+    try {
+      const contentType = await this.download(fileUrl, filePath);
+      const fileFormat = format || this.detectFormat(fileUrl, contentType);
+
+      // A first pass counts the rows, and a malformed file fails here before anything is imported
+      let total = 0;
+      for await (const page of this.readPages(filePath, fileFormat)) {
+        total += page.items.length;
+      }
+      this.logger.info(`📄 Read ${total} reviews from file for job ${job.id}`);
+
+      return { total, listed: total, pages: () => this.readPages(filePath, fileFormat), close };
+
+    } catch (error) {
+      await close();
+      throw error;
+    }
+  }
+
+  // Streams the file to disk, giving up once it passes the size limit. Resolves with its content type.
+  async download(fileUrl, filePath) {
+    await assertPublicUrl(fileUrl, 'provider_options.file_url');
+
+    const response = await axios.get(fileUrl, { responseType: 'stream', timeout: 60000, ...publicRequestOptions });
+
+    const maxBytes = this.maxBytes;
+    let bytes = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        callback(bytes > maxBytes ? new Error(`Review file is larger than ${maxBytes} bytes`) : null, chunk);
+      }
+    });
+
+    await pipeline(response.data, limit, fs.createWriteStream(filePath));
+    return response.headers['content-type'];
+  }
+
+  async *readPages(filePath, format) {
+    for await (const items of batchesOf(this.readRows(filePath, format), PAGE_SIZE)) {
+      yield { items };
+    }
+  }
+
+  // CSV and NDJSON rows are parsed as the file is read; a JSON document can only be parsed whole
+  async *readRows(filePath, format) {
+    if (format === 'csv') {
+      yield* parseCsvStream(fs.createReadStream(filePath, { encoding: 'utf8' }));
+      return;
+    }
+
+    if (format === 'ndjson') {
+      const lines = readline.createInterface({ input: fs.createReadStream(filePath, { encoding: 'utf8' }), crlfDelay: Infinity });
+      let number = 0;
+      for await (const line of lines) {
+        number++;
+        if (line.trim()) yield this.parseJsonLine(line, number);
+      }
+      return;
+    }
+
+    yield* this.parse(await fs.promises.readFile(filePath, 'utf8'), format);
+  }
+
+  detectFormat(fileUrl, contentType = '') {
+    const extension = new URL(fileUrl).pathname.split('.').pop().toLowerCase();
+    if (FORMATS.includes(extension)) return extension;
+    if (extension === 'jsonl' || contentType.includes('ndjson')) return 'ndjson';
+    if (contentType.includes('json')) return 'json';
+    return 'csv';
+  }
+
+  parse(text, format) {
+    if (format === 'csv') {
+      return parseCsv(text);
+    }
+
+    if (format === 'ndjson') {
+      return text.split('\n')
+        .map((line, i) => [line.trim(), i + 1])
+        .filter(([line]) => line)
+        .map(([line, number]) => this.parseJsonLine(line, number));
+    }
+
+    if (format === 'json') {
+      const data = JSON.parse(text);
+      const rows = Array.isArray(data) ? data : data.reviews;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON review file must be an array or an object with a reviews array');
+      }
+      return rows;
+    }
+
+    throw new Error(`Unsupported review file format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+  }
+
+  parseJsonLine(line, number) {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${number} of review file: ${error.message}`);
+    }
+  }
+
+  reviewMapper(job) {
+    return this.mapperFor(job.provider_options?.columns);
+  }
+
+  // Maps a row to review fields through the column mapping; columns not named in the
+  // mapping fall back to the recognized defaults
+  mapperFor(columns = {}) {
+    return row => {
+      const fields = {};
+      for (const [field, aliases] of Object.entries(DEFAULT_COLUMNS)) {
+        const column = columns[field] || aliases.find(alias => row[alias] !== undefined && row[alias] !== '');
+        const value = column !== undefined ? row[column] : undefined;
+        fields[field] = value === undefined || value === '' ? null : value;
+      }
+      return fields;
+    };
+  }
+}
+
+module.exports = FileProvider;
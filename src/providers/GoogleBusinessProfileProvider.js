@@ -0,0 +1,276 @@
+const axios = require('axios');
+const ReviewProvider = require('./ReviewProvider');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const REVIEWS_URL = 'https://mybusiness.googleapis.com/v4';
+const LOCATIONS_URL = 'https://mybusinessbusinessinformation.googleapis.com/v1';
+
+const PAGE_SIZE = 50;
+const STAR_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+// Google reviews from the official Business Profile API, for operators who connected
+// their own Google account. Each connection in provider_connections holds the account,
+// an optional location and the OAuth refresh token; the OAuth client is the service's
+// own (GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET).
+class GoogleBusinessProfileProvider extends ReviewProvider {
+  constructor(supabase, logger) {
+    super();
+    this.supabase = supabase;
+    this.logger = logger;
+    this.clientId = process.env.GOOGLE_CLIENT_ID;
+    this.clientSecret = process.env.GOOGLE_CLIENT_SECRET;
+    this.accessTokens = new Map();
+  }
+
+  get name() {
+    return 'google_business_profile';
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  supports(adapter) {
+    return adapter.name === 'google';
+  }
+
+  async fetch(job, cursor, adapter, context) {
+    const connection = await this.getConnection(job.tour_operator_id);
+    if (!connection) {
+      throw new Error('No Google Business Profile account connected for this operator');
+    }
+
+    const accessToken = await this.getAccessToken(connection);
+    cursor.gbp_location = cursor.gbp_location || connection.location_id ||
+      await this.findLocation(connection, accessToken, adapter.normalizeTarget(job.source_business_id));
+
+    await context.setPhase('provider_processing');
+
+    // Reviews come most recently updated first. Incremental syncs stop after the page
+    // that reaches reviews last updated before the newest stored one.
+    const newestPostedAt = job.sync_mode === 'incremental' ? await context.getNewestPostedAt() : null;
+    const limit = job.full_history ? Infinity : 100;
+    const url = `${REVIEWS_URL}/accounts/${connection.account_id}/${cursor.gbp_location}/reviews`;
+
+    // The first page is fetched here, so an API error still lets the job fall back to
+    // another provider, and it reports the total
+    const firstPage = await this.request(accessToken, url, { pageSize: PAGE_SIZE, orderBy: 'updateTime desc' });
+    const listed = firstPage.totalReviewCount || 0;
+    let heldPage = firstPage;
+
+    return {
+      total: Math.min(listed, limit),
+      listed,
+      pages: () => {
+        const page = heldPage;
+        heldPage = null;
+        return this.reviewPages(job, context, { connection, url, limit, newestPostedAt, firstPage: page });
+      }
+    };
+  }
+
+  // Fetches pages only as ingestion reaches them, so a sync that stops early doesn't
+  // page through reviews it won't read. The access token is looked up per page since a
+  // long import can outlast one.
+  async *reviewPages(job, context, { connection, url, limit, newestPostedAt, firstPage = null }) {
+    let fetched = 0;
+    let pageToken;
+
+    do {
+      await context.assertNotCancelled();
+
+      const data = firstPage || await this.request(await this.getAccessToken(connection), url, {
+        pageSize: PAGE_SIZE,
+        orderBy: 'updateTime desc',
+        ...(pageToken && { pageToken })
+      });
+      firstPage = null;
+
+      const items = data.reviews || [];
+      fetched += items.length;
+      pageToken = data.nextPageToken;
+
+      yield { items };
+
+      if (newestPostedAt && items.some(review => new Date(review.updateTime) <= new Date(newestPostedAt))) {
+        break;
+      }
+    } while (pageToken && fetched < limit);
+
+    this.logger.info(`📥 Fetched ${fetched} Google Business Profile reviews for job ${job.id}`);
+  }
+
+  reviewMapper() {
+    return review => ({
+      external_id: review.reviewId,
+      author_name: review.reviewer?.isAnonymous ? null : review.reviewer?.displayName,
+      rating: STAR_RATINGS[review.starRating] ?? review.starRating,
+      text: review.comment,
+      posted_at: review.createTime,
+      author_photo_url: review.reviewer?.profilePhotoUrl || null,
+      response_text: review.reviewReply?.comment || null,
+      response_date: review.reviewReply?.updateTime || null
+    });
+  }
+
+  // The job's business as a Business Profile location: the one whose place id matches,
+  // or the account's only location
+  async findLocation(connection, accessToken, target) {
+    const locations = [];
+    let pageToken;
+
+    do {
+      const data = await this.request(accessToken, `${LOCATIONS_URL}/accounts/${connection.account_id}/locations`, {
+        readMask: 'name,title,metadata',
+        pageSize: 100,
+        ...(pageToken && { pageToken })
+      });
+      locations.push(...(data.locations || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    const match = target.place_id && locations.find(location => location.metadata?.placeId === target.place_id);
+    if (match) return match.name;
+    if (locations.length === 1) return locations[0].name;
+
+    throw new Error(`Could not match the business to one of ${locations.length} Business Profile locations; set location_id on the connection`);
+  }
+
+  async request(accessToken, url, params) {
+    try {
+      const response = await axios.get(url, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        params,
+        timeout: 30000
+      });
+      return response.data;
+
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`Google Business Profile API error: ${error.response.status} - ${JSON.stringify(error.response.data?.error?.message || error.response.data)}`);
+      }
+      throw new Error(`Google Business Profile request failed: ${error.message}`);
+    }
+  }
+
+  // Access tokens are cached per operator until shortly before they expire
+  async getAccessToken(connection) {
+    const cached = this.accessTokens.get(connection.tour_operator_id);
+    if (cached && cached.expiresAt > Date.now() + 60000) {
+      return cached.token;
+    }
+
+    if (!this.isConfigured()) {
+      throw new Error('Google Business Profile OAuth client not configured');
+    }
+
+    try {
+      const response = await axios.post(TOKEN_URL, new URLSearchParams({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        refresh_token: connection.refresh_token,
+        grant_type: 'refresh_token'
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000
+      });
+
+      const { access_token: token, expires_in: expiresIn } = response.data;
+      this.accessTokens.set(connection.tour_operator_id, { token, expiresAt: Date.now() + expiresIn * 1000 });
+      return token;
+
+    } catch (error) {
+      if (error.response?.data?.error === 'invalid_grant') {
+        throw new Error('Google Business Profile authorization was revoked or expired; reconnect the account');
+      }
+      throw new Error(`Failed to refresh Google Business Profile token: ${error.message}`);
+    }
+  }
+
+  async getConnection(tourOperatorId) {
+    const { data, error } = await this.supabase
+      .from('provider_connections')
+      .select('*')
+      .eq('tour_operator_id', tourOperatorId)
+      .eq('provider', this.name)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load provider connection: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  // The refresh token comes from the operator's OAuth consent in the frontend. It is
+  // never returned by the API.
+  async saveConnection(tourOperatorId, input = {}) {
+    const accountId = String(input.account_id || '').replace(/^accounts\//, '');
+    if (!/^\d+$/.test(accountId)) {
+      throw new ValidationError('account_id must be a Business Profile account id');
+    }
+    if (!input.refresh_token || typeof input.refresh_token !== 'string') {
+      throw new ValidationError('refresh_token is required');
+    }
+
+    const locationId = input.location_id ? String(input.location_id).replace(/^(locations\/)?/, 'locations/') : null;
+    if (locationId && !/^locations\/\d+$/.test(locationId)) {
+      throw new ValidationError('location_id must be a Business Profile location id');
+    }
+
+    const { data, error } = await this.supabase
+      .from('provider_connections')
+      .upsert({
+        tour_operator_id: tourOperatorId,
+        provider: this.name,
+        account_id: accountId,
+        location_id: locationId,
+        refresh_token: input.refresh_token,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'tour_operator_id,provider' })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save provider connection: ${error.message}`);
+    }
+
+    this.accessTokens.delete(tourOperatorId);
+    return this.redactConnection(data);
+  }
+
+  async deleteConnection(tourOperatorId) {
+    const { error } = await this.supabase
+      .from('provider_connections')
+      .delete()
+      .eq('tour_operator_id', tourOperatorId)
+      .eq('provider', this.name);
+
+    if (error) {
+      throw new Error(`Failed to delete provider connection: ${error.message}`);
+    }
+
+    this.accessTokens.delete(tourOperatorId);
+    return { success: true, provider: this.name };
+  }
+
+  async describeConnection(tourOperatorId) {
+    const connection = await this.getConnection(tourOperatorId);
+    if (!connection) {
+      throw new NotFoundError(`No ${this.name} connection`);
+    }
+    return this.redactConnection(connection);
+  }
+
+  redactConnection(connection) {
+    return {
+      provider: connection.provider,
+      account_id: connection.account_id,
+      location_id: connection.location_id,
+      updated_at: connection.updated_at
+    };
+  }
+}
+
+module.exports = GoogleBusinessProfileProvider;
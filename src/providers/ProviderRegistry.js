@@ -0,0 +1,64 @@
+const { ValidationError } = require('../utils/errors');
+const DataForSEOProvider = require('./DataForSEOProvider');
+const GoogleBusinessProfileProvider = require('./GoogleBusinessProfileProvider');
+const FileProvider = require('./FileProvider');
+
+const DEFAULT_PROVIDER = 'dataforseo';
+
+class ProviderRegistry {
+  constructor(supabase, logger, providers = [
+    new DataForSEOProvider(supabase, logger),
+    new GoogleBusinessProfileProvider(supabase, logger),
+    new FileProvider(logger)
+  ]) {
+    this.providers = new Map(providers.map(provider => [provider.name, provider]));
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw new ValidationError(`Unknown provider: ${name}. Use one of: ${this.names().join(', ')}`);
+    }
+
+    return provider;
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  list() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      configured: provider.isConfigured()
+    }));
+  }
+
+  // Providers a job tries in order: its own (DataForSEO by default), then its fallback
+  chain(provider, fallbackProvider) {
+    const names = [provider || DEFAULT_PROVIDER, fallbackProvider].filter(Boolean);
+    return [...new Set(names)].map(name => this.get(name));
+  }
+
+  // Only DataForSEO tasks cost money, so only such jobs are held to operator budgets
+  usesDataForSEO(provider, fallbackProvider) {
+    return this.chain(provider, fallbackProvider).some(candidate => candidate.name === 'dataforseo');
+  }
+
+  // Checks a provider choice before a job or schedule is saved with it
+  validateChoice(adapter, provider, fallbackProvider, options = null) {
+    for (const candidate of this.chain(provider, fallbackProvider)) {
+      if (!candidate.supports(adapter)) {
+        throw new ValidationError(`Provider ${candidate.name} does not support ${adapter.name}`);
+      }
+      candidate.validateOptions(options || {});
+    }
+  }
+}
+
+module.exports = ProviderRegistry;
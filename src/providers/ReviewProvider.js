@@ -0,0 +1,47 @@
+// Base class for review providers: where a job's reviews come from. The platform adapter
+// says which site a source is on and how its business is identified; the provider fetches
+// the reviews. A provider resolves fetch() with a source of raw review pages and maps its
+// own review format to the adapter's fields, so every provider feeds the same ingestion.
+class ReviewProvider {
+  constructor() {
+    if (this.constructor === ReviewProvider) {
+      throw new Error('ReviewProvider is abstract');
+    }
+  }
+
+  // Stored as review_sync_jobs.provider
+  get name() {
+    throw new Error(`${this.constructor.name} must define name`);
+  }
+
+  // False when the service lacks credentials for the provider; jobs then skip it
+  isConfigured() {
+    return true;
+  }
+
+  supports(adapter) {
+    return true;
+  }
+
+  // Throws ValidationError for provider_options this provider can't work with
+  validateOptions(options) {}
+
+  // Resolves with { pages, total, listed, close }, or { deferred: true } when the worker
+  // should be released until the job is re-queued. pages() opens the reviews as an
+  // (async) iterable of { items } pages, read only as ingestion asks for them; a resumed
+  // job whose results changed calls it again to start over. total is how many reviews
+  // the pages hold (or at most will), listed how many the platform shows, if known, and
+  // the optional close() releases what the pages were read from. `context` reports
+  // progress on the job: setPhase(phase, updates), publish(type, data),
+  // assertNotCancelled(), getNewestPostedAt() and sleep(ms).
+  async fetch(job, cursor, adapter, context) {
+    throw new Error(`${this.constructor.name} must implement fetch`);
+  }
+
+  // Maps one raw review of this provider to adapter fields for the job
+  reviewMapper(job, adapter) {
+    return review => adapter.mapReview(review);
+  }
+}
+
+module.exports = ReviewProvider;
@@ -0,0 +1,99 @@
+const Queue = require('bull');
+const MemoryQueue = require('./MemoryQueue');
+
+const QUEUE_NAME = 'review-import';
+
+class JobQueue {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+
+    this.config = {
+      backend: options.backend || process.env.QUEUE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory'),
+      redisUrl: options.redisUrl || process.env.REDIS_URL,
+      maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 5,
+      maxRetries: parseInt(process.env.MAX_RETRIES, 10) || 3,
+      retryDelay: parseInt(process.env.RETRY_DELAY, 10) || 5000,
+      ...options
+    };
+
+    if (this.config.backend === 'redis') {
+      if (!this.config.redisUrl) {
+        throw new Error('REDIS_URL is required for the redis queue backend');
+      }
+
+      this.queue = new Queue(QUEUE_NAME, this.config.redisUrl, {
+        settings: {
+          // Jobs poll DataForSEO for minutes at a time, so give locks room before Bull
+          // declares a job stalled and hands it to another worker
+          lockDuration: 60000,
+          stalledInterval: 30000,
+          maxStalledCount: 2
+        }
+      });
+    } else {
+      this.queue = new MemoryQueue(QUEUE_NAME);
+    }
+
+    this.queue.on('failed', (queueJob, error) => {
+      this.logger.warn(`⚠️ Queue job ${queueJob.id} failed (attempt ${queueJob.attemptsMade}): ${error.message}`);
+    });
+
+    this.queue.on('stalled', (queueJob) => {
+      this.logger.warn(`🔁 Queue job ${queueJob.id} stalled, re-queued for another worker`);
+    });
+
+    this.queue.on('error', (error) => {
+      this.logger.error('Queue error:', error);
+    });
+
+    this.logger.info(`📦 Job queue using ${this.config.backend} backend`);
+  }
+
+  get isInMemory() {
+    return this.config.backend !== 'redis';
+  }
+
+  async enqueue(jobId, data = {}) {
+    // The database job id doubles as the queue job id so re-adding a queued job is a no-op
+    const queueJob = await this.queue.add({ job_id: jobId, ...data }, {
+      jobId,
+      attempts: this.config.maxRetries,
+      backoff: { type: 'exponential', delay: this.config.retryDelay },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+
+    this.logger.info(`📥 Queued job ${jobId}`);
+    return queueJob;
+  }
+
+  async remove(jobId) {
+    // Only removes jobs that are still waiting; active jobs are locked by their worker
+    await this.queue.removeJobs(String(jobId));
+  }
+
+  startWorkers(reviewProcessor) {
+    const concurrency = this.config.maxConcurrentJobs;
+
+    this.queue.process(concurrency, async (queueJob) => {
+      const attempts = queueJob.opts.attempts || 1;
+      const isFinalAttempt = queueJob.attemptsMade + 1 >= attempts;
+
+      this.logger.info(`👷 Worker picked up job ${queueJob.data.job_id} (attempt ${queueJob.attemptsMade + 1}/${attempts})`);
+
+      return reviewProcessor.processJob(queueJob.data.job_id, { isFinalAttempt });
+    });
+
+    this.logger.info(`👷 Started ${concurrency} queue workers`);
+  }
+
+  async getCounts() {
+    return this.queue.getJobCounts();
+  }
+
+  async close() {
+    await this.queue.close();
+  }
+}
+
+module.exports = JobQueue;
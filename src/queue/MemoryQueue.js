@@ -0,0 +1,137 @@
+const EventEmitter = require('events');
+
+// In-process stand-in for a Bull queue, used for local development and tests
+// when no Redis is available. Implements the subset of the Bull API JobQueue uses.
+class MemoryQueue extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.waiting = [];
+    this.active = new Map();
+    this.delayed = new Map();
+    this.counts = { completed: 0, failed: 0 };
+    this.handler = null;
+    this.concurrency = 1;
+    this.closing = false;
+    this.nextId = 1;
+  }
+
+  async add(data, opts = {}) {
+    const jobId = opts.jobId ? String(opts.jobId) : String(this.nextId++);
+
+    // Match Bull: adding a job whose id is already queued is a no-op
+    const existing = this.findJob(jobId);
+    if (existing) {
+      return existing;
+    }
+
+    const job = { id: jobId, data, opts, attemptsMade: 0, timestamp: Date.now() };
+    this.waiting.push(job);
+    setImmediate(() => this.drain());
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    return this.findJob(String(jobId)) || null;
+  }
+
+  findJob(jobId) {
+    return this.waiting.find(job => job.id === jobId) ||
+           this.active.get(jobId) ||
+           this.delayed.get(jobId)?.job;
+  }
+
+  async removeJobs(jobId) {
+    this.waiting = this.waiting.filter(job => job.id !== jobId);
+
+    const delayed = this.delayed.get(jobId);
+    if (delayed) {
+      clearTimeout(delayed.timer);
+      this.delayed.delete(jobId);
+    }
+  }
+
+  process(concurrency, handler) {
+    this.concurrency = concurrency;
+    this.handler = handler;
+    setImmediate(() => this.drain());
+  }
+
+  drain() {
+    if (!this.handler || this.closing) return;
+
+    while (this.active.size < this.concurrency && this.waiting.length > 0) {
+      const job = this.waiting.shift();
+      this.active.set(job.id, job);
+      this.emit('active', job);
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    try {
+      const result = await this.handler(job);
+      this.active.delete(job.id);
+      this.counts.completed++;
+      this.emit('completed', job, result);
+
+    } catch (error) {
+      this.active.delete(job.id);
+      job.attemptsMade++;
+      job.failedReason = error.message;
+
+      const attempts = job.opts.attempts || 1;
+      if (job.attemptsMade < attempts && !this.closing) {
+        const delay = this.backoffDelay(job);
+        const timer = setTimeout(() => {
+          this.delayed.delete(job.id);
+          this.waiting.push(job);
+          this.drain();
+        }, delay);
+        this.delayed.set(job.id, { job, timer });
+      } else {
+        this.counts.failed++;
+      }
+
+      this.emit('failed', job, error);
+    }
+
+    this.drain();
+  }
+
+  backoffDelay(job) {
+    const backoff = job.opts.backoff;
+    if (!backoff) return 0;
+    if (typeof backoff === 'number') return backoff;
+    if (backoff.type === 'exponential') {
+      return backoff.delay * Math.pow(2, job.attemptsMade - 1);
+    }
+    return backoff.delay || 0;
+  }
+
+  async getJobCounts() {
+    return {
+      waiting: this.waiting.length,
+      active: this.active.size,
+      delayed: this.delayed.size,
+      completed: this.counts.completed,
+      failed: this.counts.failed
+    };
+  }
+
+  async close() {
+    this.closing = true;
+    for (const { timer } of this.delayed.values()) {
+      clearTimeout(timer);
+    }
+    this.delayed.clear();
+
+    // Let in-flight jobs finish, like Bull's graceful close
+    while (this.active.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+}
+
+module.exports = MemoryQueue;
@@ -3,29 +3,28 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { createClient } = require('@supabase/supabase-js');
-const winston = require('winston');
 require('dotenv').config();
 
+const logger = require('./utils/logger');
 const ReviewProcessor = require('./processors/ReviewProcessor');
 const JobManager = require('./managers/JobManager');
-
-// Configure logging
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
-});
+const ScheduleManager = require('./managers/ScheduleManager');
+const WebhookManager = require('./managers/WebhookManager');
+const AlertManager = require('./managers/AlertManager');
+const CostManager = require('./managers/CostManager');
+const UploadManager = require('./managers/UploadManager');
+const ExportManager = require('./managers/ExportManager');
+const AnalyticsManager = require('./managers/AnalyticsManager');
+const EnrichmentManager = require('./managers/EnrichmentManager');
+const platformRegistry = require('./platforms');
+const ProviderRegistry = require('./providers/ProviderRegistry');
+const JobQueue = require('./queue/JobQueue');
+const ReviewDeduplicator = require('./processors/ReviewDeduplicator');
+const JobEventBus = require('./events/JobEventBus');
+const NotificationDispatcher = require('./notifications/NotificationDispatcher');
+const { ValidationError, UnauthorizedError } = require('./utils/errors');
+const { verifySignature } = require('./utils/signing');
+const { Authenticator, requireService, assertOperatorAccess } = require('./middleware/auth');
 
 // Initialize Express app
 const app = express();
@@ -57,8 +56,73 @@ const supabase = createClient(
 );
 
 // Initialize services
-const jobManager = new JobManager(supabase, logger);
-const reviewProcessor = new ReviewProcessor(supabase, logger);
+const jobQueue = new JobQueue(logger);
+const jobEvents = new JobEventBus(supabase, logger);
+const providerRegistry = new ProviderRegistry(supabase, logger);
+const jobManager = new JobManager(supabase, logger, jobQueue, jobEvents, providerRegistry);
+const scheduleManager = new ScheduleManager(supabase, logger, jobQueue, jobEvents, providerRegistry);
+const webhookManager = new WebhookManager(supabase, logger, jobEvents);
+const notificationDispatcher = new NotificationDispatcher(supabase, logger, jobEvents);
+const alertManager = new AlertManager(supabase, logger, jobEvents);
+const costManager = new CostManager(supabase, logger);
+const reviewDeduplicator = new ReviewDeduplicator(supabase, logger);
+const reviewProcessor = new ReviewProcessor(supabase, logger, platformRegistry, jobEvents, providerRegistry);
+const uploadManager = new UploadManager(supabase, logger, reviewProcessor);
+const exportManager = new ExportManager(supabase, logger);
+const analyticsManager = new AnalyticsManager(supabase, logger);
+const enrichmentManager = new EnrichmentManager(supabase, logger, reviewProcessor.enricher);
+
+// The in-memory queue only lives in this process, so it must be worked here too.
+// With Redis, workers and the scheduler normally run separately via src/worker.js.
+if (jobQueue.isInMemory || process.env.RUN_WORKERS === 'true') {
+  jobQueue.startWorkers(reviewProcessor);
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scheduleManager.startScheduler(parseInt(process.env.SCHEDULER_INTERVAL, 10) || 60000);
+  }
+
+  jobManager.startSweeper(
+    parseInt(process.env.SWEEPER_INTERVAL, 10) || 5 * 60 * 1000,
+    parseInt(process.env.CALLBACK_TIMEOUT, 10) || 15 * 60 * 1000
+  );
+}
+
+// Webhooks and notifications go out from whichever process published the event. Retries
+// and held notifications are claimed before sending, so every instance can run the loops.
+webhookManager.listen();
+webhookManager.startDeliveryWorker(parseInt(process.env.WEBHOOK_RETRY_INTERVAL, 10) || 60000);
+notificationDispatcher.listen();
+notificationDispatcher.startOutboxWorker(parseInt(process.env.NOTIFICATION_OUTBOX_INTERVAL, 10) || 60000);
+
+// Respond with the status carried by HttpError subclasses, 500 for anything else
+const sendError = (res, error, context) => {
+  const statusCode = error.statusCode || 500;
+
+  if (statusCode >= 500) {
+    logger.error(`${context}:`, error);
+  } else {
+    logger.warn(`${context}: ${error.message}`);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: error.message
+  });
+};
+
+const parseIntegerParam = (value, name, { defaultValue, min, max }) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || (max !== undefined && parsed > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `at least ${min}`;
+    throw new ValidationError(`${name} must be an integer ${range}`);
+  }
+
+  return parsed;
+};
 
 // Root endpoint for Railway routing test
 app.get('/', (req, res) => {
@@ -82,10 +146,61 @@ app.get('/health', (req, res) => {
   });
 });
 
+// DataForSEO pingback: called when a task registered with a pingback_url is ready.
+// Authenticated by the HMAC of the tag in the URL rather than by API credentials.
+app.get('/webhooks/dataforseo/pingback', async (req, res) => {
+  try {
+    const { id, tag, sig } = req.query;
+
+    if (!verifySignature(String(tag || ''), sig, process.env.DATAFORSEO_CALLBACK_SECRET)) {
+      throw new UnauthorizedError('Invalid callback signature');
+    }
+
+    const result = await jobManager.handleProviderCallback(id, tag);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error handling DataForSEO pingback');
+  }
+});
+
+// Every /api route needs a Supabase user JWT or a service API key
+const authenticator = new Authenticator(logger);
+app.use('/api', authenticator.middleware());
+
+// Supported review platforms and what each can do
+app.get('/api/platforms', (req, res) => {
+  res.json({
+    success: true,
+    platforms: platformRegistry.list()
+  });
+});
+
+// Review providers and whether the service has credentials for each
+app.get('/api/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: providerRegistry.list()
+  });
+});
+
 // Start review import job
 app.post('/api/import/start', async (req, res) => {
   try {
-    const { job_id, platform, url, full_history = true } = req.body;
+    const {
+      job_id,
+      platform,
+      url,
+      full_history = true,
+      mode = 'full',
+      provider,
+      fallback_provider,
+      provider_options
+    } = req.body;
 
     if (!job_id || !platform || !url) {
       return res.status(400).json({
@@ -101,8 +216,12 @@ app.post('/api/import/start', async (req, res) => {
       job_id,
       platform,
       url,
-      full_history
-    });
+      full_history,
+      mode,
+      provider,
+      fallback_provider,
+      provider_options
+    }, req.auth);
 
     res.json({
       success: true,
@@ -112,11 +231,172 @@ app.post('/api/import/start', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Error starting import job:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error, 'Error starting import job');
+  }
+});
+
+// Reviews uploaded as CSV, NDJSON or JSON; JSON bodies are read by the JSON parser above
+const uploadBody = express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+  limit: parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 20 * 1024 * 1024
+});
+
+app.post('/api/operators/:operator_id/uploads', uploadBody, async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const dryRun = req.query.dry_run === 'true';
+    const result = await uploadManager.upload(operator_id, req.body, {
+      contentType: req.get('content-type') || '',
+      format: req.query.format,
+      columns: req.query.columns,
+      dryRun,
+      sourceBusinessName: req.query.source_business_name || null
+    });
+
+    res.status(dryRun ? 200 : 202).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error uploading reviews for operator ${req.params.operator_id}`);
+  }
+});
+
+// Rating histogram, rating and volume trends and owner response metrics, per source
+app.get('/api/operators/:operator_id/analytics', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const analytics = await analyticsManager.getAnalytics(operator_id, req.query);
+
+    res.json({
+      success: true,
+      analytics
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting analytics for operator ${req.params.operator_id}`);
+  }
+});
+
+// Re-runs sentiment and topic enrichment over reviews already stored
+app.post('/api/operators/:operator_id/enrichment/backfill', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const backfill = await enrichmentManager.startBackfill(operator_id, req.body || {});
+
+    res.status(202).json({
+      success: true,
+      backfill
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error starting enrichment backfill for operator ${req.params.operator_id}`);
+  }
+});
+
+app.get('/api/enrichment/backfills/:backfill_id', async (req, res) => {
+  try {
+    const backfill = await enrichmentManager.getBackfill(req.params.backfill_id, req.auth);
+
+    res.json({
+      success: true,
+      backfill
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting enrichment backfill ${req.params.backfill_id}`);
+  }
+});
+
+// Streams an operator's reviews as CSV or NDJSON; larger exports run through /exports
+app.get('/api/operators/:operator_id/reviews/export', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const stream = await exportManager.prepareStream(operator_id, req.query);
+
+    res.set({
+      'Content-Type': stream.contentType,
+      'Content-Disposition': `attachment; filename="${stream.filename}"`,
+      'X-Total-Count': String(stream.total)
+    });
+
+    await exportManager.pipe(stream.chunks, res);
+    res.end();
+
+  } catch (error) {
+    // Once rows are on the wire the status can't change; cutting the response off
+    // tells the client the file is incomplete
+    if (res.headersSent) {
+      logger.error(`Export for operator ${req.params.operator_id} failed mid-stream:`, error);
+      return res.destroy(error);
+    }
+    sendError(res, error, `Error exporting reviews for operator ${req.params.operator_id}`);
+  }
+});
+
+// Background exports into a downloadable file
+app.post('/api/operators/:operator_id/exports', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const exportJob = await exportManager.startExport(operator_id, req.body || {});
+
+    res.status(202).json({
+      success: true,
+      export: exportJob
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error starting export for operator ${req.params.operator_id}`);
+  }
+});
+
+app.get('/api/operators/:operator_id/exports', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const limit = parseIntegerParam(req.query.limit, 'limit', { defaultValue: 20, min: 1, max: 100 });
+    const offset = parseIntegerParam(req.query.offset, 'offset', { defaultValue: 0, min: 0 });
+
+    const { exports: exportJobs, total } = await exportManager.listExports(operator_id, { limit, offset });
+
+    res.json({
+      success: true,
+      exports: exportJobs,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error listing exports for operator ${req.params.operator_id}`);
+  }
+});
+
+app.get('/api/exports/:export_id', async (req, res) => {
+  try {
+    const exportJob = await exportManager.getExport(req.params.export_id, req.auth);
+
+    res.json({
+      success: true,
+      export: exportJob
     });
+
+  } catch (error) {
+    sendError(res, error, `Error getting export ${req.params.export_id}`);
   }
 });
 
@@ -124,7 +404,7 @@ app.post('/api/import/start', async (req, res) => {
 app.get('/api/job/:job_id/status', async (req, res) => {
   try {
     const { job_id } = req.params;
-    const status = await jobManager.getJobStatus(job_id);
+    const status = await jobManager.getJobStatus(job_id, req.auth);
     
     res.json({
       success: true,
@@ -132,81 +412,645 @@ app.get('/api/job/:job_id/status', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Error getting job status:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error, 'Error getting job status');
+  }
+});
+
+const writeEvent = (res, event) => {
+  if (event.id) {
+    res.write(`id: ${event.id}\n`);
+  }
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ job_id: event.job_id, type: event.type, data: event.data, created_at: event.created_at })}\n\n`);
+};
+
+// Live job events over Server-Sent Events. A reconnecting client sends Last-Event-ID
+// and first receives everything it missed.
+app.get('/api/job/:job_id/events', async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const lastEventId = parseIntegerParam(req.get('Last-Event-ID') ?? req.query.last_event_id, 'Last-Event-ID', { defaultValue: 0, min: 0 });
+
+    const job = await jobManager.getAuthorizedJob(job_id, req.auth);
+    const finished = !['running', 'processing'].includes(job.status);
+    const missed = finished ? await jobEvents.replay(job_id, lastEventId) : [];
+
+    // 204 tells EventSource to stop reconnecting once there's nothing left to send
+    if (finished && missed.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    if (finished) {
+      missed.forEach(event => writeEvent(res, event));
+      return res.end();
+    }
+
+    let unsubscribe = null;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    unsubscribe = jobEvents.subscribe(job_id, lastEventId, event => {
+      writeEvent(res, event);
+      if (jobEvents.isTerminal(event)) close();
+    }, { pollInterval: parseInt(process.env.EVENTS_POLL_INTERVAL, 10) || 2000 });
+
+    req.on('close', close);
+
+  } catch (error) {
+    sendError(res, error, `Error streaming events for job ${req.params.job_id}`);
+  }
+});
+
+// Reviews rejected by schema validation during a job
+app.get('/api/job/:job_id/rejected', async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const limit = parseIntegerParam(req.query.limit, 'limit', { defaultValue: 50, min: 1, max: 500 });
+    const offset = parseIntegerParam(req.query.offset, 'offset', { defaultValue: 0, min: 0 });
+
+    const { rejected, total } = await jobManager.getRejectedReviews(job_id, req.auth, limit, offset);
+
+    res.json({
+      success: true,
+      rejected,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting rejected reviews for job ${req.params.job_id}`);
+  }
+});
+
+// Reviews that failed to save during a job, even after retries
+app.get('/api/job/:job_id/dead-letters', async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const limit = parseIntegerParam(req.query.limit, 'limit', { defaultValue: 50, min: 1, max: 500 });
+    const offset = parseIntegerParam(req.query.offset, 'offset', { defaultValue: 0, min: 0 });
+
+    const { dead_letters, total } = await jobManager.getDeadLetters(job_id, req.auth, limit, offset);
+
+    res.json({
+      success: true,
+      dead_letters,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting dead letters for job ${req.params.job_id}`);
+  }
+});
+
+// Try to save a job's dead-lettered reviews again
+app.post('/api/job/:job_id/dead-letters/replay', async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const result = await jobManager.replayDeadLetters(job_id, req.auth);
+
+    res.json(result);
+
+  } catch (error) {
+    sendError(res, error, `Error replaying dead letters for job ${req.params.job_id}`);
+  }
+});
+
+// Cancel a running job
+app.post('/api/job/:job_id/cancel', async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const result = await jobManager.cancelJob(job_id, req.auth);
+
+    res.json({
+      job_id,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error cancelling job ${req.params.job_id}`);
+  }
+});
+
+// Retry a failed job
+app.post('/api/job/:job_id/retry', async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const { mode = 'fresh' } = req.body;
+    const result = await jobManager.retryJob(job_id, req.auth, { mode });
+
+    res.json({
+      job_id,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error retrying job ${req.params.job_id}`);
+  }
+});
+
+// Job history for an operator
+app.get('/api/operators/:operator_id/jobs', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const limit = parseIntegerParam(req.query.limit, 'limit', { defaultValue: 10, min: 1, max: 100 });
+    const offset = parseIntegerParam(req.query.offset, 'offset', { defaultValue: 0, min: 0 });
+
+    const { jobs, total } = await jobManager.getJobHistory(operator_id, limit, offset);
+
+    res.json({
+      success: true,
+      jobs,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
     });
+
+  } catch (error) {
+    sendError(res, error, `Error getting job history for operator ${req.params.operator_id}`);
   }
 });
 
-// Process pending jobs (called by cron or manually)
-app.post('/api/process/pending', async (req, res) => {
+// Merge duplicate reviews already stored for an operator and source
+app.post('/api/operators/:operator_id/reviews/deduplicate', async (req, res) => {
   try {
-    logger.info('Processing pending jobs...');
+    const { operator_id } = req.params;
+    const { source } = req.body;
+    assertOperatorAccess(req.auth, operator_id);
+
+    platformRegistry.get(source);
+
+    const result = await reviewDeduplicator.deduplicate(operator_id, source);
+
+    res.json({
+      success: true,
+      source,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error deduplicating reviews for operator ${req.params.operator_id}`);
+  }
+});
+
+// Recurring sync schedules for an operator
+app.get('/api/operators/:operator_id/schedules', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const schedules = await scheduleManager.listSchedules(operator_id);
+
+    res.json({
+      success: true,
+      schedules
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error listing schedules for operator ${req.params.operator_id}`);
+  }
+});
+
+app.post('/api/operators/:operator_id/schedules', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const schedule = await scheduleManager.createSchedule(operator_id, req.body);
+
+    res.status(201).json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error creating schedule for operator ${req.params.operator_id}`);
+  }
+});
+
+app.get('/api/schedules/:schedule_id', async (req, res) => {
+  try {
+    const schedule = await scheduleManager.getSchedule(req.params.schedule_id, req.auth);
+
+    res.json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting schedule ${req.params.schedule_id}`);
+  }
+});
+
+app.patch('/api/schedules/:schedule_id', async (req, res) => {
+  try {
+    const schedule = await scheduleManager.updateSchedule(req.params.schedule_id, req.auth, req.body);
+
+    res.json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error updating schedule ${req.params.schedule_id}`);
+  }
+});
+
+app.delete('/api/schedules/:schedule_id', async (req, res) => {
+  try {
+    const result = await scheduleManager.deleteSchedule(req.params.schedule_id, req.auth);
+
+    res.json(result);
+
+  } catch (error) {
+    sendError(res, error, `Error deleting schedule ${req.params.schedule_id}`);
+  }
+});
+
+// Monthly DataForSEO budget; only services may change it
+app.get('/api/operators/:operator_id/budget', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const budget = await costManager.getBudgetStatus(operator_id);
+
+    res.json({
+      success: true,
+      budget
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting budget for operator ${req.params.operator_id}`);
+  }
+});
+
+app.put('/api/operators/:operator_id/budget', requireService, async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    const budget = await costManager.updateBudget(operator_id, req.body?.monthly_budget);
+
+    res.json({
+      success: true,
+      budget
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error updating budget for operator ${req.params.operator_id}`);
+  }
+});
+
+// An operator's own account with a provider, e.g. a connected Google Business Profile.
+// Connecting and disconnecting are limited to services, which hold the OAuth flow.
+function connectableProvider(name) {
+  const provider = providerRegistry.get(name);
+  if (typeof provider.saveConnection !== 'function') {
+    throw new ValidationError(`Provider ${name} does not use operator connections`);
+  }
+  return provider;
+}
+
+app.get('/api/operators/:operator_id/providers/:provider/connection', async (req, res) => {
+  try {
+    const { operator_id, provider } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const connection = await connectableProvider(provider).describeConnection(operator_id);
+
+    res.json({
+      success: true,
+      connection
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting ${req.params.provider} connection for operator ${req.params.operator_id}`);
+  }
+});
+
+app.put('/api/operators/:operator_id/providers/:provider/connection', requireService, async (req, res) => {
+  try {
+    const { operator_id, provider } = req.params;
+    const connection = await connectableProvider(provider).saveConnection(operator_id, req.body);
+
+    res.json({
+      success: true,
+      connection
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error saving ${req.params.provider} connection for operator ${req.params.operator_id}`);
+  }
+});
+
+app.delete('/api/operators/:operator_id/providers/:provider/connection', requireService, async (req, res) => {
+  try {
+    const { operator_id, provider } = req.params;
+    const result = await connectableProvider(provider).deleteConnection(operator_id);
+    res.json(result);
+
+  } catch (error) {
+    sendError(res, error, `Error deleting ${req.params.provider} connection for operator ${req.params.operator_id}`);
+  }
+});
+
+// Alerts raised by imports: new negative reviews and drops in the average rating
+app.get('/api/operators/:operator_id/alerts', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const limit = parseIntegerParam(req.query.limit, 'limit', { defaultValue: 50, min: 1, max: 500 });
+    const offset = parseIntegerParam(req.query.offset, 'offset', { defaultValue: 0, min: 0 });
+
+    const { alerts, total } = await alertManager.listAlerts(operator_id, {
+      type: req.query.type,
+      source: req.query.source,
+      unacknowledged: req.query.unacknowledged === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      alerts,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error listing alerts for operator ${req.params.operator_id}`);
+  }
+});
+
+app.post('/api/alerts/:alert_id/acknowledge', async (req, res) => {
+  try {
+    const result = await alertManager.acknowledgeAlert(req.params.alert_id, req.auth);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error acknowledging alert ${req.params.alert_id}`);
+  }
+});
+
+// Which events reach an operator by email or Slack, and when
+app.get('/api/operators/:operator_id/notification-preferences', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const preferences = await notificationDispatcher.getPreferenceSettings(operator_id);
+
+    res.json({
+      success: true,
+      preferences
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting notification preferences for operator ${req.params.operator_id}`);
+  }
+});
+
+app.put('/api/operators/:operator_id/notification-preferences', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const preferences = await notificationDispatcher.updatePreferences(operator_id, req.body);
+
+    res.json({
+      success: true,
+      preferences
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error updating notification preferences for operator ${req.params.operator_id}`);
+  }
+});
+
+// Outbound webhooks for an operator's job events
+app.get('/api/operators/:operator_id/webhooks', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const webhooks = await webhookManager.listWebhooks(operator_id);
+
+    res.json({
+      success: true,
+      webhooks
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error listing webhooks for operator ${req.params.operator_id}`);
+  }
+});
+
+app.post('/api/operators/:operator_id/webhooks', async (req, res) => {
+  try {
+    const { operator_id } = req.params;
+    assertOperatorAccess(req.auth, operator_id);
+
+    const webhook = await webhookManager.createWebhook(operator_id, req.body);
+
+    res.status(201).json({
+      success: true,
+      webhook
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error creating webhook for operator ${req.params.operator_id}`);
+  }
+});
+
+app.get('/api/webhooks/:webhook_id', async (req, res) => {
+  try {
+    const webhook = await webhookManager.getWebhook(req.params.webhook_id, req.auth);
+
+    res.json({
+      success: true,
+      webhook: webhookManager.redact(webhook)
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error getting webhook ${req.params.webhook_id}`);
+  }
+});
+
+app.patch('/api/webhooks/:webhook_id', async (req, res) => {
+  try {
+    const webhook = await webhookManager.updateWebhook(req.params.webhook_id, req.auth, req.body);
+
+    res.json({
+      success: true,
+      webhook
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error updating webhook ${req.params.webhook_id}`);
+  }
+});
+
+app.delete('/api/webhooks/:webhook_id', async (req, res) => {
+  try {
+    const result = await webhookManager.deleteWebhook(req.params.webhook_id, req.auth);
+
+    res.json(result);
+
+  } catch (error) {
+    sendError(res, error, `Error deleting webhook ${req.params.webhook_id}`);
+  }
+});
+
+app.get('/api/webhooks/:webhook_id/deliveries', async (req, res) => {
+  try {
+    const { webhook_id } = req.params;
+    const limit = parseIntegerParam(req.query.limit, 'limit', { defaultValue: 50, min: 1, max: 500 });
+    const offset = parseIntegerParam(req.query.offset, 'offset', { defaultValue: 0, min: 0 });
+
+    const { deliveries, total } = await webhookManager.listDeliveries(webhook_id, req.auth, limit, offset);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error listing deliveries for webhook ${req.params.webhook_id}`);
+  }
+});
+
+app.post('/api/webhooks/:webhook_id/deliveries/:delivery_id/redeliver', async (req, res) => {
+  try {
+    const { webhook_id, delivery_id } = req.params;
+    const delivery = await webhookManager.redeliver(webhook_id, delivery_id, req.auth);
+
+    res.json({
+      success: delivery.status === 'delivered',
+      delivery
+    });
+
+  } catch (error) {
+    sendError(res, error, `Error redelivering ${req.params.delivery_id} for webhook ${req.params.webhook_id}`);
+  }
+});
+
+// Delete finished jobs older than ?days= (service only)
+app.delete('/api/jobs/cleanup', requireService, async (req, res) => {
+  try {
+    const days = parseIntegerParam(req.query.days, 'days', { defaultValue: 30, min: 1 });
+
+    const result = await jobManager.cleanupOldJobs(days);
+
+    res.json({
+      success: true,
+      days,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error cleaning up old jobs');
+  }
+});
+
+// Re-queue pending jobs (called by cron or manually)
+app.post('/api/process/pending', requireService, async (req, res) => {
+  try {
+    logger.info('Re-queuing pending jobs...');
     
-    const results = await reviewProcessor.processPendingJobs();
+    const jobIds = await jobManager.requeuePendingJobs();
     
     res.json({
       success: true,
-      processed_jobs: results.length,
-      results
+      queued_jobs: jobIds.length,
+      job_ids: jobIds
     });
 
   } catch (error) {
-    logger.error('Error processing pending jobs:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error, 'Error re-queuing pending jobs');
   }
 });
 
 // Manual job processing trigger
-app.post('/api/job/:job_id/process', async (req, res) => {
+app.post('/api/job/:job_id/process', requireService, async (req, res) => {
   try {
     const { job_id } = req.params;
     
-    logger.info(`Manually processing job ${job_id}`);
+    logger.info(`Manually queuing job ${job_id}`);
     
-    const result = await reviewProcessor.processJob(job_id);
+    await jobQueue.enqueue(job_id);
     
     res.json({
       success: true,
       job_id,
-      result
+      message: 'Job queued for processing'
     });
 
   } catch (error) {
-    logger.error(`Error processing job ${req.params.job_id}:`, error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error, `Error queuing job ${req.params.job_id}`);
   }
 });
 
-// Get processing statistics
-app.get('/api/stats', async (req, res) => {
+// Get processing statistics and DataForSEO spend
+app.get('/api/stats', requireService, async (req, res) => {
   try {
+    const months = parseIntegerParam(req.query.months, 'months', { defaultValue: 3, min: 1, max: 24 });
     const stats = await jobManager.getProcessingStats();
+    const queue = await jobQueue.getCounts();
+    const spend = await costManager.getSpendReport({ months });
     
     res.json({
       success: true,
-      stats
+      stats,
+      queue,
+      spend
     });
 
   } catch (error) {
-    logger.error('Error getting stats:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error, 'Error getting stats');
   }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error.statusCode) {
+    // Event stream URLs can carry an access token, which must not end up in the logs
+    return sendError(res, error, `${req.method} ${req.originalUrl.replace(/access_token=[^&]*/, 'access_token=[redacted]')}`);
+  }
+
   logger.error('Unhandled error:', error);
   res.status(500).json({
     success: false,
@@ -226,27 +1070,31 @@ app.use('*', (req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   logger.info(`🚀 TourReviewAI Processing Service started on port ${PORT}`);
   logger.info(`📊 Health check: http://localhost:${PORT}/health`);
-  
-  // Start background job processing (disabled temporarily for debugging)
-  // setInterval(async () => {
-  //   try {
-  //     await reviewProcessor.processPendingJobs();
-  //   } catch (error) {
-  //     logger.error('Background processing error:', error);
-  //   }
-  // }, 60000); // Process every minute
+
+  // The in-memory queue starts empty after a restart; jobs resume from their checkpoints
+  if (jobQueue.isInMemory) {
+    jobManager.requeuePendingJobs().catch(error => {
+      logger.error('Initial re-queue of pending jobs failed:', error);
+    });
+  }
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  scheduleManager.stopScheduler();
+  jobManager.stopSweeper();
+  webhookManager.stopDeliveryWorker();
+  notificationDispatcher.stopOutboxWorker();
+  try {
+    await jobQueue.close();
+  } catch (error) {
+    logger.error('Error closing job queue:', error);
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
-
@@ -5,73 +5,49 @@ class DataForSEOClient {
     this.logger = logger;
     this.username = process.env.DATAFORSEO_USERNAME;
     this.password = process.env.DATAFORSEO_PASSWORD;
-    
-    if (!this.username || !this.password) {
-      throw new Error('DataForSEO credentials not configured');
-    }
 
+    // Missing credentials only fail requests, so a server without them still starts
     this.baseURL = 'https://api.dataforseo.com/v3/business_data';
     this.auth = Buffer.from(`${this.username}:${this.password}`).toString('base64');
   }
 
-  async createTripAdvisorTask(urlPath, fullHistory = true) {
-    try {
-      this.logger.info(`📝 Creating TripAdvisor task for: ${urlPath}`);
-
-      const taskData = [{
-        url_path: urlPath,
-        priority: 2,
-        depth: fullHistory ? 500 : 100, // Reasonable limits
-        tag: `tripadvisor_${Date.now()}`
-      }];
-
-      const response = await axios.post(
-        `${this.baseURL}/tripadvisor/reviews/task_post`,
-        taskData,
-        {
-          headers: {
-            'Authorization': `Basic ${this.auth}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 30000
-        }
-      );
-
-      const result = response.data;
-      
-      if (!result.tasks?.[0]?.id) {
-        throw new Error(`DataForSEO task creation failed: ${JSON.stringify(result)}`);
-      }
-
-      const taskId = result.tasks[0].id;
-      this.logger.info(`✅ Created DataForSEO task: ${taskId}`);
-      
-      return taskId;
+  isConfigured() {
+    return Boolean(this.username && this.password);
+  }
 
-    } catch (error) {
-      this.logger.error('DataForSEO task creation error:', error);
-      
-      if (error.response) {
-        throw new Error(`DataForSEO API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-      }
-      
-      throw new Error(`DataForSEO request failed: ${error.message}`);
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new Error('DataForSEO credentials not configured');
     }
   }
 
-  async createGoogleTask(businessId, fullHistory = true) {
+  // The parts of a task response worth keeping for cost accounting
+  taskMeta(task) {
+    return {
+      id: task.id,
+      status_code: task.status_code,
+      status_message: task.status_message,
+      cost: task.cost || 0,
+      result_count: task.result_count ?? null
+    };
+  }
+
+  // endpoint is the business_data path of a review source, e.g. 'tripadvisor/reviews'.
+  // Platform adapters build the task payload; this client only handles transport.
+  // Resolves with the task's id, status and cost.
+  async createTask(endpoint, task) {
+    this.assertConfigured();
+
     try {
-      this.logger.info(`📝 Creating Google task for: ${businessId}`);
+      this.logger.info(`📝 Creating DataForSEO ${endpoint} task`);
 
       const taskData = [{
-        keyword: businessId,
         priority: 2,
-        depth: fullHistory ? 500 : 100,
-        tag: `google_${Date.now()}`
+        ...task
       }];
 
       const response = await axios.post(
-        `${this.baseURL}/google/reviews/task_post`,
+        `${this.baseURL}/${endpoint}/task_post`,
         taskData,
         {
           headers: {
@@ -85,16 +61,16 @@ class DataForSEOClient {
       const result = response.data;
       
       if (!result.tasks?.[0]?.id) {
-        throw new Error(`Google task creation failed: ${JSON.stringify(result)}`);
+        throw new Error(`DataForSEO task creation failed: ${JSON.stringify(result)}`);
       }
 
-      const taskId = result.tasks[0].id;
-      this.logger.info(`✅ Created Google task: ${taskId}`);
+      const created = this.taskMeta(result.tasks[0]);
+      this.logger.info(`✅ Created DataForSEO task: ${created.id} (cost $${created.cost})`);
       
-      return taskId;
+      return created;
 
     } catch (error) {
-      this.logger.error('Google task creation error:', error);
+      this.logger.error('DataForSEO task creation error:', error);
       
       if (error.response) {
         throw new Error(`DataForSEO API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
@@ -104,15 +80,14 @@ class DataForSEOClient {
     }
   }
 
-  async getTaskResults(taskId, platform) {
-    try {
-      const endpoint = platform === 'tripadvisor' 
-        ? `${this.baseURL}/tripadvisor/reviews/task_get/${taskId}`
-        : `${this.baseURL}/google/reviews/task_get/${taskId}`;
+  // Resolves with { task, results }: the task's status and cost, and its result sets
+  async getTaskResults(taskId, endpoint) {
+    this.assertConfigured();
 
-      this.logger.info(`🔍 Fetching results for task ${taskId} (${platform})`);
+    try {
+      this.logger.info(`🔍 Fetching results for task ${taskId} (${endpoint})`);
 
-      const response = await axios.get(endpoint, {
+      const response = await axios.get(`${this.baseURL}/${endpoint}/task_get/${taskId}`, {
         headers: {
           'Authorization': `Basic ${this.auth}`,
         },
@@ -130,24 +105,29 @@ class DataForSEOClient {
       
       // Check if task is still processing
       if (statusMessage === 'Task In Queue' || statusMessage === 'Task Processing') {
-        throw new Error('Task still processing');
+        const pending = new Error('Task still processing');
+        pending.providerStatus = statusMessage;
+        throw pending;
       }
 
       // Check for errors
       if (!statusMessage.toLowerCase().startsWith('ok')) {
-        throw new Error(`DataForSEO task failed: ${statusMessage}`);
+        const failed = new Error(`DataForSEO task failed: ${statusMessage}`);
+        failed.providerTask = this.taskMeta(taskResult);
+        throw failed;
       }
 
       // Return results
       const results = taskResult.result || [];
       this.logger.info(`📊 Retrieved ${results.length} result sets from task ${taskId}`);
       
-      return results;
+      return { task: this.taskMeta(taskResult), results };
 
     } catch (error) {
       if (error.message.includes('Task still processing') || 
-          error.message.includes('Task In Queue')) {
-        throw error; // Re-throw processing status errors
+          error.message.includes('Task In Queue') ||
+          error.providerTask) {
+        throw error; // Re-throw processing status and task failure errors
       }
 
       this.logger.error(`Error fetching results for task ${taskId}:`, error);
@@ -160,13 +140,11 @@ class DataForSEOClient {
     }
   }
 
-  async getTaskStatus(taskId, platform) {
-    try {
-      const endpoint = platform === 'tripadvisor'
-        ? `${this.baseURL}/tripadvisor/reviews/tasks_ready`
-        : `${this.baseURL}/google/reviews/tasks_ready`;
+  async getTaskStatus(taskId, endpoint) {
+    this.assertConfigured();
 
-      const response = await axios.get(endpoint, {
+    try {
+      const response = await axios.get(`${this.baseURL}/${endpoint}/tasks_ready`, {
         headers: {
           'Authorization': `Basic ${this.auth}`,
         },
@@ -191,9 +169,12 @@ class DataForSEOClient {
     }
   }
 
+  // Account details from appendix/user_data, including the balance under tasks[0].result[0].money
   async getAccountInfo() {
+    this.assertConfigured();
+
     try {
-      const response = await axios.get('https://api.dataforseo.com/v3/user', {
+      const response = await axios.get('https://api.dataforseo.com/v3/appendix/user_data', {
         headers: {
           'Authorization': `Basic ${this.auth}`,
         },
@@ -1,51 +1,216 @@
+// Jobs move through these phases in order. Each owns a slice of the overall
+// progress percentage; progress within a phase is time-based while DataForSEO
+// works on the task and count-based while reviews are ingested.
+const PHASES = {
+  queued: { start: 0, end: 5 },
+  provider_queued: { start: 5, end: 15 },
+  provider_processing: { start: 15, end: 40 },
+  ingesting: { start: 40, end: 100 },
+  completed: { start: 100, end: 100 }
+};
+
+const HISTORY_SIZE = 50;
+const HISTORY_TTL = 5 * 60 * 1000;
+const MIN_SAMPLES = 3;
+
+// Used until a platform has finished jobs to learn from
+const DEFAULT_TURNAROUND_MS = { full: 15 * 60 * 1000, small: 5 * 60 * 1000 };
+const DEFAULT_INGEST_RATE = 5; // reviews per second
+
 class ProgressTracker {
-  constructor(supabase, logger) {
+  constructor(supabase, logger, events = null) {
     this.supabase = supabase;
     this.logger = logger;
+    this.events = events;
+    this.history = new Map();
   }
 
-  async updateProgress(jobId, progress) {
-    try {
-      const { error } = await this.supabase
-        .from('review_sync_jobs')
-        .update({
-          progress_percentage: Math.min(100, Math.max(0, progress.percentage || 0)),
-          imported_count: progress.imported_count || 0,
-          total_available: progress.total_available || 0,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', jobId);
-
-      if (error) {
-        this.logger.error(`Failed to update progress for job ${jobId}:`, error);
-      } else {
-        this.logger.info(`Updated progress for job ${jobId}: ${progress.percentage}%`);
-      }
+  // Overall percentage for a phase and the fraction (0-1) of it that is done
+  progressFor(phase, fraction = 0) {
+    const { start, end } = PHASES[phase] || PHASES.queued;
+    const clamped = Math.min(1, Math.max(0, fraction || 0));
+    return Math.round(start + (end - start) * clamped);
+  }
 
-    } catch (error) {
-      this.logger.error(`Error updating progress for job ${jobId}:`, error);
-    }
+  phaseUpdate(phase, fraction = 0) {
+    return {
+      phase,
+      phase_started_at: new Date().toISOString(),
+      progress_percentage: this.progressFor(phase, fraction)
+    };
   }
 
-  async trackBatchProgress(jobId, batchIndex, totalBatches, batchSize, totalItems) {
-    const processedItems = batchIndex * batchSize;
-    const percentage = Math.min(95, Math.round((processedItems / totalItems) * 100));
-    
-    await this.updateProgress(jobId, {
-      percentage,
-      imported_count: processedItems,
-      total_available: totalItems
+  // Announces a phase change written with the fields from phaseUpdate
+  async publishPhase(jobId, update) {
+    await this.events?.publish(jobId, 'phase', {
+      phase: update.phase,
+      progress_percentage: update.progress_percentage
     });
   }
 
-  async completeProgress(jobId, finalCount, totalFound) {
-    await this.updateProgress(jobId, {
-      percentage: 100,
-      imported_count: finalCount,
-      total_available: totalFound
-    });
+  async publishProgress(jobId, progress) {
+    await this.events?.publish(jobId, 'progress', progress);
+  }
+
+  // Timing of a finished job, stored on it so later jobs can be estimated from it
+  completionMetrics(cursor, totalFound) {
+    const metrics = {};
+
+    if (cursor.depth) {
+      metrics.task_depth = cursor.depth;
+    }
+
+    if (cursor.created_at && cursor.results_ready_at) {
+      metrics.provider_turnaround_ms = new Date(cursor.results_ready_at) - new Date(cursor.created_at);
+    }
+
+    // Only whole ingests give a throughput worth learning from
+    const ingested = totalFound - (cursor.ingest_start_offset || 0);
+    const ingestMs = cursor.ingest_started_at ? Date.now() - new Date(cursor.ingest_started_at) : 0;
+    if (ingested >= 100 && ingestMs > 0) {
+      metrics.ingest_rate = Math.round((ingested / (ingestMs / 1000)) * 100) / 100;
+    }
+
+    return metrics;
+  }
+
+  async loadHistory(platform) {
+    const cached = this.history.get(platform);
+    if (cached && Date.now() - cached.loadedAt < HISTORY_TTL) {
+      return cached.samples;
+    }
+
+    const { data, error } = await this.supabase
+      .from('review_sync_jobs')
+      .select('task_depth, provider_turnaround_ms, ingest_rate')
+      .eq('platform', platform)
+      .in('status', ['succeeded', 'partially_succeeded'])
+      .not('provider_turnaround_ms', 'is', null)
+      .order('completed_at', { ascending: false })
+      .limit(HISTORY_SIZE);
+
+    if (error) {
+      this.logger.warn(`Failed to load turnaround history for ${platform}: ${error.message}`);
+      return cached?.samples || [];
+    }
+
+    const samples = data || [];
+    this.history.set(platform, { samples, loadedAt: Date.now() });
+    return samples;
+  }
+
+  // Expected DataForSEO turnaround for a task of this depth. Samples at the same depth
+  // are preferred; other depths on the same platform count with less confidence.
+  estimateTurnaround(samples, depth, fullHistory) {
+    const sameDepth = samples.filter(sample => sample.task_depth === depth).map(sample => sample.provider_turnaround_ms);
+    const anyDepth = samples.map(sample => sample.provider_turnaround_ms);
+
+    if (sameDepth.length >= MIN_SAMPLES) {
+      return this.summarize(sameDepth, 1);
+    }
+    if (anyDepth.length >= MIN_SAMPLES) {
+      return this.summarize(anyDepth, 0.6);
+    }
+
+    return {
+      expected: fullHistory ? DEFAULT_TURNAROUND_MS.full : DEFAULT_TURNAROUND_MS.small,
+      worst: null,
+      confidence: 0.2
+    };
+  }
+
+  estimateIngestRate(samples) {
+    const rates = samples.map(sample => sample.ingest_rate).filter(rate => rate > 0);
+    if (rates.length >= MIN_SAMPLES) {
+      return this.summarize(rates, 1);
+    }
+    return { expected: DEFAULT_INGEST_RATE, worst: null, confidence: 0.2 };
+  }
+
+  // Median plus a confidence that grows with the sample count and shrinks with the spread
+  summarize(values, weight) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    const median = at(0.5);
+    const spread = median > 0 ? (at(0.75) - at(0.25)) / median : 1;
+    const confidence = Math.min(1, sorted.length / 10) * Math.min(1, Math.max(0.2, 1 - spread)) * weight;
+
+    return { expected: median, worst: at(0.9), confidence };
+  }
+
+  // Progress, time remaining and a 0-1 confidence for a job, from its phase, its
+  // checkpoint and how long earlier jobs on the same platform took
+  async estimate(job) {
+    const phase = job.phase || 'queued';
+    const cursor = typeof job.last_cursor === 'string'
+      ? JSON.parse(job.last_cursor || '{}')
+      : (job.last_cursor || {});
+
+    if (phase === 'completed' || !['running', 'processing'].includes(job.status)) {
+      return { phase, phase_progress: 100, remaining_ms: null, confidence: null };
+    }
+
+    const samples = await this.loadHistory(job.platform);
+    const depth = cursor.depth || (job.full_history ? 500 : 100);
+    const turnaround = this.estimateTurnaround(samples, depth, job.full_history);
+    const historicalRate = this.estimateIngestRate(samples);
+
+    const now = Date.now();
+    const expectedReviews = job.total_available || depth;
+    const ingestMs = (expectedReviews / historicalRate.expected) * 1000;
+
+    if (phase === 'queued') {
+      return {
+        phase,
+        phase_progress: 0,
+        remaining_ms: turnaround.expected + ingestMs,
+        confidence: turnaround.confidence * 0.7
+      };
+    }
+
+    if (phase === 'provider_queued' || phase === 'provider_processing') {
+      const elapsed = cursor.created_at ? now - new Date(cursor.created_at) : 0;
+      let remaining = turnaround.expected - elapsed;
+      let confidence = turnaround.confidence;
+
+      // Past the typical turnaround: fall back to the slow end of history, and
+      // once even that has passed, keep a small horizon instead of showing zero
+      if (remaining <= 0) {
+        remaining = turnaround.worst && turnaround.worst > elapsed
+          ? turnaround.worst - elapsed
+          : Math.max(60000, turnaround.expected * 0.25);
+        confidence *= 0.5;
+      }
+
+      return {
+        phase,
+        phase_progress: Math.min(95, Math.round((elapsed / (elapsed + remaining)) * 100)),
+        remaining_ms: remaining + ingestMs,
+        confidence: confidence * 0.9
+      };
+    }
+
+    // Ingesting: live throughput since ingestion (re)started beats history
+    const total = job.total_available || cursor.total || expectedReviews;
+    const done = Math.min(total, cursor.committed_offset || 0);
+    const ingestedLive = done - (cursor.ingest_start_offset || 0);
+    const ingestElapsed = cursor.ingest_started_at ? now - new Date(cursor.ingest_started_at) : 0;
+    const fraction = total > 0 ? done / total : 0;
+
+    let rate = historicalRate.expected;
+    let confidence = historicalRate.confidence * 0.7;
+    if (ingestedLive > 0 && ingestElapsed > 0) {
+      rate = ingestedLive / (ingestElapsed / 1000);
+      confidence = 0.5 + 0.5 * fraction;
+    }
+
+    return {
+      phase,
+      phase_progress: Math.round(fraction * 100),
+      remaining_ms: ((total - done) / rate) * 1000,
+      confidence
+    };
   }
 }
 
 module.exports = ProgressTracker;
-
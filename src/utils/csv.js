@@ -0,0 +1,138 @@
+// RFC 4180 CSV parsing and formatting. The parser is fed text in chunks of any size and hands back
+// the records completed so far, so large files never need to be held whole.
+class CsvParser {
+  constructor({ delimiter = ',' } = {}) {
+    this.delimiter = delimiter;
+    this.field = '';
+    this.record = [];
+    this.quoted = false;
+    this.pendingQuote = false;
+    this.started = false;
+  }
+
+  // Returns the records completed by this chunk, each an array of strings
+  push(chunk) {
+    const records = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      // A byte order mark only counts at the very start of the input
+      if (!this.started) {
+        this.started = true;
+        if (char === '\uFEFF') continue;
+      }
+
+      if (this.quoted) {
+        if (this.pendingQuote) {
+          this.pendingQuote = false;
+          if (char === '"') {
+            this.field += '"';
+            continue;
+          }
+          this.quoted = false;
+        } else if (char === '"') {
+          this.pendingQuote = true;
+          continue;
+        } else {
+          this.field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && this.field === '') {
+        this.quoted = true;
+      } else if (char === this.delimiter) {
+        this.record.push(this.field);
+        this.field = '';
+      } else if (char === '\n') {
+        this.endRecord(records);
+      } else if (char !== '\r') {
+        this.field += char;
+      }
+    }
+
+    return records;
+  }
+
+  // Flushes the last record of input that doesn't end with a newline
+  end() {
+    const records = [];
+    if (this.pendingQuote) {
+      this.pendingQuote = false;
+      this.quoted = false;
+    }
+    if (this.quoted) {
+      throw new Error('Unterminated quoted field at end of CSV');
+    }
+    if (this.field !== '' || this.record.length > 0) {
+      this.endRecord(records);
+    }
+    return records;
+  }
+
+  endRecord(records) {
+    this.record.push(this.field);
+    this.field = '';
+
+    // Blank lines carry no record
+    if (this.record.length > 1 || this.record[0] !== '') {
+      records.push(this.record);
+    }
+    this.record = [];
+  }
+}
+
+// Turns records into objects keyed by the header row's (trimmed) column names
+function recordsToObjects(header, records) {
+  const columns = header.map(column => column.trim());
+  return records.map(record => Object.fromEntries(columns.map((column, i) => [column, record[i] ?? ''])));
+}
+
+function parseCsv(text, options) {
+  const parser = new CsvParser(options);
+  const records = [...parser.push(text), ...parser.end()];
+  if (records.length === 0) return [];
+
+  const [header, ...rows] = records;
+  return recordsToObjects(header, rows);
+}
+
+// Like parseCsv for text arriving in chunks, e.g. a file read stream; yields the rows
+// as objects as soon as they are complete
+async function* parseCsvStream(chunks, options) {
+  const parser = new CsvParser(options);
+  let header = null;
+
+  const rows = function* (records) {
+    for (const record of records) {
+      if (header) {
+        yield* recordsToObjects(header, [record]);
+      } else {
+        header = record;
+      }
+    }
+  };
+
+  for await (const chunk of chunks) {
+    yield* rows(parser.push(chunk));
+  }
+  yield* rows(parser.end());
+}
+
+// One CRLF-terminated record; fields with delimiters, quotes, line breaks or edge
+// whitespace are quoted
+function formatCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  CsvParser,
+  recordsToObjects,
+  parseCsv,
+  parseCsvStream,
+  formatCsvRow
+};
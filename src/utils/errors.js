@@ -0,0 +1,65 @@
+// Errors that carry the HTTP status the API should answer with
+
+class HttpError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required') {
+    super(message, 401);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden') {
+    super(message, 403);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found') {
+    super(message, 404);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+// An operator's monthly DataForSEO budget is spent
+class BudgetExceededError extends HttpError {
+  constructor(message) {
+    super(message, 402);
+  }
+}
+
+// Thrown inside the processing loop when the job was cancelled while running
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BudgetExceededError,
+  JobCancelledError
+};
@@ -0,0 +1,93 @@
+const dns = require('dns');
+const net = require('net');
+const { ValidationError } = require('./errors');
+
+// Guards for URLs the service requests on a caller's behalf: webhook endpoints, Slack
+// webhooks and review files. Without them a caller could make the service reach its own
+// network (loopback, private ranges, link-local cloud metadata) and read or trigger
+// things there. Hosts are checked when a URL is saved and again on every connection,
+// since what a name resolves to can change in between.
+
+const blocked = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+// Only for local development, e.g. webhooks to a receiver on the same machine
+const privateAllowed = () => process.env.ALLOW_PRIVATE_URLS === 'true';
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// A `lookup` for axios requests: resolves like dns.lookup, but refuses a host with any
+// non-public address, so the connection can't be steered anywhere a check didn't see
+async function publicLookup(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { all: true, family: options.family || 0 });
+
+  if (!privateAllowed()) {
+    const refused = addresses.find(({ address }) => !isPublicAddress(address));
+    if (refused) {
+      throw new Error(`${hostname} resolves to a private or local address (${refused.address})`);
+    }
+  }
+
+  return [addresses[0].address, addresses[0].family];
+}
+
+// Throws ValidationError unless the URL's host is a public address or resolves only to
+// public addresses. `label` names the URL in the message, e.g. 'Webhook url'.
+async function assertPublicUrl(url, label = 'URL') {
+  if (privateAllowed()) return;
+
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) {
+      throw new ValidationError(`${label} must not point at a private or local address`);
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new ValidationError(`${label} host ${host} could not be resolved`);
+  }
+
+  if (addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new ValidationError(`${label} must not point at a private or local address`);
+  }
+}
+
+// Options for axios requests to a caller's URL. Hosts are resolved through publicLookup,
+// and redirects to an address literal (which skip the lookup) are refused when private.
+const publicRequestOptions = {
+  lookup: publicLookup,
+  beforeRedirect: (options) => {
+    const host = (options.hostname || '').replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host) && !privateAllowed()) {
+      throw new Error(`Redirect to a private or local address (${host}) refused`);
+    }
+  }
+};
+
+module.exports = {
+  privateAllowed,
+  isPublicAddress,
+  publicLookup,
+  assertPublicUrl,
+  publicRequestOptions
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Stable identity for reviews the provider returns without an id. Built only from
+// review content, so the same review fingerprints the same way on every run.
+
+const normalizeText = (value) => {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const fingerprintReview = ({ author_name, posted_at, rating, text }) => {
+  const date = posted_at && !isNaN(new Date(posted_at)) ? new Date(posted_at).toISOString().slice(0, 10) : '';
+
+  return sha256([
+    normalizeText(author_name),
+    date,
+    rating ? Number(rating) : '',
+    sha256(normalizeText(text))
+  ].join('|'));
+};
+
+const fingerprintId = (source, fingerprint) => `${source}_fp_${fingerprint.slice(0, 32)}`;
+
+// Ids we generated ourselves rather than got from the provider: fingerprint ids, and the
+// old `${platform}_${jobId}_${index}_${Date.now()}` ids that changed on every run
+const isGeneratedId = (source, externalId) => {
+  if (!externalId) return true;
+  if (externalId.startsWith(`${source}_fp_`)) return true;
+  return externalId.startsWith(`${source}_`) && /_\d+_\d{13}$/.test(externalId);
+};
+
+module.exports = {
+  fingerprintReview,
+  fingerprintId,
+  isGeneratedId
+};
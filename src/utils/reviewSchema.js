@@ -0,0 +1,107 @@
+// Declarative schema for a normalized external_reviews row. Every record is validated
+// against it before upsert; records that fail are rejected with the reasons, never
+// patched up with invented values.
+
+const reviewSchema = {
+  tour_operator_id: { type: 'string', required: true },
+  source: { type: 'string', required: true },
+  external_id: { type: 'string', required: true, maxLength: 255 },
+  author_name: { type: 'string', required: true, maxLength: 255 },
+  rating: { type: 'number', required: true, min: 1, max: 5 },
+  text: { type: 'string', nullable: true, maxLength: 2000 },
+  posted_at: { type: 'datetime', required: true, notInFuture: true },
+  place_name: { type: 'string', nullable: true },
+  review_url: { type: 'url', nullable: true },
+  author_photo_url: { type: 'url', nullable: true },
+  helpful_count: { type: 'integer', min: 0 },
+  response_text: { type: 'string', nullable: true },
+  response_date: { type: 'datetime', nullable: true },
+  content_fingerprint: { type: 'string', required: true },
+  author_is_local_guide: { type: 'boolean', nullable: true },
+  photo_urls: { type: 'array', of: 'url', nullable: true }
+};
+
+// Small allowance for clock skew between us and the platform
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const checkType = (type, value) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'datetime':
+      return typeof value === 'string' && !isNaN(Date.parse(value));
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return false;
+  }
+};
+
+const describe = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const validateRecord = (record, schema = reviewSchema) => {
+  const errors = [];
+
+  for (const field of Object.keys(record)) {
+    if (!schema[field]) {
+      errors.push(`${field}: unexpected field`);
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = record[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push(`${field}: required`);
+      }
+      continue;
+    }
+
+    if (!checkType(rule.type, value)) {
+      errors.push(`${field}: expected ${rule.type}, got ${describe(value)}`);
+      continue;
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push(`${field}: ${value} is below minimum ${rule.min}`);
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push(`${field}: ${value} is above maximum ${rule.max}`);
+    }
+
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push(`${field}: longer than ${rule.maxLength} characters`);
+    }
+
+    if (rule.notInFuture && Date.parse(value) > Date.now() + FUTURE_TOLERANCE_MS) {
+      errors.push(`${field}: ${value} is in the future`);
+    }
+
+    if (rule.of) {
+      const badItem = value.find(item => !checkType(rule.of, item));
+      if (badItem !== undefined) {
+        errors.push(`${field}: expected ${rule.of} items, got ${describe(badItem)}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  reviewSchema,
+  validateRecord
+};
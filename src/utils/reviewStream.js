@@ -0,0 +1,68 @@
+// Async-iterator stages for review ingestion. Each stage pulls from the previous one
+// only when its consumer asks for more, so a slow database write holds back parsing
+// and at most one batch of normalized reviews is alive at a time.
+
+// Yields raw reviews from result pages, an (async) iterable of { items, reviews_count }.
+// Pages are pulled only as their reviews are needed, and a page's items are released
+// once consumed, so a provider that fetches or reads pages lazily never holds more
+// than the page in progress.
+async function* iterateResultItems(results) {
+  for await (const result of results) {
+    const items = Array.isArray(result.items) ? result.items : [];
+    result.items = null;
+
+    for (const item of items) {
+      yield item;
+    }
+  }
+}
+
+function countResultItems(results) {
+  return results.reduce((sum, result) => sum + (Array.isArray(result.items) ? result.items.length : 0), 0);
+}
+
+function lastResultItem(results) {
+  for (let i = results.length - 1; i >= 0; i--) {
+    const items = results[i].items;
+    if (Array.isArray(items) && items.length > 0) {
+      return items[items.length - 1];
+    }
+  }
+  return null;
+}
+
+// Groups any (async) iterable into arrays of up to `size` items
+async function* batchesOf(iterable, size) {
+  let batch = [];
+
+  for await (const item of iterable) {
+    batch.push(item);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+// Consumes up to `count` items of an async generator, e.g. reviews already committed
+// before a restart, and resolves with how many there were. The generator carries on
+// from there.
+async function advance(generator, count) {
+  let advanced = 0;
+  while (advanced < count && !(await generator.next()).done) {
+    advanced++;
+  }
+  return advanced;
+}
+
+module.exports = {
+  iterateResultItems,
+  countResultItems,
+  lastResultItem,
+  batchesOf,
+  advance
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 helpers for signing callback URLs and outbound payloads
+
+const sign = (value, secret) => {
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+};
+
+const verifySignature = (value, signature, secret) => {
+  if (!signature || !secret) return false;
+
+  const expected = Buffer.from(sign(value, secret), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+module.exports = {
+  sign,
+  verifySignature
+};
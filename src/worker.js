@@ -0,0 +1,78 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+const logger = require('./utils/logger');
+const ReviewProcessor = require('./processors/ReviewProcessor');
+const JobManager = require('./managers/JobManager');
+const ScheduleManager = require('./managers/ScheduleManager');
+const WebhookManager = require('./managers/WebhookManager');
+const JobQueue = require('./queue/JobQueue');
+const JobEventBus = require('./events/JobEventBus');
+const NotificationDispatcher = require('./notifications/NotificationDispatcher');
+const platformRegistry = require('./platforms');
+const ProviderRegistry = require('./providers/ProviderRegistry');
+
+// Standalone worker process: pulls import jobs off the shared Redis queue so workers
+// can be scaled independently of the API server
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const jobQueue = new JobQueue(logger);
+
+if (jobQueue.isInMemory) {
+  logger.warn('⚠️ Worker started with the in-memory queue backend; it will only see jobs queued in this process');
+}
+
+const jobEvents = new JobEventBus(supabase, logger);
+const providerRegistry = new ProviderRegistry(supabase, logger);
+const reviewProcessor = new ReviewProcessor(supabase, logger, platformRegistry, jobEvents, providerRegistry);
+const jobManager = new JobManager(supabase, logger, jobQueue, jobEvents, providerRegistry);
+
+const scheduleManager = new ScheduleManager(supabase, logger, jobQueue, jobEvents, providerRegistry);
+const webhookManager = new WebhookManager(supabase, logger, jobEvents);
+const notificationDispatcher = new NotificationDispatcher(supabase, logger, jobEvents);
+
+jobQueue.startWorkers(reviewProcessor);
+
+// Safe to run in every worker: each due schedule is claimed by exactly one instance
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  scheduleManager.startScheduler(parseInt(process.env.SCHEDULER_INTERVAL, 10) || 60000);
+}
+
+// Re-queue jobs whose DataForSEO callback never arrived so they fall back to polling
+jobManager.startSweeper(
+  parseInt(process.env.SWEEPER_INTERVAL, 10) || 5 * 60 * 1000,
+  parseInt(process.env.CALLBACK_TIMEOUT, 10) || 15 * 60 * 1000
+);
+
+// Webhooks and notifications for events this worker publishes, plus retries and digests
+webhookManager.listen();
+webhookManager.startDeliveryWorker(parseInt(process.env.WEBHOOK_RETRY_INTERVAL, 10) || 60000);
+notificationDispatcher.listen();
+notificationDispatcher.startOutboxWorker(parseInt(process.env.NOTIFICATION_OUTBOX_INTERVAL, 10) || 60000);
+
+// Pick up jobs that were marked active in the database but never made it onto the queue
+jobManager.requeuePendingJobs().catch(error => {
+  logger.error('Initial re-queue of pending jobs failed:', error);
+});
+
+logger.info('👷 TourReviewAI worker started');
+
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, waiting for active jobs to finish`);
+  scheduleManager.stopScheduler();
+  jobManager.stopSweeper();
+  webhookManager.stopDeliveryWorker();
+  notificationDispatcher.stopOutboxWorker();
+  try {
+    await jobQueue.close();
+  } catch (error) {
+    logger.error('Error closing job queue:', error);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,4 @@
+-- Google review fields written by the DataForSEO import
+alter table external_reviews
+  add column if not exists author_is_local_guide boolean,
+  add column if not exists photo_urls text[];
@@ -0,0 +1,10 @@
+-- Incremental syncs: the mode a job ran in and what it found
+alter table review_sync_jobs
+  add column if not exists sync_mode text not null default 'full' check (sync_mode in ('full', 'incremental')),
+  add column if not exists new_count integer,
+  add column if not exists updated_count integer,
+  add column if not exists unchanged_count integer;
+
+-- Newest stored review per source, the baseline an incremental sync stops at
+create index if not exists external_reviews_source_posted_at_idx
+  on external_reviews (tour_operator_id, source, posted_at desc);
@@ -0,0 +1,40 @@
+-- Recurring syncs. The scheduler claims a due schedule by moving next_run_at, so
+-- several instances can run it without double-firing.
+create table if not exists review_sync_schedules (
+  id uuid primary key default gen_random_uuid(),
+  tour_operator_id uuid not null,
+  platform text not null,
+  source_business_id text not null,
+  source_business_name text,
+  frequency text not null default 'daily' check (frequency in ('daily', 'weekly', 'cron')),
+  cron_expression text,
+  time_of_day text,
+  day_of_week smallint check (day_of_week between 0 and 6),
+  timezone text not null default 'UTC',
+  mode text not null default 'incremental' check (mode in ('full', 'incremental')),
+  full_history boolean not null default false,
+  enabled boolean not null default true,
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  last_run_status text,
+  last_job_id uuid references review_sync_jobs (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists review_sync_schedules_operator_idx
+  on review_sync_schedules (tour_operator_id, created_at);
+
+create index if not exists review_sync_schedules_due_idx
+  on review_sync_schedules (next_run_at)
+  where enabled;
+
+alter table review_sync_schedules enable row level security;
+
+alter table review_sync_jobs
+  add column if not exists schedule_id uuid references review_sync_schedules (id) on delete set null;
+
+-- Scheduled runs are skipped while a job for the same source is still active
+create index if not exists review_sync_jobs_active_source_idx
+  on review_sync_jobs (tour_operator_id, platform, source_business_id)
+  where status in ('running', 'processing');
@@ -0,0 +1,9 @@
+-- Content fingerprints identify reviews without provider ids and find stored duplicates
+alter table external_reviews
+  add column if not exists content_fingerprint text;
+
+create index if not exists external_reviews_fingerprint_idx
+  on external_reviews (tour_operator_id, source, content_fingerprint);
+
+alter table review_sync_jobs
+  add column if not exists duplicates_collapsed integer;
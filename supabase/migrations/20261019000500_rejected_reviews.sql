@@ -0,0 +1,19 @@
+-- Records that failed schema validation, kept with their raw provider payload
+create table if not exists rejected_reviews (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references review_sync_jobs (id) on delete cascade,
+  tour_operator_id uuid not null,
+  source text not null,
+  external_id text,
+  reasons text[] not null,
+  raw_payload jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rejected_reviews_job_idx
+  on rejected_reviews (job_id, created_at);
+
+alter table rejected_reviews enable row level security;
+
+alter table review_sync_jobs
+  add column if not exists rejected_count integer not null default 0;
@@ -0,0 +1,21 @@
+-- Normalized reviews that still failed to write after retries, kept for replay
+create table if not exists review_dead_letters (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references review_sync_jobs (id) on delete cascade,
+  tour_operator_id uuid not null,
+  source text not null,
+  external_id text,
+  record jsonb not null,
+  error text,
+  attempts integer not null default 1,
+  replayed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists review_dead_letters_job_idx
+  on review_dead_letters (job_id, created_at);
+
+alter table review_dead_letters enable row level security;
+
+alter table review_sync_jobs
+  add column if not exists dead_letter_count integer not null default 0;
@@ -0,0 +1,11 @@
+-- Per-phase progress, and the timings ETAs for later jobs are estimated from
+alter table review_sync_jobs
+  add column if not exists phase text,
+  add column if not exists phase_started_at timestamptz,
+  add column if not exists task_depth integer,
+  add column if not exists provider_turnaround_ms bigint,
+  add column if not exists ingest_rate numeric;
+
+create index if not exists review_sync_jobs_turnaround_history_idx
+  on review_sync_jobs (platform, completed_at desc)
+  where provider_turnaround_ms is not null;
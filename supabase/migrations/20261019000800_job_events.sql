@@ -0,0 +1,13 @@
+-- Job lifecycle events; the id doubles as the SSE event id, so it must only increase
+create table if not exists job_events (
+  id bigint generated always as identity primary key,
+  job_id uuid not null references review_sync_jobs (id) on delete cascade,
+  type text not null,
+  data jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists job_events_job_idx
+  on job_events (job_id, id);
+
+alter table job_events enable row level security;
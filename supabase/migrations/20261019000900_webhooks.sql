@@ -0,0 +1,43 @@
+-- Operator webhooks and their delivery log. The secret signs every delivery.
+create table if not exists webhook_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  tour_operator_id uuid not null,
+  url text not null,
+  events text[] not null,
+  description text,
+  enabled boolean not null default true,
+  secret text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_endpoints_operator_idx
+  on webhook_endpoints (tour_operator_id, created_at);
+
+alter table webhook_endpoints enable row level security;
+
+-- Deliveries are a log and outlive the jobs they report on
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references webhook_endpoints (id) on delete cascade,
+  job_id uuid,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  last_status_code integer,
+  last_error text,
+  last_attempt_at timestamptz,
+  delivered_at timestamptz,
+  next_attempt_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_endpoint_idx
+  on webhook_deliveries (endpoint_id, created_at desc);
+
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+
+alter table webhook_deliveries enable row level security;
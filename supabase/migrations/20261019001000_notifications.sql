@@ -0,0 +1,36 @@
+-- Per-operator notification routing: which events go to which channels, quiet hours
+-- and daily digests
+create table if not exists notification_preferences (
+  tour_operator_id uuid primary key,
+  email text,
+  slack_webhook_url text,
+  events jsonb not null default '{}',
+  quiet_hours jsonb,
+  timezone text not null default 'UTC',
+  delivery text not null default 'immediate' check (delivery in ('immediate', 'digest')),
+  digest_time text not null default '08:00',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table notification_preferences enable row level security;
+
+-- Channel notifications held for quiet hours, digests or retries
+create table if not exists notification_outbox (
+  id uuid primary key default gen_random_uuid(),
+  tour_operator_id uuid not null,
+  channel text not null,
+  notification jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  send_after timestamptz not null default now(),
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_outbox_due_idx
+  on notification_outbox (send_after)
+  where status = 'pending';
+
+alter table notification_outbox enable row level security;
@@ -0,0 +1,27 @@
+-- Alerts for new negative reviews and rating drops; they outlive cleaned-up jobs
+create table if not exists review_alerts (
+  id uuid primary key default gen_random_uuid(),
+  tour_operator_id uuid not null,
+  job_id uuid references review_sync_jobs (id) on delete set null,
+  type text not null,
+  source text not null,
+  external_id text,
+  message text not null,
+  data jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  acknowledged_at timestamptz
+);
+
+create index if not exists review_alerts_operator_idx
+  on review_alerts (tour_operator_id, created_at desc);
+
+create index if not exists review_alerts_job_idx
+  on review_alerts (job_id);
+
+alter table review_alerts enable row level security;
+
+-- What changed per sync, and the rolling average the next sync compares against
+alter table review_sync_jobs
+  add column if not exists rating_changed_count integer,
+  add column if not exists new_response_count integer,
+  add column if not exists rolling_average numeric;
@@ -0,0 +1,43 @@
+-- DataForSEO tasks and their cost. Rows outlive cleaned-up jobs so monthly spend
+-- stays accurate.
+create table if not exists provider_tasks (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid references review_sync_jobs (id) on delete set null,
+  tour_operator_id uuid not null,
+  platform text not null,
+  task_id text not null unique,
+  endpoint text,
+  depth integer,
+  cost numeric not null default 0,
+  status_code integer,
+  status_message text,
+  result_status_code integer,
+  result_status_message text,
+  result_count integer,
+  items_count integer,
+  reviews_count integer,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists provider_tasks_created_idx
+  on provider_tasks (created_at);
+
+create index if not exists provider_tasks_operator_idx
+  on provider_tasks (tour_operator_id, created_at);
+
+create index if not exists provider_tasks_job_idx
+  on provider_tasks (job_id, created_at);
+
+alter table provider_tasks enable row level security;
+
+create table if not exists operator_budgets (
+  tour_operator_id uuid primary key,
+  monthly_budget numeric not null check (monthly_budget >= 0),
+  updated_at timestamptz not null default now()
+);
+
+alter table operator_budgets enable row level security;
+
+alter table review_sync_jobs
+  add column if not exists provider_cost numeric;
@@ -0,0 +1,25 @@
+-- Provider choice per job and schedule
+alter table review_sync_jobs
+  add column if not exists provider text,
+  add column if not exists fallback_provider text,
+  add column if not exists provider_options jsonb;
+
+alter table review_sync_schedules
+  add column if not exists provider text,
+  add column if not exists fallback_provider text,
+  add column if not exists provider_options jsonb;
+
+-- Operator credentials for providers that need their own, e.g. Google Business Profile.
+-- Refresh tokens are only ever read by the service.
+create table if not exists provider_connections (
+  tour_operator_id uuid not null,
+  provider text not null,
+  account_id text,
+  location_id text,
+  refresh_token text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (tour_operator_id, provider)
+);
+
+alter table provider_connections enable row level security;
@@ -0,0 +1,3 @@
+-- Upload jobs import a file rather than a business listing, so they have no source id
+alter table review_sync_jobs
+  alter column source_business_id drop not null;
@@ -0,0 +1,31 @@
+-- The job that last wrote each review, for exports filtered by job
+alter table external_reviews
+  add column if not exists last_job_id uuid;
+
+create index if not exists external_reviews_last_job_idx
+  on external_reviews (last_job_id);
+
+create table if not exists review_exports (
+  id uuid primary key default gen_random_uuid(),
+  tour_operator_id uuid not null,
+  format text not null check (format in ('csv', 'ndjson')),
+  filters jsonb not null default '{}',
+  status text not null default 'running' check (status in ('running', 'succeeded', 'failed')),
+  row_count integer not null default 0,
+  file_path text,
+  file_size bigint,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists review_exports_operator_idx
+  on review_exports (tour_operator_id, created_at desc);
+
+alter table review_exports enable row level security;
+
+-- Private bucket for export files (EXPORT_BUCKET); downloads go through signed URLs
+insert into storage.buckets (id, name, public)
+values ('review-exports', 'review-exports', false)
+on conflict (id) do nothing;
@@ -0,0 +1,47 @@
+-- Sentiment and topic tags per review, keyed like external_reviews and removed with it
+create table if not exists review_enrichments (
+  tour_operator_id uuid not null,
+  source text not null,
+  external_id text not null,
+  sentiment_score numeric(4, 3) check (sentiment_score between -1 and 1),
+  sentiment_label text check (sentiment_label in ('positive', 'neutral', 'negative')),
+  topics text[] not null default '{}',
+  topic_sentiment jsonb not null default '{}',
+  keywords text[] not null default '{}',
+  analyzer text not null,
+  analyzer_version integer not null,
+  analyzed_at timestamptz not null default now(),
+  primary key (tour_operator_id, source, external_id),
+  foreign key (tour_operator_id, source, external_id)
+    references external_reviews (tour_operator_id, source, external_id) on delete cascade
+);
+
+create index if not exists review_enrichments_analyzer_idx
+  on review_enrichments (tour_operator_id, analyzer, analyzer_version);
+
+alter table review_enrichments enable row level security;
+
+create table if not exists enrichment_backfills (
+  id uuid primary key default gen_random_uuid(),
+  tour_operator_id uuid not null,
+  source text,
+  force boolean not null default false,
+  status text not null default 'running' check (status in ('running', 'succeeded', 'failed')),
+  total integer not null default 0,
+  processed_count integer not null default 0,
+  enriched_count integer not null default 0,
+  last_review_id uuid,
+  analyzer text not null,
+  analyzer_version integer not null,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+-- One running backfill per operator, also across instances
+create unique index if not exists enrichment_backfills_running_idx
+  on enrichment_backfills (tour_operator_id)
+  where status = 'running';
+
+alter table enrichment_backfills enable row level security;
@@ -0,0 +1,8 @@
+-- Outbox rows being sent carry the time they were claimed, so rows left in 'sending' by
+-- a worker that died mid-send are put back once the claim has expired
+alter table notification_outbox
+  add column if not exists claimed_at timestamptz;
+
+create index if not exists notification_outbox_claimed_idx
+  on notification_outbox (claimed_at)
+  where status = 'sending';
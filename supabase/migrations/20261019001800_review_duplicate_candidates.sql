@@ -0,0 +1,40 @@
+-- Fingerprints shared by more than one of an operator's reviews from a source, where at
+-- least one row carries an id we generated (mirrors isGeneratedId in
+-- src/utils/reviewFingerprint.js). Deduplication loads only these groups, paging with
+-- p_after, instead of every stored review.
+create or replace function review_duplicate_fingerprints(
+  p_tour_operator_id uuid,
+  p_source text,
+  p_after text default null,
+  p_limit integer default 500
+)
+returns table (content_fingerprint text, review_count bigint)
+language sql
+stable
+as $$
+  select r.content_fingerprint, count(*)
+  from external_reviews r
+  where r.tour_operator_id = p_tour_operator_id
+    and r.source = p_source
+    and r.content_fingerprint is not null
+    and (p_after is null or r.content_fingerprint > p_after)
+  group by r.content_fingerprint
+  having count(*) > 1
+    and bool_or(
+      r.external_id is null
+      or starts_with(r.external_id, p_source || '_fp_')
+      or (starts_with(r.external_id, p_source || '_') and r.external_id ~ '_[0-9]+_[0-9]{13}$')
+    )
+  order by r.content_fingerprint
+  limit p_limit;
+$$;
+
+-- A merged review can take on its stable fingerprint id; its enrichment follows it
+alter table review_enrichments
+  drop constraint if exists review_enrichments_tour_operator_id_source_external_id_fkey;
+
+alter table review_enrichments
+  add constraint review_enrichments_tour_operator_id_source_external_id_fkey
+  foreign key (tour_operator_id, source, external_id)
+  references external_reviews (tour_operator_id, source, external_id)
+  on update cascade on delete cascade;
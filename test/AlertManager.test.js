@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlertManager = require('../src/managers/AlertManager');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+const job = { id: 'job-2', tour_operator_id: 'op-1', platform: 'google' };
+
+function alertManager(supabase) {
+  const events = { published: [], publish: async (jobId, type, payload) => events.published.push({ jobId, type, ...payload }) };
+  return new AlertManager(supabase, silentLogger, events);
+}
+
+const review = (externalId, rating) => ({ source: 'google', external_id: externalId, rating, author_name: 'Sam', text: 'Meh', posted_at: '2026-10-01T00:00:00.000Z' });
+
+// Stored ratings of the newest reviews, and the average the previous sync recorded
+function ratingsSupabase(ratings, previousAverage) {
+  return createSupabaseStub({
+    external_reviews: () => ({ data: ratings.map(rating => ({ rating })) }),
+    review_sync_jobs: () => ({ data: previousAverage === undefined ? null : { id: 'job-1', rolling_average: previousAverage } }),
+    review_alerts: (query) => ({ data: { id: `alert-${query.arg('insert').external_id || query.arg('insert').type}` } })
+  });
+}
+
+test('new reviews at or below the threshold are stored and published as alerts', async () => {
+  const supabase = createSupabaseStub({ review_alerts: () => ({ data: { id: 'alert-1' } }) });
+  const alerts = alertManager(supabase);
+
+  const raised = await alerts.raiseNegativeReviews(job, [review('r1', 2), review('r2', 3), review('r3', 5)]);
+
+  assert.deepEqual(raised.map(alert => alert.external_id), ['r1']);
+  const [stored] = supabase.queriesTo('review_alerts', 'insert');
+  assert.equal(stored.arg('insert').type, 'new_negative_review');
+  assert.equal(stored.arg('insert').job_id, 'job-2');
+  assert.deepEqual(alerts.events.published.map(event => [event.type, event.alert_id, event.external_id]), [['new_negative_review', 'alert-1', 'r1']]);
+});
+
+test('an alert that fails to store is still published', async () => {
+  const supabase = createSupabaseStub({ review_alerts: () => ({ error: { message: 'permission denied' } }) });
+  const alerts = alertManager(supabase);
+
+  await alerts.raiseNegativeReviews(job, [review('r1', 1)]);
+
+  assert.equal(alerts.events.published.length, 1);
+  assert.equal(alerts.events.published[0].alert_id, null);
+});
+
+test('a rolling average that fell by the threshold raises a rating drop', async () => {
+  const supabase = ratingsSupabase([4, 4, 3, 4], 4.2);
+  const alerts = alertManager(supabase);
+
+  const { rollingAverage, alert } = await alerts.checkRatingDrop(job);
+
+  assert.equal(rollingAverage, 3.75);
+  assert.equal(alert.type, 'rating_drop');
+  assert.deepEqual([alert.data.previous_average, alert.data.current_average, alert.data.drop, alert.data.window], [4.2, 3.75, 0.45, 4]);
+  assert.equal(supabase.queriesTo('external_reviews')[0].arg('limit'), 20);
+});
+
+test('a smaller drop, or the first sync of a source, raises nothing', async () => {
+  for (const previousAverage of [3.9, undefined]) {
+    const supabase = ratingsSupabase([4, 4, 3, 4], previousAverage);
+
+    const { rollingAverage, alert } = await alertManager(supabase).checkRatingDrop(job);
+
+    assert.equal(rollingAverage, 3.75);
+    assert.equal(alert, null);
+    assert.equal(supabase.queriesTo('review_alerts').length, 0);
+  }
+});
+
+test('a configured threshold of 0 is kept', async (t) => {
+  process.env.RATING_DROP_THRESHOLD = '0';
+  process.env.NEGATIVE_REVIEW_THRESHOLD = '0';
+  t.after(() => {
+    delete process.env.RATING_DROP_THRESHOLD;
+    delete process.env.NEGATIVE_REVIEW_THRESHOLD;
+  });
+  const supabase = ratingsSupabase([4, 4, 3, 4], 3.75);
+  const alerts = alertManager(supabase);
+
+  assert.equal(alerts.config.ratingDropThreshold, 0);
+  assert.deepEqual(await alerts.raiseNegativeReviews(job, [review('r1', 1)]), []);
+  assert.equal((await alerts.checkRatingDrop(job)).alert.data.drop, 0);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalyticsManager = require('../src/managers/AnalyticsManager');
+const { ValidationError } = require('../src/utils/errors');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+// Answers external_reviews like PostgREST would: the posted_at range, id keyset and limit
+function reviewsSupabase(reviews) {
+  return createSupabaseStub({
+    external_reviews: (query) => {
+      const filter = (method) => query.calls.filter(([name]) => name === method).map(call => call.slice(1));
+      const from = filter('gte').find(([column]) => column === 'posted_at')?.[1];
+      const to = filter('lt').find(([column]) => column === 'posted_at')?.[1];
+      const after = filter('gt').find(([column]) => column === 'id')?.[1];
+
+      const rows = reviews
+        .filter(review => new Date(review.posted_at) >= new Date(from) && new Date(review.posted_at) < new Date(to))
+        .filter(review => after === undefined || review.id > after)
+        .sort((a, b) => a.id - b.id);
+      return { data: rows.slice(0, query.arg('limit')) };
+    }
+  });
+}
+
+const hours = (n) => n * 60 * 60 * 1000;
+const review = (id, postedAt, rating, { source = 'google', respondedAfter } = {}) => ({
+  id,
+  source,
+  rating,
+  posted_at: postedAt,
+  response_text: respondedAfter === undefined ? null : 'Thanks!',
+  response_date: respondedAfter === undefined ? null : new Date(new Date(postedAt).getTime() + respondedAfter).toISOString()
+});
+
+test('a bare date as the end of a range includes that day', () => {
+  const analytics = new AnalyticsManager(createSupabaseStub(), silentLogger);
+
+  const { range } = analytics.parseOptions({ from: '2026-03-01', to: '2026-03-31' });
+  assert.equal(range.from.toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(range.to.toISOString(), '2026-04-01T00:00:00.000Z');
+
+  const exact = analytics.parseOptions({ from: '2026-03-01', to: '2026-03-31T12:00:00Z' });
+  assert.equal(exact.range.to.toISOString(), '2026-03-31T12:00:00.000Z');
+
+  assert.throws(() => analytics.parseOptions({ from: '2026-03-31', to: '2026-03-01' }), ValidationError);
+  assert.throws(() => analytics.parseOptions({ from: '2020-01-01', to: '2026-03-01' }), ValidationError);
+});
+
+test('compare=previous takes the equal-length range before, compare=year the same range a year earlier', () => {
+  const analytics = new AnalyticsManager(createSupabaseStub(), silentLogger);
+  const iso = ({ from, to }) => [from.toISOString(), to.toISOString()];
+
+  const previous = analytics.parseOptions({ from: '2026-03-01', to: '2026-03-31', compare: 'previous' });
+  assert.deepEqual(iso(previous.comparison), ['2026-01-29T00:00:00.000Z', '2026-03-01T00:00:00.000Z']);
+
+  const year = analytics.parseOptions({ from: '2026-03-01', to: '2026-03-31', compare: 'year' });
+  assert.deepEqual(iso(year.comparison), ['2025-03-01T00:00:00.000Z', '2025-04-01T00:00:00.000Z']);
+
+  assert.throws(() => analytics.parseOptions({ compare: 'quarter' }), ValidationError);
+  assert.throws(() => analytics.parseOptions({ compare_from: '2025-01-01' }), ValidationError);
+});
+
+test('week buckets start on Monday and cover the whole range', async () => {
+  const supabase = reviewsSupabase([
+    review(1, '2026-10-04T23:00:00Z', 5), // Sunday, in the week of Monday 28 September
+    review(2, '2026-10-05T00:00:00Z', 3), // Monday
+    review(3, '2026-10-11T12:00:00Z', 4),
+    review(4, '2026-10-19T08:00:00Z', 1)
+  ]);
+  const analytics = new AnalyticsManager(supabase, silentLogger);
+
+  const result = await analytics.getAnalytics('op-1', { from: '2026-10-01', to: '2026-10-19', interval: 'week' });
+
+  assert.deepEqual(result.overall.trend.map(bucket => [bucket.period, bucket.review_count, bucket.average_rating]), [
+    ['2026-09-28', 1, 5],
+    ['2026-10-05', 2, 3.5],
+    ['2026-10-12', 0, null],
+    ['2026-10-19', 1, 1]
+  ]);
+  assert.deepEqual(result.overall.rating_histogram, { 1: 1, 2: 0, 3: 1, 4: 1, 5: 1 });
+});
+
+test('the median response delay leaves out replies dated before the review', async () => {
+  const supabase = reviewsSupabase([
+    review(1, '2026-05-01T00:00:00Z', 5, { respondedAfter: hours(2) }),
+    review(2, '2026-05-02T00:00:00Z', 4, { respondedAfter: hours(10) }),
+    review(3, '2026-05-03T00:00:00Z', 2, { respondedAfter: hours(5) }),
+    review(4, '2026-05-04T00:00:00Z', 3, { respondedAfter: hours(-30) }),
+    review(5, '2026-05-05T00:00:00Z', 1, { source: 'tripadvisor', respondedAfter: hours(1) }),
+    review(6, '2026-05-06T00:00:00Z', 5, { source: 'tripadvisor' })
+  ]);
+  const analytics = new AnalyticsManager(supabase, silentLogger);
+
+  const { overall, sources } = await analytics.getAnalytics('op-1', { from: '2026-05-01', to: '2026-05-31' });
+
+  assert.deepEqual(overall.summary, { review_count: 6, average_rating: 3.33, response_count: 5, response_rate: 0.833, median_response_hours: 3.5 });
+  assert.equal(sources.google.summary.median_response_hours, 5);
+  assert.equal(sources.tripadvisor.summary.median_response_hours, 1);
+  assert.equal(sources.tripadvisor.summary.response_rate, 0.5);
+});
+
+test('reviews are read a page at a time and compared with the previous range', async () => {
+  const reviews = Array.from({ length: 1500 }, (_, i) => review(i + 1, new Date(Date.UTC(2026, 5, 1 + (i % 30))).toISOString(), 4));
+  reviews.push(review(2001, '2026-05-15T00:00:00Z', 2), review(2002, '2026-05-16T00:00:00Z', 4));
+  const supabase = reviewsSupabase(reviews);
+  const analytics = new AnalyticsManager(supabase, silentLogger);
+
+  const result = await analytics.getAnalytics('op-1', { from: '2026-06-01', to: '2026-06-30', compare: 'previous' });
+
+  assert.equal(result.overall.summary.review_count, 1500);
+  assert.equal(result.comparison.overall.summary.review_count, 2);
+  assert.deepEqual(result.changes.overall, { review_count: 1498, review_count_pct: 74900, average_rating: 1, response_rate: 0, median_response_hours: null });
+  // Two pages for the current range, one for the comparison
+  assert.deepEqual(supabase.queriesTo('external_reviews').map(query => query.arg('gt', 1) ?? null), [null, 1000, null]);
+});
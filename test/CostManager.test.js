@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const CostManager = require('../src/managers/CostManager');
+const DataForSEOClient = require('../src/utils/DataForSEOClient');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+test('the DataForSEO balance is read from appendix/user_data', async (t) => {
+  process.env.DATAFORSEO_USERNAME = 'user';
+  process.env.DATAFORSEO_PASSWORD = 'pass';
+  const get = axios.get;
+  const requested = [];
+  axios.get = async (url) => {
+    requested.push(url);
+    return { data: { tasks: [{ result: [{ login: 'user', money: { total: 500, balance: 123.45 } }] }] } };
+  };
+  t.after(() => {
+    axios.get = get;
+    delete process.env.DATAFORSEO_USERNAME;
+    delete process.env.DATAFORSEO_PASSWORD;
+  });
+
+  const costs = new CostManager(createSupabaseStub(), silentLogger, new DataForSEOClient(silentLogger));
+  const balance = await costs.getAccountBalance();
+
+  assert.deepEqual(requested, ['https://api.dataforseo.com/v3/appendix/user_data']);
+  assert.equal(balance.balance, 123.45);
+  assert.equal(balance.total_deposited, 500);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createClient } = require('@supabase/supabase-js');
+const ExportManager = require('../src/managers/ExportManager');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+// A Storage API stand-in that keeps each uploaded object's body
+async function storageStub(t) {
+  const uploads = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      uploads.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ Id: 'object-1', Key: req.url }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { uploads, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('a background export is uploaded from its temporary file', async (t) => {
+  const storage = await storageStub(t);
+  const reviews = Array.from({ length: 3 }, (_, i) => ({ id: i + 1, source: 'google', external_id: `r${i}`, author_name: `Guest ${i}`, rating: 5, text: 'Lovely tour' }));
+  const supabase = createSupabaseStub({
+    external_reviews: (query) => ({ data: query.has('gt') ? [] : reviews })
+  });
+  supabase.storage = createClient(storage.url, 'service-key').storage;
+  const exports = new ExportManager(supabase, silentLogger);
+
+  await exports.runExport({ id: 'export-1', tour_operator_id: 'op-1', format: 'ndjson', filters: {} });
+
+  assert.equal(storage.uploads.length, 1);
+  const [upload] = storage.uploads;
+  assert.equal(upload.url, '/storage/v1/object/review-exports/op-1/export-1.ndjson');
+  assert.equal(upload.headers['content-type'], 'application/x-ndjson');
+  const lines = upload.body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.external_id), ['r0', 'r1', 'r2']);
+
+  const finished = supabase.queriesTo('review_exports', 'update').pop().arg('update');
+  assert.equal(finished.status, 'succeeded');
+  assert.equal(finished.row_count, 3);
+  assert.equal(finished.file_size, Buffer.byteLength(upload.body));
+});
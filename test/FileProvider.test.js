@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const FileProvider = require('../src/providers/FileProvider');
+const { ValidationError } = require('../src/utils/errors');
+const { silentLogger } = require('./helpers');
+
+const context = { setPhase: async () => {} };
+
+// Serves `body` to every request and counts them
+async function fileServer(t, body) {
+  const server = http.createServer((req, res) => {
+    server.requests++;
+    res.setHeader('content-type', 'text/csv');
+    res.end(body);
+  });
+  server.requests = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { server, url: `http://127.0.0.1:${server.address().port}/reviews.csv` };
+}
+
+async function readAll(source) {
+  const rows = [];
+  for await (const page of source.pages()) rows.push(...page.items);
+  return rows;
+}
+
+test('review files on loopback, private or link-local addresses are refused', async (t) => {
+  const provider = new FileProvider(silentLogger);
+
+  for (const fileUrl of ['http://127.0.0.1/reviews.csv', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/reviews.csv', 'http://10.0.0.5/reviews.csv']) {
+    assert.throws(() => provider.validateOptions({ file_url: fileUrl }), ValidationError, fileUrl);
+  }
+  provider.validateOptions({ file_url: 'https://example.com/reviews.csv' });
+
+  // Host names are checked again when the job runs
+  const { server } = await fileServer(t, 'id,rating\n1,5\n');
+  const job = { id: 'job-1', provider_options: { file_url: `http://localhost:${server.address().port}/reviews.csv` } };
+  await assert.rejects(provider.fetch(job, {}, null, context), /private or local address/);
+  assert.equal(server.requests, 0);
+});
+
+test('a review file is downloaded and read a page at a time', async (t) => {
+  process.env.ALLOW_PRIVATE_URLS = 'true';
+  t.after(() => { delete process.env.ALLOW_PRIVATE_URLS; });
+  const rows = Array.from({ length: 1200 }, (_, i) => `r${i},Guest ${i},${i % 5 + 1},"Great, thanks"`);
+  const { url } = await fileServer(t, `id,author,rating,text\n${rows.join('\n')}\n`);
+  const provider = new FileProvider(silentLogger);
+
+  const source = await provider.fetch({ id: 'job-2', provider_options: { file_url: url } }, {}, null, context);
+  t.after(() => source.close());
+
+  assert.equal(source.total, 1200);
+  const read = await readAll(source);
+  assert.equal(read.length, 1200);
+  assert.deepEqual(provider.reviewMapper({ provider_options: {} })(read[1]), {
+    external_id: 'r1', author_name: 'Guest 1', rating: '2', text: 'Great, thanks',
+    posted_at: null, review_url: null, response_text: null, response_date: null
+  });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobEventBus = require('../src/events/JobEventBus');
+const { createSupabaseStub, silentLogger, waitFor } = require('./helpers');
+
+// A job_events table: inserts get the next id, reads honour the job, id keyset and limit
+function eventsSupabase(stored = [], { failInserts = false } = {}) {
+  return createSupabaseStub({
+    job_events: (query) => {
+      if (query.has('insert')) {
+        if (failInserts) return { error: { message: 'insert failed' } };
+        const row = { ...query.arg('insert'), id: stored.length + 1 };
+        stored.push(row);
+        return { data: { id: row.id } };
+      }
+      const jobId = query.arg('eq', 1);
+      const after = query.arg('gt', 1);
+      return { data: stored.filter(row => row.job_id === jobId && row.id > after).slice(0, query.arg('limit')) };
+    }
+  });
+}
+
+const stored = (id, type, jobId = 'job-1') => ({ id, job_id: jobId, type, data: {}, created_at: '2026-10-19T08:00:00.000Z' });
+
+test('a subscriber resuming from Last-Event-ID gets what it missed, then live events, each once', async (t) => {
+  const rows = [stored(1, 'started'), stored(2, 'progress'), stored(3, 'progress', 'job-2'), stored(4, 'progress')];
+  const events = new JobEventBus(eventsSupabase(rows), silentLogger);
+  const received = [];
+
+  const unsubscribe = events.subscribe('job-1', 1, event => received.push([event.id, event.type]), { pollInterval: 10 });
+  t.after(unsubscribe);
+
+  await waitFor(() => received.length === 2);
+  await events.publish('job-1', 'completed', { message: 'done' });
+  await waitFor(() => received.length === 3);
+  // Polls after the live event find nothing new
+  await new Promise(resolve => setTimeout(resolve, 40));
+
+  assert.deepEqual(received, [[2, 'progress'], [4, 'progress'], [5, 'completed']]);
+  assert.ok(events.isTerminal({ type: 'completed' }));
+});
+
+test('events from publishers in other processes arrive by polling', async (t) => {
+  const rows = [stored(1, 'started')];
+  const events = new JobEventBus(eventsSupabase(rows), silentLogger);
+  const received = [];
+
+  const unsubscribe = events.subscribe('job-1', 0, event => received.push(event.id), { pollInterval: 10 });
+  t.after(unsubscribe);
+  await waitFor(() => received.length === 1);
+
+  // Stored by another worker: no local emit reaches this bus
+  rows.push(stored(2, 'progress'));
+  await waitFor(() => received.length === 2);
+
+  assert.deepEqual(received, [1, 2]);
+});
+
+test('an event that could not be stored still reaches live subscribers, without an id', async (t) => {
+  const events = new JobEventBus(eventsSupabase([], { failInserts: true }), silentLogger);
+  const received = [];
+
+  const unsubscribe = events.subscribe('job-1', 0, event => received.push(event), { pollInterval: 1000 });
+  t.after(unsubscribe);
+
+  const event = await events.publish('job-1', 'warning', { message: 'slow provider' });
+
+  assert.equal(event.id, undefined);
+  assert.deepEqual(received.map(event => [event.type, event.data.message]), [['warning', 'slow provider']]);
+});
+
+test('replay reads stored events after an id in order', async () => {
+  const events = new JobEventBus(eventsSupabase([stored(1, 'started'), stored(2, 'progress'), stored(3, 'completed')]), silentLogger);
+
+  assert.deepEqual((await events.replay('job-1', 1)).map(event => event.id), [2, 3]);
+  assert.deepEqual(await events.replay('job-1', 3), []);
+});
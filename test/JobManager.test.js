@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobManager = require('../src/managers/JobManager');
+const { ConflictError } = require('../src/utils/errors');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+const operatorAuth = { type: 'user', isService: false, tourOperatorId: 'op-1' };
+
+function jobManager(supabase) {
+  const events = { published: [], publish: async (jobId, type) => events.published.push(type) };
+  const jobQueue = {
+    enqueued: [],
+    removed: [],
+    enqueue: async (jobId) => jobQueue.enqueued.push(jobId),
+    remove: async (jobId) => jobQueue.removed.push(jobId)
+  };
+  return { manager: new JobManager(supabase, silentLogger, jobQueue, events), events, jobQueue };
+}
+
+test('cancelJob only cancels a job that is still running', async () => {
+  const supabase = createSupabaseStub({
+    review_sync_jobs: (query) => query.has('update')
+      ? { data: [{ id: 'job-1' }] }
+      : { data: { tour_operator_id: 'op-1', status: 'processing' } }
+  });
+  const { manager, events, jobQueue } = jobManager(supabase);
+
+  await manager.cancelJob('job-1', operatorAuth);
+
+  const [update] = supabase.queriesTo('review_sync_jobs', 'update');
+  assert.equal(update.arg('update').status, 'cancelled');
+  assert.deepEqual(update.arg('in', 1), ['running', 'processing']);
+  assert.deepEqual(jobQueue.removed, ['job-1']);
+  assert.deepEqual(events.published, ['cancelled']);
+});
+
+test('cancelJob reports a conflict when the job finished after it was read', async () => {
+  const supabase = createSupabaseStub({
+    review_sync_jobs: (query) => query.has('update')
+      ? { data: [] }
+      : { data: { tour_operator_id: 'op-1', status: 'processing' } }
+  });
+  const { manager, events, jobQueue } = jobManager(supabase);
+
+  await assert.rejects(manager.cancelJob('job-1', operatorAuth), ConflictError);
+  assert.deepEqual(jobQueue.removed, []);
+  assert.deepEqual(events.published, []);
+});
+
+test('a fresh retry clears every count from the failed run', async () => {
+  const supabase = createSupabaseStub({
+    review_sync_jobs: (query) => query.has('update')
+      ? { data: [{ id: 'job-1' }] }
+      : { data: { id: 'job-1', tour_operator_id: 'op-1', status: 'failed', platform: 'google', provider: null, imported_count: 40, rejected_count: 3, dead_letter_count: 2, last_cursor: '{}' } }
+  });
+  const { manager, jobQueue } = jobManager(supabase);
+
+  await manager.retryJob('job-1', operatorAuth, { mode: 'fresh' });
+
+  const update = supabase.queriesTo('review_sync_jobs', 'update')[0].arg('update');
+  assert.equal(update.status, 'running');
+  assert.equal(update.phase, 'queued');
+  assert.equal(update.last_cursor, null);
+  assert.deepEqual(jobQueue.enqueued, ['job-1']);
+  for (const field of ['imported_count', 'rejected_count', 'dead_letter_count']) {
+    assert.equal(update[field], 0, field);
+  }
+  for (const field of ['total_available', 'new_count', 'updated_count', 'unchanged_count', 'rating_changed_count', 'new_response_count', 'rolling_average', 'duplicates_collapsed']) {
+    assert.equal(update[field], null, field);
+  }
+});
+
+test('a resumed retry keeps the counts its checkpoint continues from', async () => {
+  const supabase = createSupabaseStub({
+    review_sync_jobs: (query) => query.has('update')
+      ? { data: [{ id: 'job-1' }] }
+      : { data: { id: 'job-1', tour_operator_id: 'op-1', status: 'failed', platform: 'google', imported_count: 40, last_cursor: '{}' } }
+  });
+  const { manager, jobQueue } = jobManager(supabase);
+
+  await manager.retryJob('job-1', operatorAuth, { mode: 'resume' });
+
+  const update = supabase.queriesTo('review_sync_jobs', 'update')[0].arg('update');
+  assert.equal(update.status, 'running');
+  assert.ok(!('imported_count' in update));
+  assert.ok(!('last_cursor' in update));
+});
+
+test('only the retry that moves a failed job on enqueues it', async () => {
+  for (const [answer, rejection] of [[{ data: [] }, ConflictError], [{ error: { message: 'connection reset' } }, /Failed to retry job: connection reset/]]) {
+    const supabase = createSupabaseStub({
+      review_sync_jobs: (query) => query.has('update')
+        ? answer
+        : { data: { id: 'job-1', tour_operator_id: 'op-1', status: 'failed', platform: 'google', last_cursor: '{}' } }
+    });
+    const { manager, events, jobQueue } = jobManager(supabase);
+
+    await assert.rejects(manager.retryJob('job-1', operatorAuth, { mode: 'resume' }), rejection);
+
+    const [update] = supabase.queriesTo('review_sync_jobs', 'update');
+    assert.deepEqual(update.calls.filter(([method]) => method === 'eq').map(call => call.slice(1)), [['id', 'job-1'], ['status', 'failed']]);
+    assert.deepEqual(jobQueue.enqueued, []);
+    assert.deepEqual(events.published, []);
+  }
+});
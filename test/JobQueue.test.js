@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('../src/queue/JobQueue');
+const { silentLogger, waitFor } = require('./helpers');
+
+function memoryQueue(options = {}) {
+  return new JobQueue(silentLogger, { backend: 'memory', maxConcurrentJobs: 1, maxRetries: 3, retryDelay: 5, ...options });
+}
+
+test('runs enqueued jobs through the processor', async (t) => {
+  const queue = memoryQueue();
+  t.after(() => queue.close());
+
+  const processed = [];
+  queue.startWorkers({ processJob: async (jobId, options) => processed.push({ jobId, ...options }) });
+
+  await queue.enqueue('job-1', { platform: 'google' });
+
+  await waitFor(() => processed.length === 1);
+  assert.deepEqual(processed, [{ jobId: 'job-1', isFinalAttempt: false }]);
+  assert.equal((await queue.getCounts()).completed, 1);
+});
+
+test('adding a job id that is already queued is a no-op', async (t) => {
+  const queue = memoryQueue();
+  t.after(() => queue.close());
+
+  const first = await queue.enqueue('job-1');
+  const second = await queue.enqueue('job-1');
+
+  assert.equal(second, first);
+  assert.equal((await queue.getCounts()).waiting, 1);
+});
+
+test('retries failed jobs with backoff and flags the final attempt', async (t) => {
+  const queue = memoryQueue();
+  t.after(() => queue.close());
+
+  const attempts = [];
+  queue.startWorkers({
+    processJob: async (jobId, { isFinalAttempt }) => {
+      attempts.push(isFinalAttempt);
+      if (attempts.length < 3) throw new Error('DataForSEO timeout');
+    }
+  });
+
+  await queue.enqueue('job-1');
+
+  await waitFor(async () => (await queue.getCounts()).completed === 1);
+  assert.deepEqual(attempts, [false, false, true]);
+  assert.equal((await queue.getCounts()).failed, 0);
+});
+
+test('gives up after the last attempt', async (t) => {
+  const queue = memoryQueue({ maxRetries: 2 });
+  t.after(() => queue.close());
+
+  let calls = 0;
+  queue.startWorkers({
+    processJob: async () => {
+      calls++;
+      throw new Error('still failing');
+    }
+  });
+
+  await queue.enqueue('job-1');
+
+  await waitFor(async () => (await queue.getCounts()).failed === 1);
+  assert.equal(calls, 2);
+  assert.equal(await queue.queue.getJob('job-1'), null);
+});
+
+test('removing a waiting job keeps it from running', async (t) => {
+  const queue = memoryQueue();
+  t.after(() => queue.close());
+
+  await queue.enqueue('job-1');
+  await queue.remove('job-1');
+
+  const processed = [];
+  queue.startWorkers({ processJob: async (jobId) => processed.push(jobId) });
+  await queue.enqueue('job-2');
+
+  await waitFor(() => processed.length === 1);
+  assert.deepEqual(processed, ['job-2']);
+});
+
+test('removing a job waiting for its retry cancels the retry', async (t) => {
+  const queue = memoryQueue({ retryDelay: 50 });
+  t.after(() => queue.close());
+
+  let calls = 0;
+  queue.startWorkers({
+    processJob: async () => {
+      calls++;
+      throw new Error('transient');
+    }
+  });
+
+  await queue.enqueue('job-1');
+  await waitFor(async () => (await queue.getCounts()).delayed === 1);
+
+  await queue.remove('job-1');
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(calls, 1);
+  assert.deepEqual(await queue.getCounts(), { waiting: 0, active: 0, delayed: 0, completed: 0, failed: 0 });
+});
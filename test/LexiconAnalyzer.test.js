@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LexiconAnalyzer = require('../src/analysis/LexiconAnalyzer');
+
+const analyzer = new LexiconAnalyzer();
+
+test('topics in one sentence take the sentiment of their own clause', () => {
+  const result = analyzer.analyzeText('the guide was great, pickup was late');
+
+  assert.ok(result.topic_sentiment.guide > 0, JSON.stringify(result.topic_sentiment));
+  assert.ok(result.topic_sentiment.pickup < 0, JSON.stringify(result.topic_sentiment));
+});
+
+test('a contrastive word starts a new clause', () => {
+  for (const text of ['Our guide was wonderful but the pickup was delayed', 'Although the pickup was delayed, our guide was wonderful']) {
+    const result = analyzer.analyzeText(text);
+
+    assert.ok(result.topic_sentiment.guide > 0, text);
+    assert.ok(result.topic_sentiment.pickup < 0, text);
+  }
+});
+
+test('negation still applies within a clause', () => {
+  const result = analyzer.analyzeText('The guide was not helpful.');
+
+  assert.equal(result.sentiment_label, 'negative');
+  assert.ok(result.topic_sentiment.guide < 0);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const NotificationDispatcher = require('../src/notifications/NotificationDispatcher');
+const EmailChannel = require('../src/notifications/EmailChannel');
+const SlackChannel = require('../src/notifications/SlackChannel');
+const { ValidationError } = require('../src/utils/errors');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+const job = { id: 'job-1', tour_operator_id: 'op-1', platform: 'google', source_business_name: 'Acme Tours' };
+
+// Accepts any mail over plain SMTP and keeps each message's DATA
+async function smtpSink(t) {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+
+    socket.setEncoding('utf8');
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { messages, port: server.address().port };
+}
+
+// A Slack incoming webhook stand-in answering with `status`
+async function slackStub(t, status = 200) {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      posts.push(JSON.parse(body));
+      res.statusCode = status;
+      res.end(status === 200 ? 'ok' : 'error');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { posts, url: `http://127.0.0.1:${server.address().port}/services/T0/B0/x` };
+}
+
+function allowPrivateUrls(t) {
+  process.env.ALLOW_PRIVATE_URLS = 'true';
+  t.after(() => { delete process.env.ALLOW_PRIVATE_URLS; });
+}
+
+function preferences(overrides = {}) {
+  return { tour_operator_id: 'op-1', email: null, slack_webhook_url: null, events: {}, quiet_hours: null, timezone: 'UTC', delivery: 'immediate', digest_time: '08:00', ...overrides };
+}
+
+function dispatcher(supabase, smtpPort) {
+  const channels = [
+    new EmailChannel(silentLogger, { transport: { host: '127.0.0.1', port: smtpPort || 1, secure: false, ignoreTLS: true } }),
+    new SlackChannel(silentLogger)
+  ];
+  return new NotificationDispatcher(supabase, silentLogger, null, channels);
+}
+
+test('an immediate notification goes out by email and to Slack', async (t) => {
+  allowPrivateUrls(t);
+  const smtp = await smtpSink(t);
+  const slack = await slackStub(t);
+  const supabase = createSupabaseStub({
+    notification_preferences: () => ({ data: preferences({ email: 'ops@example.com', slack_webhook_url: slack.url, events: { failed: ['email', 'slack'] } }) })
+  });
+
+  await dispatcher(supabase, smtp.port).notify(job, 'failed', 'Import failed: provider timed out');
+
+  assert.equal(smtp.messages.length, 1);
+  assert.match(smtp.messages[0], /^Subject: Review import failed - Acme Tours$/m);
+  assert.match(smtp.messages[0], /^To: ops@example\.com$/m);
+  assert.match(smtp.messages[0], /Import failed: provider timed out/);
+
+  assert.deepEqual(slack.posts, [{ text: '*Review import failed - Acme Tours*\nImport failed: provider timed out' }]);
+  assert.equal(supabase.queriesTo('notification_outbox').length, 0);
+});
+
+test('a send that fails is queued in the outbox for a retry', async (t) => {
+  allowPrivateUrls(t);
+  const slack = await slackStub(t, 500);
+  const supabase = createSupabaseStub({
+    notification_preferences: () => ({ data: preferences({ slack_webhook_url: slack.url, events: { completed: ['slack'] } }) })
+  });
+
+  await dispatcher(supabase).notify(job, 'completed', 'Imported 40 reviews');
+
+  const [queued] = supabase.queriesTo('notification_outbox', 'insert');
+  assert.equal(queued.arg('insert').channel, 'slack');
+  assert.equal(queued.arg('insert').status, 'pending');
+  assert.equal(queued.arg('insert').attempts, 1);
+});
+
+test('the outbox puts back rows whose claim expired before sending', async (t) => {
+  allowPrivateUrls(t);
+  const smtp = await smtpSink(t);
+  const outbox = [
+    { id: 'n1', tour_operator_id: 'op-1', channel: 'email', attempts: 0, notification: { type: 'completed', message: 'Imported 40 reviews', business_name: 'Acme Tours', created_at: '2026-10-19T08:00:00.000Z' } },
+    { id: 'n2', tour_operator_id: 'op-1', channel: 'email', attempts: 0, notification: { type: 'failed', message: 'Import failed', business_name: 'Acme Tours', created_at: '2026-10-19T09:00:00.000Z' } }
+  ];
+  const supabase = createSupabaseStub({
+    notification_preferences: () => ({ data: preferences({ email: 'ops@example.com' }) }),
+    notification_outbox: (query) => {
+      const update = query.arg('update');
+      if (update?.status === 'pending') return { data: [{ id: 'n1' }] };
+      if (update?.status === 'sending') return { data: outbox };
+      return query.has('update') ? {} : { data: outbox };
+    }
+  });
+  const before = Date.now();
+
+  const sent = await dispatcher(supabase, smtp.port).flushOutbox();
+
+  const [reclaim, claim, done] = supabase.queriesTo('notification_outbox', 'update');
+  assert.deepEqual(reclaim.arg('update'), { status: 'pending', claimed_at: null });
+  assert.equal(reclaim.arg('eq'), 'status');
+  assert.equal(reclaim.arg('eq', 1), 'sending');
+  const expiredBefore = reclaim.arg('or').match(/^claimed_at\.is\.null,claimed_at\.lt\.(.+)$/)[1];
+  assert.ok(new Date(expiredBefore) < new Date(before - 10 * 60 * 1000));
+
+  assert.equal(claim.arg('update').status, 'sending');
+  assert.ok(new Date(claim.arg('update').claimed_at) >= new Date(before));
+  assert.deepEqual(claim.arg('in', 1), ['n1', 'n2']);
+
+  assert.equal(done.arg('update').status, 'sent');
+  assert.equal(done.arg('update').claimed_at, null);
+  assert.equal(sent, 2);
+  assert.equal(smtp.messages.length, 1);
+  assert.match(smtp.messages[0], /^Subject: 2 review import updates$/m);
+});
+
+test('rows another worker claimed first are left to it', async () => {
+  const supabase = createSupabaseStub({
+    notification_outbox: (query) => query.has('update') ? { data: [] } : { data: [{ id: 'n1', tour_operator_id: 'op-1', channel: 'email' }] }
+  });
+
+  const sent = await dispatcher(supabase).flushOutbox();
+
+  assert.equal(sent, 0);
+  assert.equal(supabase.queriesTo('notification_preferences').length, 0);
+});
+
+test('Slack webhook urls must be https on a public host', async () => {
+  const supabase = createSupabaseStub({
+    notification_preferences: (query) => query.has('upsert') ? { data: query.arg('upsert') } : { data: null }
+  });
+  const notifications = dispatcher(supabase);
+
+  for (const url of ['https://127.0.0.1/services/x', 'https://169.254.169.254/latest', 'https://10.1.2.3/hook', 'http://8.8.8.8/hook']) {
+    await assert.rejects(notifications.updatePreferences('op-1', { slack_webhook_url: url }), ValidationError, url);
+  }
+
+  const saved = await notifications.updatePreferences('op-1', { slack_webhook_url: 'https://8.8.8.8/services/x' });
+  assert.equal(saved.slack_webhook_url, 'https://8.8.8.8/services/x');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReviewDeduplicator = require('../src/processors/ReviewDeduplicator');
+const { fingerprintReview, fingerprintId } = require('../src/utils/reviewFingerprint');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+const legacyId = (n) => `google_job-${n}_0_170000000000${n}`;
+
+// Answers external_reviews queries from `rows`: the backfill, key column and merge field reads
+function reviewsHandler(rows, { updateError = null } = {}) {
+  return (query) => {
+    if (query.has('update')) return { error: updateError };
+    if (query.has('delete')) return {};
+    if (query.has('is')) return { data: rows.filter(row => !row.content_fingerprint) };
+    if (query.arg('in') === 'content_fingerprint') {
+      return { data: rows.filter(row => query.arg('in', 1).includes(row.content_fingerprint)) };
+    }
+    return { data: rows.filter(row => query.arg('in', 1).includes(row.id)) };
+  };
+}
+
+function duplicateFingerprints(rows) {
+  const counts = new Map();
+  for (const row of rows) counts.set(row.content_fingerprint, (counts.get(row.content_fingerprint) || 0) + 1);
+  return () => ({ data: [...counts].filter(([, count]) => count > 1).map(([content_fingerprint]) => ({ content_fingerprint })) });
+}
+
+test('fingerprints ignore case, spacing, accents and the time of day', () => {
+  const review = { author_name: 'José  Díaz', posted_at: '2026-03-01T08:15:00Z', rating: 5, text: 'Great tour!\nLoved it' };
+  const again = { author_name: 'jose diaz', posted_at: '2026-03-01T19:40:00Z', rating: '5', text: '  great tour! loved   it ' };
+
+  assert.equal(fingerprintReview(review), fingerprintReview(again));
+  assert.notEqual(fingerprintReview(review), fingerprintReview({ ...review, text: 'Great tour! Hated it' }));
+  assert.notEqual(fingerprintReview(review), fingerprintReview({ ...review, rating: 4 }));
+  assert.equal(fingerprintId('google', fingerprintReview(review)), fingerprintId('google', fingerprintReview(again)));
+});
+
+test('generated-id duplicates collapse into the provider row, or the oldest with the stable id', async () => {
+  const rows = [
+    { id: 1, external_id: 'ChIJ-review-1', content_fingerprint: 'fp-a', created_at: '2026-02-01', text: null },
+    { id: 2, external_id: legacyId(1), content_fingerprint: 'fp-a', created_at: '2026-01-01', text: 'Lovely day', review_url: 'https://example.com/2' },
+    { id: 3, external_id: legacyId(2), content_fingerprint: 'fp-b', created_at: '2026-01-05', text: 'Good' },
+    { id: 4, external_id: legacyId(3), content_fingerprint: 'fp-b', created_at: '2026-01-02', text: null, response_text: 'Thank you' },
+    { id: 5, external_id: 'ChIJ-review-5', content_fingerprint: 'fp-c', created_at: '2026-01-01' },
+    { id: 6, external_id: 'ChIJ-review-6', content_fingerprint: 'fp-c', created_at: '2026-01-01' }
+  ];
+  const supabase = createSupabaseStub(
+    { external_reviews: reviewsHandler(rows) },
+    { review_duplicate_fingerprints: duplicateFingerprints(rows) }
+  );
+
+  const result = await new ReviewDeduplicator(supabase, silentLogger).deduplicate('op-1', 'google');
+
+  assert.deepEqual(result, { scanned: 6, groups_merged: 2, collapsed: 2 });
+  assert.deepEqual(supabase.rpcs[0].args, { p_tour_operator_id: 'op-1', p_source: 'google', p_after: null, p_limit: 200 });
+
+  const updates = supabase.queriesTo('external_reviews', 'update');
+  const deletes = supabase.queriesTo('external_reviews', 'delete');
+  assert.deepEqual(updates.map(query => [query.arg('eq', 1), query.arg('update')]), [
+    [1, { content_fingerprint: 'fp-a', text: 'Lovely day', review_url: 'https://example.com/2' }],
+    [4, { content_fingerprint: 'fp-b', external_id: fingerprintId('google', 'fp-b'), text: 'Good' }]
+  ]);
+  assert.deepEqual(deletes.map(query => query.arg('in', 1)), [[2], [3]]);
+  // Each survivor is updated before its duplicates go
+  assert.ok(supabase.queries.indexOf(updates[0]) < supabase.queries.indexOf(deletes[0]));
+  assert.ok(supabase.queries.indexOf(updates[1]) < supabase.queries.indexOf(deletes[1]));
+});
+
+test('a failed survivor update keeps the duplicates', async () => {
+  const rows = [
+    { id: 1, external_id: legacyId(1), content_fingerprint: 'fp-a', created_at: '2026-01-01', text: null },
+    { id: 2, external_id: legacyId(2), content_fingerprint: 'fp-a', created_at: '2026-01-02', text: 'Lovely day' }
+  ];
+  const supabase = createSupabaseStub(
+    { external_reviews: reviewsHandler(rows, { updateError: { message: 'timeout' } }) },
+    { review_duplicate_fingerprints: duplicateFingerprints(rows) }
+  );
+
+  await assert.rejects(new ReviewDeduplicator(supabase, silentLogger).deduplicate('op-1', 'google'), /Failed to update merged review 1/);
+  assert.equal(supabase.queriesTo('external_reviews', 'delete').length, 0);
+});
+
+test('reviews stored without a fingerprint get one before grouping', async () => {
+  const legacy = { id: 7, external_id: legacyId(7), author_name: 'Ann', rating: 5, posted_at: '2026-01-01', text: 'Great' };
+  const supabase = createSupabaseStub({ external_reviews: reviewsHandler([legacy]) });
+
+  await new ReviewDeduplicator(supabase, silentLogger).deduplicate('op-1', 'google');
+
+  const [backfill] = supabase.queriesTo('external_reviews', 'update');
+  assert.deepEqual(backfill.arg('update'), { content_fingerprint: fingerprintReview(legacy) });
+  assert.deepEqual(backfill.arg('in', 1), [7]);
+  assert.equal(supabase.rpcs.length, 1);
+});
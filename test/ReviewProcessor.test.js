@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReviewProcessor = require('../src/processors/ReviewProcessor');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+const job = { id: 'job-1', tour_operator_id: 'op-1', platform: 'google', sync_mode: 'full' };
+
+const transform = (item) => ({
+  tour_operator_id: 'op-1',
+  source: 'google',
+  external_id: item.id,
+  author_name: 'Guest',
+  rating: 1,
+  text: 'Terrible tour',
+  posted_at: '2026-01-01T00:00:00.000Z',
+  content_fingerprint: `fp-${item.id}`
+});
+
+const items = (...ids) => ({ pages: () => [{ items: ids.map(id => ({ id })) }], total: ids.length });
+
+// A processor whose collaborators outside the ingestion path are stubbed out
+function reviewProcessor(supabase) {
+  const events = { published: [], publish: async (jobId, type, payload) => events.published.push({ type, ...payload }) };
+  const processor = new ReviewProcessor(supabase, silentLogger, {}, events, {});
+  processor.config.batchSize = 2;
+  processor.sleep = async () => {};
+  processor.writer.sleep = async () => {};
+  processor.deduplicator = { deduplicate: async () => ({ collapsed: 0 }) };
+  processor.alerts = { raiseNegativeReviews: async () => {}, checkRatingDrop: async () => ({ rollingAverage: null }) };
+  processor.enricher = { enriched: [], enrich: async (records) => processor.enricher.enriched.push(...records.map(record => record.external_id)) };
+  return processor;
+}
+
+const finalStatus = (supabase) => supabase.queriesTo('review_sync_jobs', 'update').at(-1).arg('update');
+
+test('a batch that fails before its write is dead-lettered instead of dropped', async () => {
+  let classifyCalls = 0;
+  const supabase = createSupabaseStub({
+    external_reviews: (query) => {
+      if (query.has('upsert') || query.has('order')) return { data: [] };
+      // The first batch can't be compared with stored reviews
+      return ++classifyCalls === 1 ? { error: { message: 'statement timeout' } } : { data: [] };
+    }
+  });
+  const processor = reviewProcessor(supabase);
+
+  const result = await processor.importReviews(job, items('r1', 'r2', 'r3', 'r4'), {}, { transform });
+
+  const [deadLetters] = supabase.queriesTo('review_dead_letters', 'insert');
+  assert.deepEqual(deadLetters.arg('insert').map(row => row.external_id), ['r1', 'r2']);
+  assert.match(deadLetters.arg('insert')[0].error, /statement timeout/);
+
+  assert.equal(result.reviews_processed, 2);
+  assert.equal(result.dead_letter_count, 2);
+  assert.equal(finalStatus(supabase).status, 'partially_succeeded');
+  assert.deepEqual(processor.enricher.enriched, ['r3', 'r4']);
+});
+
+test('only reviews that were written are enriched', async () => {
+  const supabase = createSupabaseStub({
+    external_reviews: (query) => {
+      const rows = query.arg('upsert');
+      if (rows?.some(row => row.external_id === 'r2')) return { error: { message: 'value too long' } };
+      return { data: [] };
+    }
+  });
+  const processor = reviewProcessor(supabase);
+
+  const result = await processor.importReviews(job, items('r1', 'r2'), {}, { transform });
+
+  assert.equal(result.dead_letter_count, 1);
+  assert.deepEqual(processor.enricher.enriched, ['r1']);
+});
+
+test('a batch that fails before it is normalized fails the import at the last checkpoint', async () => {
+  const supabase = createSupabaseStub({ external_reviews: () => ({ data: [] }) });
+  const processor = reviewProcessor(supabase);
+  processor.normalizeReview = () => {
+    throw new Error('schema unavailable');
+  };
+
+  await assert.rejects(processor.importReviews(job, items('r1', 'r2'), {}, { transform }), /schema unavailable/);
+  assert.equal(supabase.queriesTo('external_reviews', 'upsert').length, 0);
+});
+
+test('a resumed import skips the reviews its checkpoint committed', async () => {
+  const supabase = createSupabaseStub({ external_reviews: () => ({ data: [] }) });
+  const processor = reviewProcessor(supabase);
+  const cursor = {};
+
+  const normalizeReview = processor.normalizeReview.bind(processor);
+  processor.normalizeReview = (review, ...args) => {
+    if (review.id === 'r3') throw new Error('worker stopped');
+    return normalizeReview(review, ...args);
+  };
+  await assert.rejects(processor.importReviews(job, items('r1', 'r2', 'r3', 'r4'), cursor, { transform }));
+  assert.equal(cursor.committed_offset, 2);
+
+  processor.normalizeReview = normalizeReview;
+  const result = await processor.importReviews(job, items('r1', 'r2', 'r3', 'r4'), cursor, { transform });
+
+  const upserted = supabase.queriesTo('external_reviews', 'upsert').map(query => query.arg('upsert').map(row => row.external_id));
+  assert.deepEqual(upserted, [['r1', 'r2'], ['r3', 'r4']]);
+  assert.equal(result.reviews_processed, 4);
+});
+
+test('a resumed import starts over when the results no longer match its checkpoint', async () => {
+  const supabase = createSupabaseStub({ external_reviews: () => ({ data: [] }) });
+  const processor = reviewProcessor(supabase);
+  const cursor = {};
+
+  await processor.importReviews(job, items('r1', 'r2', 'r3'), cursor, { transform });
+  assert.equal(cursor.committed_offset, 3);
+
+  let opened = 0;
+  const changed = items('r0', 'r1', 'r2', 'r3');
+  const result = await processor.importReviews(job, { ...changed, pages: () => (opened++, changed.pages()) }, cursor, { transform });
+
+  assert.equal(opened, 2);
+  assert.equal(result.reviews_processed, 4);
+  assert.ok(processor.events.published.some(event => /Results changed/.test(event.message)));
+});
+
+test('dead-lettered reviews are neither counted as new nor alerted on', async () => {
+  const supabase = createSupabaseStub({
+    external_reviews: (query) => {
+      // Reviews were stored before this job, so new ones raise alerts
+      if (query.has('order')) return { data: [{ posted_at: '2025-12-01T00:00:00.000Z' }] };
+      const rows = query.arg('upsert');
+      if (rows?.some(row => row.external_id === 'r2')) return { error: { message: 'value too long' } };
+      return { data: [] };
+    }
+  });
+  const processor = reviewProcessor(supabase);
+  const alerted = [];
+  processor.alerts.raiseNegativeReviews = async (job, reviews) => alerted.push(...reviews.map(review => review.external_id));
+
+  const result = await processor.importReviews(job, items('r1', 'r2'), {}, { transform });
+
+  assert.equal(result.dead_letter_count, 1);
+  assert.deepEqual(alerted, ['r1']);
+  assert.equal(finalStatus(supabase).new_count, 1);
+});
+
+test('reviews that fail the schema are logged as rejected with their reasons and not written', async () => {
+  const supabase = createSupabaseStub({ external_reviews: () => ({ data: [] }) });
+  const processor = reviewProcessor(supabase);
+  const raw = [
+    { id: 'r1' },
+    { id: 'r2', rating: 7 },
+    { id: 'r3', posted_at: null },
+    { id: 'r4', broken: true }
+  ];
+  const strict = (item) => {
+    if (item.broken) throw new Error('no review body');
+    return { ...transform(item), ...('rating' in item && { rating: item.rating }), ...('posted_at' in item && { posted_at: item.posted_at }) };
+  };
+
+  const result = await processor.importReviews(job, { pages: () => [{ items: raw }], total: raw.length }, {}, { transform: strict });
+
+  const rejected = supabase.queriesTo('rejected_reviews', 'insert').flatMap(query => query.arg('insert'));
+  assert.deepEqual(rejected.map(row => [row.external_id, row.reasons]), [
+    ['r2', ['rating: 7 is above maximum 5']],
+    ['r3', ['posted_at: required']],
+    [null, ['transform failed: no review body']]
+  ]);
+  assert.deepEqual(rejected.map(row => row.raw_payload), raw.slice(1));
+  assert.ok(rejected.every(row => row.job_id === 'job-1' && row.source === 'google'));
+
+  const upserted = supabase.queriesTo('external_reviews', 'upsert').flatMap(query => query.arg('upsert').map(row => row.external_id));
+  assert.deepEqual(upserted, ['r1']);
+  assert.equal(result.reviews_processed, 1);
+  assert.equal(result.rejected_count, 3);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduleManager = require('../src/managers/ScheduleManager');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+const now = new Date('2026-10-19T08:00:30.000Z');
+const schedule = {
+  id: 'schedule-1',
+  tour_operator_id: 'op-1',
+  platform: 'google',
+  source_business_id: 'ChIJ123',
+  source_business_name: 'Acme Tours',
+  frequency: 'daily',
+  time_of_day: '08:00',
+  timezone: 'UTC',
+  mode: 'incremental',
+  full_history: false,
+  enabled: true,
+  next_run_at: '2026-10-19T08:00:00.000Z'
+};
+
+function scheduleManager(supabase) {
+  const events = { published: [], publish: async (jobId, type, payload) => events.published.push({ jobId, type, ...payload }) };
+  const jobQueue = { enqueued: [], enqueue: async (jobId) => jobQueue.enqueued.push(jobId) };
+  const providers = { usesDataForSEO: () => false };
+  return { manager: new ScheduleManager(supabase, silentLogger, jobQueue, events, providers), events, jobQueue };
+}
+
+// Answers the claim with `claimed` rows and the running job check with `activeJobs`
+function schedulesSupabase({ claimed = [{ id: 'schedule-1' }], activeJobs = [] } = {}) {
+  return createSupabaseStub({
+    review_sync_schedules: (query) => query.has('select') ? { data: claimed } : {},
+    review_sync_jobs: (query) => query.has('insert') ? { data: { id: 'job-9' } } : { data: activeJobs }
+  });
+}
+
+test('a due schedule is claimed by moving next_run_at on from the value it was read with', async () => {
+  const supabase = schedulesSupabase();
+  const { manager, events, jobQueue } = scheduleManager(supabase);
+
+  const result = await manager.runSchedule(schedule, now);
+
+  const [claim] = supabase.queriesTo('review_sync_schedules', 'update');
+  assert.deepEqual(claim.calls.filter(([method]) => method === 'eq').map(call => call.slice(1)), [['id', 'schedule-1'], ['next_run_at', '2026-10-19T08:00:00.000Z']]);
+  assert.equal(claim.arg('update').next_run_at, '2026-10-20T08:00:00.000Z');
+  assert.equal(claim.arg('update').last_run_at, now.toISOString());
+
+  assert.deepEqual(result, { schedule_id: 'schedule-1', status: 'started', job_id: 'job-9' });
+  assert.equal(supabase.queriesTo('review_sync_jobs', 'insert')[0].arg('insert').schedule_id, 'schedule-1');
+  assert.deepEqual(jobQueue.enqueued, ['job-9']);
+  assert.deepEqual(events.published.map(event => [event.jobId, event.type, event.schedule_id]), [['job-9', 'started', 'schedule-1']]);
+});
+
+test('a schedule another instance claimed first is left to it', async () => {
+  const supabase = schedulesSupabase({ claimed: [] });
+  const { manager, events, jobQueue } = scheduleManager(supabase);
+
+  const result = await manager.runSchedule(schedule, now);
+
+  assert.deepEqual(result, { schedule_id: 'schedule-1', status: 'claimed_elsewhere' });
+  assert.equal(supabase.queriesTo('review_sync_jobs').length, 0);
+  assert.equal(supabase.queriesTo('review_sync_schedules', 'update').length, 1);
+  assert.deepEqual(jobQueue.enqueued, []);
+  assert.deepEqual(events.published, []);
+});
+
+test('a run is skipped while the previous sync of the source is still going', async () => {
+  const supabase = schedulesSupabase({ activeJobs: [{ id: 'job-8' }] });
+  const { manager, events, jobQueue } = scheduleManager(supabase);
+
+  const result = await manager.runSchedule(schedule, now);
+
+  assert.deepEqual(result, { schedule_id: 'schedule-1', status: 'skipped', job_id: 'job-8' });
+  const recorded = supabase.queriesTo('review_sync_schedules', 'update').at(-1).arg('update');
+  assert.deepEqual(recorded, { last_run_status: 'skipped', last_job_id: 'job-8' });
+  assert.equal(supabase.queriesTo('review_sync_jobs', 'insert').length, 0);
+  assert.deepEqual(jobQueue.enqueued, []);
+  assert.deepEqual(events.published, []);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UploadManager = require('../src/managers/UploadManager');
+const ReviewProcessor = require('../src/processors/ReviewProcessor');
+const { ValidationError } = require('../src/utils/errors');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+function uploadManager(supabase) {
+  const events = { published: [], publish: async (jobId, type) => events.published.push(type) };
+  const processor = new ReviewProcessor(supabase, silentLogger, {}, events, {});
+  processor.uploads = [];
+  processor.processUpload = async (job, rows, transform) => processor.uploads.push({ job, rows: rows.map(transform) });
+  return { uploads: new UploadManager(supabase, silentLogger, processor), processor };
+}
+
+const csv = [
+  'Review ID,Guest,Stars,Comments,Date',
+  'b-1,Ann,5,"Great tour, thanks",2026-09-01',
+  'b-2,Bob,7,Too long,2026-09-02',
+  'b-3,Cat,4,,not a date'
+].join('\n');
+
+const columns = JSON.stringify({ external_id: 'Review ID', author_name: 'Guest', rating: 'Stars', text: 'Comments', posted_at: 'Date' });
+
+test('a dry run maps and validates every row and writes nothing', async () => {
+  const supabase = createSupabaseStub();
+  const { uploads, processor } = uploadManager(supabase);
+
+  const result = await uploads.upload('op-1', csv, { contentType: 'text/csv', columns, dryRun: true });
+
+  assert.equal(result.dry_run, true);
+  assert.deepEqual([result.total_rows, result.valid_count, result.invalid_count], [3, 1, 2]);
+  assert.equal(result.preview[0].external_id, 'b-1');
+  assert.equal(result.preview[0].author_name, 'Ann');
+  assert.equal(result.preview[0].rating, 5);
+  assert.equal(result.preview[0].text, 'Great tour, thanks');
+  assert.equal(result.preview[0].source, 'upload');
+  assert.deepEqual(result.errors.map(error => [error.row, error.external_id]), [[2, 'b-2'], [3, 'b-3']]);
+  assert.ok(result.errors[0].errors.some(message => message.startsWith('rating')));
+  assert.ok(result.errors[1].errors.some(message => message.startsWith('posted_at')));
+
+  assert.equal(supabase.queries.length, 0);
+  assert.deepEqual(processor.uploads, []);
+  assert.deepEqual(processor.events.published, []);
+});
+
+test('NDJSON and JSON uploads map the default column names', async () => {
+  const { uploads } = uploadManager(createSupabaseStub());
+  const rows = [{ review_id: 'n-1', author: 'Dee', stars: 4, review: 'Lovely', date: '2026-08-01' }];
+
+  const ndjson = await uploads.upload('op-1', rows.map(row => JSON.stringify(row)).join('\n'), { contentType: 'application/x-ndjson', dryRun: true });
+  const json = await uploads.upload('op-1', { reviews: rows }, { contentType: 'application/json', dryRun: true });
+
+  for (const result of [ndjson, json]) {
+    assert.equal(result.valid_count, 1);
+    assert.deepEqual([result.preview[0].external_id, result.preview[0].author_name, result.preview[0].rating, result.preview[0].text], ['n-1', 'Dee', 4, 'Lovely']);
+  }
+});
+
+test('column mappings and bodies that cannot be used are rejected', async () => {
+  const { uploads } = uploadManager(createSupabaseStub());
+
+  for (const [body, options, message] of [
+    [csv, { columns: '{"stars": "Stars"}' }, /Unknown review field in columns: stars/],
+    [csv, { columns: { rating: 5 } }, /columns\.rating must be a column name/],
+    [csv, { columns: 'rating=Stars' }, /columns must be a JSON object/],
+    [csv, { columns: '["Stars"]' }, /columns must map review fields/],
+    [csv, { format: 'xlsx' }, /Invalid upload format: xlsx/],
+    ['Review ID,Guest\n', {}, /Upload contains no reviews/],
+    ['{"id": 1}\nnot json', { format: 'ndjson' }, /Invalid JSON on line 2/],
+    [{ rows: [] }, { format: 'json' }, /array or an object with a reviews array/]
+  ]) {
+    await assert.rejects(uploads.upload('op-1', body, { dryRun: true, ...options }), error => error instanceof ValidationError && message.test(error.message), String(message));
+  }
+});
+
+test('an upload creates a job and imports the mapped rows', async () => {
+  const supabase = createSupabaseStub({ review_sync_jobs: (query) => ({ data: { id: 'job-5', ...query.arg('insert') } }) });
+  const { uploads, processor } = uploadManager(supabase);
+
+  const result = await uploads.upload('op-1', csv, { contentType: 'text/csv', columns, sourceBusinessName: 'Acme Tours' });
+
+  assert.deepEqual(result, { job_id: 'job-5', status: 'running', total_rows: 3 });
+  const job = supabase.queriesTo('review_sync_jobs', 'insert')[0].arg('insert');
+  assert.deepEqual([job.platform, job.tour_operator_id, job.source_business_name, job.total_available], ['upload', 'op-1', 'Acme Tours', 3]);
+  assert.deepEqual(processor.uploads[0].rows.map(row => row.external_id), ['b-1', 'b-2', 'b-3']);
+  assert.equal(processor.uploads[0].rows[0].place_name, 'Acme Tours');
+  assert.deepEqual(processor.events.published, ['started']);
+});
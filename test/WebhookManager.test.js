@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebhookManager = require('../src/managers/WebhookManager');
+const { ValidationError, ConflictError } = require('../src/utils/errors');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+const operatorAuth = { type: 'user', isService: false, tourOperatorId: 'op-1' };
+
+// A local receiver that records the requests it gets
+async function receiver(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+function allowPrivateUrls(t) {
+  process.env.ALLOW_PRIVATE_URLS = 'true';
+  t.after(() => { delete process.env.ALLOW_PRIVATE_URLS; });
+}
+
+const delivery = (status) => ({ id: 'delivery-1', endpoint_id: 'webhook-1', event: 'completed', payload: { job_id: 'job-1' }, status, attempts: 8 });
+
+test('webhooks pointing at loopback, private or link-local addresses are rejected', async () => {
+  const supabase = createSupabaseStub();
+  const manager = new WebhookManager(supabase, silentLogger);
+
+  for (const url of [
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.5/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:192.168.1.1]/hook',
+    'http://2130706433/hook'
+  ]) {
+    await assert.rejects(manager.createWebhook('op-1', { url }), ValidationError, url);
+  }
+  assert.equal(supabase.queriesTo('webhook_endpoints', 'insert').length, 0);
+});
+
+test('a delivery re-checks the address and never reaches a private host', async (t) => {
+  const { requests, url } = await receiver(t);
+  const supabase = createSupabaseStub({ webhook_deliveries: (query) => ({ data: query.arg('update') }) });
+  const manager = new WebhookManager(supabase, silentLogger);
+
+  const result = await manager.deliver({ ...delivery('pending'), attempts: 0 }, { id: 'webhook-1', url, secret: 'secret' });
+
+  assert.equal(requests.length, 0);
+  assert.equal(result.status, 'pending');
+  assert.match(result.last_error, /private or local address/);
+});
+
+test('deliveries are signed and sent when private urls are allowed for development', async (t) => {
+  allowPrivateUrls(t);
+  const { requests, url } = await receiver(t);
+  const supabase = createSupabaseStub({ webhook_deliveries: (query) => ({ data: query.arg('update') }) });
+  const manager = new WebhookManager(supabase, silentLogger);
+
+  const result = await manager.deliver({ ...delivery('pending'), attempts: 0 }, { id: 'webhook-1', url, secret: 'secret' });
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].headers['x-webhook-signature'], /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.deepEqual(JSON.parse(requests[0].body), { id: 'delivery-1', job_id: 'job-1' });
+});
+
+test('only failed deliveries can be redelivered', async () => {
+  for (const status of ['pending', 'delivered']) {
+    const supabase = createSupabaseStub({
+      webhook_endpoints: () => ({ data: { id: 'webhook-1', tour_operator_id: 'op-1', url: 'https://example.com/hook', secret: 'secret' } }),
+      webhook_deliveries: () => ({ data: delivery(status) })
+    });
+    const manager = new WebhookManager(supabase, silentLogger);
+
+    await assert.rejects(manager.redeliver('webhook-1', 'delivery-1', operatorAuth), ConflictError);
+    assert.equal(supabase.queriesTo('webhook_deliveries', 'update').length, 0);
+  }
+});
+
+test('a failed delivery is claimed before it is sent again', async (t) => {
+  allowPrivateUrls(t);
+  const { requests, url } = await receiver(t);
+  const supabase = createSupabaseStub({
+    webhook_endpoints: () => ({ data: { id: 'webhook-1', tour_operator_id: 'op-1', url, secret: 'secret' } }),
+    webhook_deliveries: (query) => {
+      if (!query.has('update')) return { data: delivery('failed') };
+      return query.has('single') ? { data: query.arg('update') } : { data: [{ id: 'delivery-1' }] };
+    }
+  });
+  const manager = new WebhookManager(supabase, silentLogger);
+
+  const result = await manager.redeliver('webhook-1', 'delivery-1', operatorAuth);
+
+  const [claim] = supabase.queriesTo('webhook_deliveries', 'update');
+  assert.equal(claim.arg('update').status, 'pending');
+  assert.deepEqual(claim.calls.filter(([method]) => method === 'eq').map(call => call.slice(1)), [['id', 'delivery-1'], ['status', 'failed']]);
+  assert.equal(requests.length, 1);
+  assert.equal(result.status, 'delivered');
+  assert.equal(result.attempts, 9);
+});
+
+test('a redeliver that loses the claim to another one is a conflict', async () => {
+  const supabase = createSupabaseStub({
+    webhook_endpoints: () => ({ data: { id: 'webhook-1', tour_operator_id: 'op-1', url: 'https://example.com/hook', secret: 'secret' } }),
+    webhook_deliveries: (query) => query.has('update') ? { data: [] } : { data: delivery('failed') }
+  });
+  const manager = new WebhookManager(supabase, silentLogger);
+
+  await assert.rejects(manager.redeliver('webhook-1', 'delivery-1', operatorAuth), ConflictError);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { SignJWT, generateKeyPair, exportJWK, createLocalJWKSet } = require('jose');
+const { Authenticator, requireService, assertOperatorAccess } = require('../src/middleware/auth');
+const { UnauthorizedError, ForbiddenError } = require('../src/utils/errors');
+const { silentLogger } = require('./helpers');
+
+const ISSUER = 'https://project.supabase.co/auth/v1';
+const JWT_SECRET = 'test-jwt-secret-with-enough-length-for-hs256';
+const API_KEY = 'service-key-123';
+
+function request({ headers = {}, query = {} } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { query, get: (name) => lowered[name.toLowerCase()] };
+}
+
+function userToken({ key = new TextEncoder().encode(JWT_SECRET), alg = 'HS256', kid, claims = {}, issuer = ISSUER, expiresIn = '1h' } = {}) {
+  return new SignJWT({ app_metadata: { tour_operator_id: 'op-1' }, ...claims })
+    .setProtectedHeader({ alg, ...(kid && { kid }) })
+    .setSubject('user-1')
+    .setIssuer(issuer)
+    .setAudience('authenticated')
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(key);
+}
+
+async function authenticator(options = {}) {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const jwk = { ...await exportJWK(publicKey), kid: 'key-1', alg: 'RS256' };
+
+  const auth = new Authenticator(silentLogger, {
+    issuer: ISSUER,
+    jwtSecret: JWT_SECRET,
+    jwks: createLocalJWKSet({ keys: [jwk] }),
+    apiKeyHashes: [crypto.createHash('sha256').update(API_KEY).digest('hex')],
+    ...options
+  });
+
+  return { auth, privateKey };
+}
+
+test('accepts HS256 tokens signed with the project secret', async () => {
+  const { auth } = await authenticator();
+  const token = await userToken();
+
+  const result = await auth.authenticate(request({ headers: { Authorization: `Bearer ${token}` } }));
+
+  assert.equal(result.type, 'user');
+  assert.equal(result.tourOperatorId, 'op-1');
+  assert.equal(result.isService, false);
+});
+
+test('accepts asymmetric tokens signed with a JWKS key', async () => {
+  const { auth, privateKey } = await authenticator();
+  const token = await userToken({ key: privateKey, alg: 'RS256', kid: 'key-1' });
+
+  const result = await auth.authenticate(request({ headers: { Authorization: `Bearer ${token}` } }));
+
+  assert.equal(result.tourOperatorId, 'op-1');
+});
+
+test('rejects tokens with a bad signature, issuer or expiry', async () => {
+  const { auth } = await authenticator();
+  const { privateKey: otherKey } = await generateKeyPair('RS256');
+
+  const tokens = [
+    await userToken({ key: new TextEncoder().encode('another-secret-of-sufficient-length-x') }),
+    await userToken({ key: otherKey, alg: 'RS256', kid: 'key-1' }),
+    await userToken({ issuer: 'https://elsewhere.supabase.co/auth/v1' }),
+    await userToken({ expiresIn: Math.floor(Date.now() / 1000) - 60 }),
+    'not-a-jwt'
+  ];
+
+  for (const token of tokens) {
+    await assert.rejects(auth.authenticate(request({ headers: { Authorization: `Bearer ${token}` } })), UnauthorizedError);
+  }
+});
+
+test('rejects HS256 tokens when no secret is configured', async () => {
+  const { auth } = await authenticator({ jwtSecret: undefined });
+  const token = await userToken();
+
+  await assert.rejects(
+    auth.authenticate(request({ headers: { Authorization: `Bearer ${token}` } })),
+    { name: 'UnauthorizedError', message: 'No verification key configured for HS256 tokens' }
+  );
+});
+
+test('rejects tokens without a tour operator claim instead of using the user id', async () => {
+  const { auth } = await authenticator();
+  const token = await userToken({ claims: { app_metadata: {} } });
+
+  await assert.rejects(auth.authenticate(request({ headers: { Authorization: `Bearer ${token}` } })), ForbiddenError);
+});
+
+test('authenticates services by hashed API key', async () => {
+  const { auth } = await authenticator();
+
+  const result = await auth.authenticate(request({ headers: { 'x-api-key': API_KEY } }));
+  assert.deepEqual(result, { type: 'service', tourOperatorId: null, isService: true });
+
+  await assert.rejects(auth.authenticate(request({ headers: { 'x-api-key': 'wrong-key' } })), UnauthorizedError);
+});
+
+test('requires a bearer token or API key', async () => {
+  const { auth } = await authenticator();
+
+  await assert.rejects(auth.authenticate(request()), UnauthorizedError);
+  await assert.rejects(auth.authenticate(request({ headers: { Authorization: 'Basic abc' } })), UnauthorizedError);
+});
+
+test('takes access_token from the query only for event streams', async () => {
+  const { auth } = await authenticator();
+  const token = await userToken();
+
+  const stream = await auth.authenticate(request({ headers: { Accept: 'text/event-stream' }, query: { access_token: token } }));
+  assert.equal(stream.tourOperatorId, 'op-1');
+
+  await assert.rejects(
+    auth.authenticate(request({ headers: { Accept: 'application/json' }, query: { access_token: token } })),
+    UnauthorizedError
+  );
+});
+
+test('middleware passes authentication errors to the error handler', async () => {
+  const { auth } = await authenticator();
+  const req = request();
+
+  const error = await new Promise(resolve => auth.middleware()(req, {}, resolve));
+
+  assert.ok(error instanceof UnauthorizedError);
+  assert.equal(req.auth, undefined);
+});
+
+test('assertOperatorAccess scopes users to their own operator', () => {
+  const user = { type: 'user', tourOperatorId: 'op-1', isService: false };
+
+  assert.doesNotThrow(() => assertOperatorAccess(user, 'op-1'));
+  assert.throws(() => assertOperatorAccess(user, 'op-2'), ForbiddenError);
+  assert.throws(() => assertOperatorAccess(user, null), ForbiddenError);
+  assert.doesNotThrow(() => assertOperatorAccess({ type: 'service', tourOperatorId: null, isService: true }, 'op-2'));
+});
+
+test('requireService only lets service callers through', () => {
+  const results = [];
+  const next = (error) => results.push(error);
+
+  requireService({ auth: { isService: true } }, {}, next);
+  requireService({ auth: { isService: false, tourOperatorId: 'op-1' } }, {}, next);
+
+  assert.equal(results[0], undefined);
+  assert.ok(results[1] instanceof ForbiddenError);
+});
@@ -0,0 +1,25 @@
+const createSupabaseStub = require('./supabaseStub');
+
+const silentLogger = {
+  info() {},
+  warn() {},
+  error() {},
+  debug() {}
+};
+
+// Polls until the condition holds, failing the test after the timeout
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!await condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = {
+  createSupabaseStub,
+  silentLogger,
+  waitFor
+};
@@ -0,0 +1,58 @@
+// A chainable stand-in for the Supabase client. Every query records its builder calls;
+// when awaited, the handler for its table answers with { data, error, count }.
+// Queries to tables without a handler resolve empty. RPCs are recorded in `rpcs` and
+// answered by the handler of that name in rpcHandlers.
+function createSupabaseStub(handlers = {}, rpcHandlers = {}) {
+  const queries = [];
+  const rpcs = [];
+
+  const from = (table) => {
+    const query = {
+      table,
+      calls: [],
+      // Arguments of the first call to a builder method, e.g. query.arg('update')
+      arg(method, index = 0) {
+        const call = this.calls.find(([name]) => name === method);
+        return call ? call[index + 1] : undefined;
+      },
+      has(method) {
+        return this.calls.some(([name]) => name === method);
+      }
+    };
+
+    const builder = new Proxy({}, {
+      get(_, method) {
+        if (method === 'then') {
+          queries.push(query);
+          const handler = handlers[table];
+          const result = Promise.resolve(handler ? handler(query) : {})
+            .then(result => ({ data: null, error: null, ...result }));
+          return result.then.bind(result);
+        }
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  };
+
+  return {
+    from,
+    rpc: async (name, args) => {
+      rpcs.push({ name, args });
+      const handler = rpcHandlers[name];
+      return { data: null, error: null, ...(handler ? await handler(args) : {}) };
+    },
+    queries,
+    rpcs,
+    // Recorded queries to a table, optionally only those that called a method
+    queriesTo(table, method) {
+      return queries.filter(query => query.table === table && (!method || query.has(method)));
+    }
+  };
+}
+
+module.exports = createSupabaseStub;
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobManager = require('../src/managers/JobManager');
+const DataForSEOProvider = require('../src/providers/DataForSEOProvider');
+const { verifySignature } = require('../src/utils/signing');
+const { NotFoundError, ValidationError } = require('../src/utils/errors');
+const { createSupabaseStub, silentLogger } = require('./helpers');
+
+function jobManager(job) {
+  const supabase = createSupabaseStub({ review_sync_jobs: () => (job ? { data: job } : { error: { message: 'no rows' } }) });
+  const jobQueue = { enqueued: [], enqueue: async (jobId) => jobQueue.enqueued.push(jobId) };
+  const events = { publish: async () => {} };
+  return { manager: new JobManager(supabase, silentLogger, jobQueue, events), jobQueue };
+}
+
+const waitingJob = { id: 'job-1', status: 'processing', last_cursor: JSON.stringify({ task_id: 'task-2' }) };
+
+test('tasks register a signed pingback url naming their job', (t) => {
+  process.env.PUBLIC_BASE_URL = 'https://reviews.example.com/';
+  process.env.DATAFORSEO_CALLBACK_SECRET = 'callback-secret';
+  t.after(() => {
+    delete process.env.PUBLIC_BASE_URL;
+    delete process.env.DATAFORSEO_CALLBACK_SECRET;
+  });
+
+  const { tag, pingbackUrl } = new DataForSEOProvider(createSupabaseStub(), silentLogger, {}).buildCallback({ id: 'job-1' });
+
+  assert.equal(tag, 'job:job-1');
+  const url = new URL(pingbackUrl);
+  assert.equal(`${url.origin}${url.pathname}`, 'https://reviews.example.com/webhooks/dataforseo/pingback');
+  // DataForSEO fills in $id and $tag when it calls back
+  assert.equal(url.searchParams.get('id'), '$id');
+  assert.equal(url.searchParams.get('tag'), '$tag');
+  assert.ok(verifySignature(tag, url.searchParams.get('sig'), 'callback-secret'));
+  assert.ok(!verifySignature('job:job-2', url.searchParams.get('sig'), 'callback-secret'));
+});
+
+test('without a public url or secret, tasks are polled instead', () => {
+  assert.equal(new DataForSEOProvider(createSupabaseStub(), silentLogger, {}).buildCallback({ id: 'job-1' }), null);
+});
+
+test('a pingback for the task a job waits on queues the job', async () => {
+  const { manager, jobQueue } = jobManager(waitingJob);
+
+  const result = await manager.handleProviderCallback('task-2', 'job:job-1');
+
+  assert.deepEqual(result, { job_id: 'job-1', queued: true });
+  assert.deepEqual(jobQueue.enqueued, ['job-1']);
+});
+
+test('pingbacks for a superseded task or a finished job are acknowledged and ignored', async () => {
+  for (const [job, taskId] of [
+    [waitingJob, 'task-1'],
+    [{ ...waitingJob, last_cursor: null }, 'task-2'],
+    [{ ...waitingJob, status: 'succeeded' }, 'task-2']
+  ]) {
+    const { manager, jobQueue } = jobManager(job);
+
+    assert.deepEqual(await manager.handleProviderCallback(taskId, 'job:job-1'), { job_id: 'job-1', queued: false });
+    assert.deepEqual(jobQueue.enqueued, []);
+  }
+});
+
+test('pingbacks without a job tag or for an unknown job are refused', async () => {
+  const { manager } = jobManager(null);
+
+  await assert.rejects(manager.handleProviderCallback('task-2', 'google_1700000000000'), ValidationError);
+  await assert.rejects(manager.handleProviderCallback(undefined, 'job:job-1'), ValidationError);
+  await assert.rejects(manager.handleProviderCallback('task-2', 'job:job-9'), NotFoundError);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const platforms = require('../src/platforms');
+const { ValidationError } = require('../src/utils/errors');
+const { fingerprintReview, fingerprintId } = require('../src/utils/reviewFingerprint');
+
+const job = { id: 'job-1', tour_operator_id: 'op-1', source_business_name: 'Acme Tours' };
+
+test('every adapter module in src/platforms is registered', () => {
+  assert.deepEqual(platforms.names(), ['google', 'tripadvisor', 'trustpilot', 'yelp']);
+  assert.throws(() => platforms.get('facebook'), ValidationError);
+  assert.equal(platforms.list().find(platform => platform.name === 'google').capabilities.newestFirst, true);
+});
+
+test('Google targets are read from place ids, CIDs, names and Maps URLs', () => {
+  const google = platforms.get('google');
+
+  for (const [input, target] of [
+    ['ChIJN1t_tDeuEmsRUsoyG83frY4', { place_id: 'ChIJN1t_tDeuEmsRUsoyG83frY4' }],
+    [' 10281119596374313554 ', { cid: '10281119596374313554' }],
+    ['Vegas Jeep Tours', { keyword: 'Vegas Jeep Tours' }],
+    ['https://www.google.com/maps/search/?api=1&query=x&query_place_id=ChIJabc', { place_id: 'ChIJabc' }],
+    ['https://maps.google.com/?cid=12345', { cid: '12345' }],
+    ['https://www.google.com/maps/place/Vegas+Jeep+Tours/@36.1,-115.1,17z/data=!4m6!3m5!1s0x80c8c4:0x1a2b!8m2', { cid: String(0x1a2b) }],
+    ['https://www.google.com/maps/place/Red+Rock+Canyon/@36.1,-115.4,12z', { keyword: 'Red Rock Canyon' }]
+  ]) {
+    assert.deepEqual(google.normalizeTarget(input), target, input);
+  }
+
+  for (const input of ['', '   ', 'https://www.google.com/travel/hotels']) {
+    assert.throws(() => google.normalizeTarget(input), ValidationError, input);
+  }
+});
+
+test('a Google task asks for the newest reviews first', async () => {
+  const google = platforms.get('google');
+  const posted = [];
+  const client = { createTask: async (endpoint, task) => posted.push({ endpoint, task }) };
+
+  await google.createTask(client, { place_id: 'ChIJabc' }, { fullHistory: false, tag: 'job:job-1', pingbackUrl: 'https://api.example.com/pingback' });
+
+  assert.deepEqual(posted, [{
+    endpoint: 'google/reviews',
+    task: { place_id: 'ChIJabc', location_code: 2840, language_code: 'en', sort_by: 'newest', depth: 100, tag: 'job:job-1', pingback_url: 'https://api.example.com/pingback' }
+  }]);
+});
+
+test('Google results map to review records', () => {
+  const google = platforms.get('google');
+
+  const record = google.transformReview({
+    review_id: 'g-1',
+    profile_name: 'Jess',
+    rating: { value: 4 },
+    review_text: 'Fun day out',
+    timestamp: '2026-09-01 10:00:00 +00:00',
+    likes: 3,
+    owner_answer: 'Thanks Jess!',
+    owner_timestamp: '2026-09-02 08:00:00 +00:00',
+    local_guide: true,
+    images: [{ image_url: 'https://img.example.com/1.jpg' }, {}]
+  }, job);
+
+  assert.deepEqual(record, {
+    tour_operator_id: 'op-1',
+    source: 'google',
+    external_id: 'g-1',
+    author_name: 'Jess',
+    rating: 4,
+    text: 'Fun day out',
+    posted_at: '2026-09-01T10:00:00.000Z',
+    place_name: 'Acme Tours',
+    review_url: null,
+    author_photo_url: null,
+    helpful_count: 3,
+    response_text: 'Thanks Jess!',
+    response_date: '2026-09-02T08:00:00.000Z',
+    author_is_local_guide: true,
+    photo_urls: ['https://img.example.com/1.jpg'],
+    content_fingerprint: fingerprintReview({ author_name: 'Jess', posted_at: '2026-09-01 10:00:00 +00:00', rating: 4, text: 'Fun day out' })
+  });
+
+  // Without a review id the record gets a stable id from its content
+  const anonymous = google.transformReview({ profile_name: 'Jess', rating: { value: 4 }, review_text: 'Fun day out', timestamp: '2026-09-01 10:00:00 +00:00' }, job);
+  assert.equal(anonymous.external_id, fingerprintId('google', anonymous.content_fingerprint));
+});
+
+test('Trustpilot targets are domains, from a review page URL or given bare', () => {
+  const trustpilot = platforms.get('trustpilot');
+
+  for (const [input, domain] of [
+    ['https://www.trustpilot.com/review/AcmeTours.com?page=2', 'acmetours.com'],
+    ['uk.trustpilot.com/review/acme-tours.co.uk', 'acme-tours.co.uk'],
+    ['acmetours.com', 'acmetours.com']
+  ]) {
+    assert.deepEqual(trustpilot.normalizeTarget(input), { domain }, input);
+  }
+
+  for (const input of ['', 'Acme Tours', 'https://www.trustpilot.com/categories/travel']) {
+    assert.throws(() => trustpilot.normalizeTarget(input), ValidationError, input);
+  }
+  assert.deepEqual(trustpilot.buildTask({ domain: 'acmetours.com' }), { domain: 'acmetours.com', sort_by: 'recency' });
+});
+
+test('Trustpilot results join title and text and take the first company reply', () => {
+  const record = platforms.get('trustpilot').transformReview({
+    review_id: 't-1',
+    url: 'https://www.trustpilot.com/reviews/t-1',
+    user_profile: { name: 'Lee', image_url: 'https://img.example.com/lee.png' },
+    rating: { value: 2 },
+    title: 'Late start',
+    review_text: 'We waited an hour.',
+    timestamp: '2026-08-10 12:00:00 +00:00',
+    responses: [{ text: 'Sorry about that', timestamp: '2026-08-11 09:00:00 +00:00' }, { text: 'Later reply' }],
+    review_images: [{ url: 'https://img.example.com/t.jpg' }]
+  }, job);
+
+  assert.equal(record.source, 'trustpilot');
+  assert.equal(record.external_id, 't-1');
+  assert.equal(record.author_name, 'Lee');
+  assert.equal(record.rating, 2);
+  assert.equal(record.text, 'Late start\n\nWe waited an hour.');
+  assert.equal(record.review_url, 'https://www.trustpilot.com/reviews/t-1');
+  assert.equal(record.author_photo_url, 'https://img.example.com/lee.png');
+  assert.equal(record.response_text, 'Sorry about that');
+  assert.equal(record.response_date, '2026-08-11T09:00:00.000Z');
+  assert.deepEqual(record.photo_urls, ['https://img.example.com/t.jpg']);
+});
+
+test('Yelp targets are business aliases, from a /biz/ URL or given bare', () => {
+  const yelp = platforms.get('yelp');
+
+  for (const [input, alias] of [
+    ['https://www.yelp.com/biz/acme-tours-las-vegas?osq=tours', 'acme-tours-las-vegas'],
+    ['https://www.yelp.co.uk/biz/caf%C3%A9-tours-london', 'café-tours-london'],
+    ['acme-tours-las-vegas', 'acme-tours-las-vegas']
+  ]) {
+    assert.deepEqual(yelp.normalizeTarget(input), { alias }, input);
+  }
+
+  for (const input of ['', 'https://www.yelp.com/search?find_desc=tours', 'acme tours']) {
+    assert.throws(() => yelp.normalizeTarget(input), ValidationError, input);
+  }
+  assert.deepEqual(yelp.buildTask({ alias: 'acme-tours' }), { alias: 'acme-tours', language_name: 'English', sort_by: 'date_desc' });
+});
+
+test('Yelp results map useful votes and the owner reply', () => {
+  const record = platforms.get('yelp').transformReview({
+    review_id: 'y-1',
+    user_profile: { name: 'Max' },
+    rating: { value: 5 },
+    review_text: 'Best tour in town',
+    timestamp: '2026-07-04 18:30:00 +00:00',
+    feedback: { useful: 7, funny: 1 },
+    responses: [{ text: 'Thanks Max', timestamp: '2026-07-05 10:00:00 +00:00' }]
+  }, job);
+
+  assert.equal(record.source, 'yelp');
+  assert.equal(record.external_id, 'y-1');
+  assert.equal(record.author_name, 'Max');
+  assert.equal(record.rating, 5);
+  assert.equal(record.posted_at, '2026-07-04T18:30:00.000Z');
+  assert.equal(record.helpful_count, 7);
+  assert.equal(record.response_text, 'Thanks Max');
+  assert.deepEqual(record.photo_urls, []);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRecord } = require('../src/utils/reviewSchema');
+
+const valid = {
+  tour_operator_id: 'op-1',
+  source: 'google',
+  external_id: 'g-1',
+  author_name: 'Jess',
+  rating: 5,
+  text: 'Great',
+  posted_at: '2026-09-01T10:00:00.000Z',
+  review_url: 'https://maps.google.com/review/g-1',
+  helpful_count: 0,
+  content_fingerprint: 'abc',
+  photo_urls: []
+};
+
+test('a complete record passes', () => {
+  assert.deepEqual(validateRecord(valid), []);
+});
+
+test('every problem with a record is reported, none patched up', () => {
+  const errors = validateRecord({
+    ...valid,
+    external_id: '',
+    rating: '5',
+    text: 'x'.repeat(2001),
+    posted_at: '2999-01-01T00:00:00.000Z',
+    review_url: 'javascript:alert(1)',
+    helpful_count: -1,
+    photo_urls: ['https://img.example.com/1.jpg', 'ftp://img'],
+    stars: 5
+  });
+
+  assert.deepEqual(errors, [
+    'stars: unexpected field',
+    'external_id: required',
+    'rating: expected number, got "5"',
+    'text: longer than 2000 characters',
+    'posted_at: 2999-01-01T00:00:00.000Z is in the future',
+    'review_url: expected url, got "javascript:alert(1)"',
+    'helpful_count: -1 is below minimum 0',
+    'photo_urls: expected url items, got "ftp://img"'
+  ]);
+});
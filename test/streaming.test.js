@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const v8 = require('v8');
+const vm = require('vm');
+const ReviewProcessor = require('../src/processors/ReviewProcessor');
+const GoogleBusinessProfileProvider = require('../src/providers/GoogleBusinessProfileProvider');
+const platforms = require('../src/platforms');
+const { silentLogger } = require('./helpers');
+
+v8.setFlagsFromString('--expose-gc');
+const gc = vm.runInNewContext('gc');
+
+const REVIEW_COUNT = 60000;
+const PAGE_SIZE = 50;
+
+// Answers every query with no rows and records nothing, so the stub holds no memory itself
+function nullSupabase() {
+  const builder = new Proxy({}, {
+    get: (_, method) => method === 'then'
+      ? (resolve) => resolve({ data: [], error: null, count: 0 })
+      : () => builder
+  });
+  return { from: () => builder, rpc: async () => ({ data: null, error: null }) };
+}
+
+test('a large result set streams through ingestion with bounded memory', async (t) => {
+  const supabase = nullSupabase();
+  const job = { id: 'job-1', tour_operator_id: 'op-1', platform: 'google', sync_mode: 'full', full_history: true, source_business_id: 'ChIJ123' };
+
+  gc();
+  const baseline = process.memoryUsage().heapUsed;
+  let peak = 0;
+  let requests = 0;
+
+  // Business Profile pages of about 50KB each, generated as the provider asks for them
+  const provider = new GoogleBusinessProfileProvider(supabase, silentLogger);
+  provider.getConnection = async () => ({ tour_operator_id: 'op-1', account_id: '1', location_id: 'locations/2' });
+  provider.getAccessToken = async () => 'token';
+  provider.request = async (accessToken, url, { pageToken }) => {
+    const page = pageToken ? Number(pageToken) : 0;
+    if (++requests % 40 === 0) {
+      gc();
+      peak = Math.max(peak, process.memoryUsage().heapUsed - baseline);
+    }
+
+    const reviews = Array.from({ length: PAGE_SIZE }, (_, i) => {
+      const n = page * PAGE_SIZE + i;
+      return {
+        reviewId: `review-${n}`,
+        reviewer: { displayName: `Guest ${n}` },
+        starRating: 'FIVE',
+        comment: `${'The guide was wonderful and the views were unforgettable. '.repeat(17)}${n}`,
+        createTime: '2026-01-01T00:00:00Z',
+        updateTime: '2026-01-01T00:00:00Z'
+      };
+    });
+
+    const next = page + 1;
+    return {
+      reviews,
+      totalReviewCount: REVIEW_COUNT,
+      ...(next * PAGE_SIZE < REVIEW_COUNT && { nextPageToken: String(next) })
+    };
+  };
+
+  const events = { publish: async () => {} };
+  const processor = new ReviewProcessor(supabase, silentLogger, platforms, events, {});
+  processor.sleep = async () => {};
+  processor.deduplicator = { deduplicate: async () => ({ collapsed: 0 }) };
+  processor.alerts = { raiseNegativeReviews: async () => {}, checkRatingDrop: async () => ({ rollingAverage: null }) };
+  processor.enricher = { enrich: async () => {} };
+
+  const context = { setPhase: async () => {}, getNewestPostedAt: async () => null, assertNotCancelled: async () => {} };
+  const adapter = platforms.get('google');
+  const mapReview = provider.reviewMapper(job, adapter);
+
+  const started = Date.now();
+  const source = await provider.fetch(job, {}, adapter, context);
+  const result = await processor.importReviews(job, source, {}, { transform: review => adapter.toRecord(mapReview(review), job) });
+  const seconds = (Date.now() - started) / 1000;
+
+  t.diagnostic(`${REVIEW_COUNT} reviews in ${seconds.toFixed(1)}s (${Math.round(REVIEW_COUNT / seconds)}/s), peak heap growth ${(peak / 1024 / 1024).toFixed(1)}MB`);
+
+  assert.equal(result.reviews_processed, REVIEW_COUNT);
+  assert.equal(requests, REVIEW_COUNT / PAGE_SIZE);
+  // The reviews alone come to about 60MB; held at once, the heap would grow well past this
+  assert.ok(peak < 25 * 1024 * 1024, `heap grew by ${Math.round(peak / 1024 / 1024)}MB`);
+});